@@ -54,6 +54,20 @@ if(testcasesRoutes) {
   app.use('/api', testcasesRoutes.profiles);
   app.use('/api', testcasesRoutes.export);
   app.use('/api', testcasesRoutes.notesAttachments);
+  app.use('/api', testcasesRoutes.templates);
+  app.use('/api', testcasesRoutes.structure);
+  app.use('/api', testcasesRoutes.validation);
+  app.use('/api', testcasesRoutes.revisions);
+  app.use('/api', testcasesRoutes.bulk);
+  app.use('/api', testcasesRoutes.runs);
+  app.use('/api', testcasesRoutes.workflow);
+  app.use('/api', testcasesRoutes.findings);
+
+  // Status rollup rules, shared with the UI
+  app.get('/js/status-rollup.js', (req, res) => {
+    res.type('application/javascript');
+    res.sendFile(path.join(__dirname, 'utils', 'testcases', 'status.js'));
+  });
 }
 
 // ============================================
@@ -45,6 +45,13 @@ const UPLOAD_CONFIG = {
   ]
 };
 
+// Instance archive import settings
+const ARCHIVE_CONFIG = {
+  maxFileSize: 500 * 1024 * 1024, // 500MB
+  maxEntries: 20000,
+  maxUncompressedSize: 1024 * 1024 * 1024 // 1GB
+};
+
 // Status colors for exports
 const STATUS_COLORS = {
   primary: '#2563eb',
@@ -65,5 +72,6 @@ module.exports = {
   REPORT_TEMPLATES_DIR,
   PORT,
   UPLOAD_CONFIG,
+  ARCHIVE_CONFIG,
   STATUS_COLORS
 };
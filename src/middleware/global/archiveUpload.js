@@ -0,0 +1,17 @@
+/**
+ * Archive Upload Middleware
+ * Configures multer for instance archive imports (kept in memory for validation)
+ */
+
+const multer = require('multer');
+const { ARCHIVE_CONFIG } = require('../../config');
+
+/**
+ * Configured multer instance
+ */
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ARCHIVE_CONFIG.maxFileSize, files: 1 }
+});
+
+module.exports = archiveUpload;
@@ -3,7 +3,9 @@
  */
 
 const validateInstance = require('../global/validateInstance');
+const archiveUpload = require('../global/archiveUpload');
 
 module.exports = {
-    validateInstance
+    validateInstance,
+    archiveUpload
 };
@@ -6,10 +6,15 @@
 const path = require('path');
 const fsSync = require('fs');
 const { INSTANCES_ROOT } = require('../../config');
+const { readInstanceMetaSync } = require('../../utils/global');
+
+// Methods that are still allowed on archived (read-only) instances
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 /**
  * Middleware to validate instance exists and is accessible
  * Sets both instancePath (root) and testcasesPath (testcases subfolder)
+ * Archived instances are read-only: modifying requests are rejected with 403
  */
 const validateInstance = (req, res, next) => {
   const { instance } = req.params;
@@ -26,6 +31,18 @@ const validateInstance = (req, res, next) => {
     return res.status(404).json({ error: `Instance '${instance}' not found` });
   }
   
+  // Archived instances can be viewed but not modified
+  let meta;
+  try {
+    meta = readInstanceMetaSync(instancePath);
+  } catch (error) {
+    console.error('Error reading instance metadata:', error);
+    return res.status(500).json({ error: error.message });
+  }
+  if (meta.archived && !READ_ONLY_METHODS.includes(req.method)) {
+    return res.status(403).json({ error: `Instance '${instance}' is archived and read-only` });
+  }
+  
   // Testcases are now in a 'testcases' subfolder
   const testcasesPath = path.join(instancePath, 'testcases');
   
@@ -33,6 +50,7 @@ const validateInstance = (req, res, next) => {
   req.instancePath = instancePath;
   req.testcasesPath = testcasesPath;
   req.instanceName = instance;
+  req.instanceArchived = Boolean(meta.archived);
   
   next();
 };
@@ -0,0 +1,50 @@
+/**
+ * If-Match Middleware
+ * Rejects modifications of a testcase that was changed since the client loaded it
+ */
+
+const path = require('path');
+const { readFileETag, ifMatchSatisfied, acquireLock } = require('../../utils/global');
+const { parseTestcaseXML } = require('../../utils/testcases');
+
+/**
+ * Middleware for routes with :module/:category and :filename or :testcaseId
+ * Must run after validateInstance (uses req.testcasesPath).
+ * Without If-Match header the request is unconditional.
+ * On conflict responds 412 with the current ETag and the current testcase.
+ * Holds the lock of the testcase file until the response is finished, so concurrent
+ * modifications are checked and written one after another.
+ */
+const testcaseIfMatch = async (req, res, next) => {
+  const { module, category } = req.params;
+  const name = req.params.filename || req.params.testcaseId;
+  const filename = name.endsWith('.xml') ? name : `${name}.xml`;
+  const filePath = path.join(req.testcasesPath, module, category, filename);
+  
+  const release = await acquireLock(filePath);
+  res.on('finish', release);
+  res.on('close', release);
+  
+  try {
+    const etag = await readFileETag(filePath);
+    
+    if (!ifMatchSatisfied(req.get('If-Match'), etag)) {
+      if (!etag) {
+        return res.status(412).json({ error: 'Testcase existiert nicht mehr', etag: null, current: null });
+      }
+      res.set('ETag', etag);
+      return res.status(412).json({ 
+        error: 'Testcase wurde zwischenzeitlich geändert. Bitte neu laden.',
+        etag,
+        current: await parseTestcaseXML(filePath)
+      });
+    }
+    
+    next();
+  } catch (error) {
+    console.error('Error checking If-Match:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = testcaseIfMatch;
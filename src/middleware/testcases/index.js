@@ -3,7 +3,13 @@
  */
 
 const upload = require('./upload');
+const testcaseIfMatch = require('./ifMatch');
+const resolveRunQuery = require('./runQuery');
+const resolveSearchQuery = require('./searchQuery');
 
 module.exports = {
-  upload
+  upload,
+  testcaseIfMatch,
+  resolveRunQuery,
+  resolveSearchQuery
 };
@@ -0,0 +1,35 @@
+/**
+ * Run Query Middleware
+ * Resolves the ?run= parameter of dashboard and export requests
+ */
+
+const { LATEST_RUN, UNASSIGNED_RUN, listRuns } = require('../../utils/testcases');
+
+/**
+ * Sets req.registeredRuns (all runs of the instance) and req.run (selected run or null for
+ * the latest run per testcase). Must run after validateInstance (uses req.instancePath).
+ * Responds 404 for unknown runs.
+ */
+const resolveRunQuery = async (req, res, next) => {
+  try {
+    req.registeredRuns = await listRuns(req.instancePath);
+    req.run = null;
+    
+    const runId = req.query.run;
+    if (runId && runId !== LATEST_RUN) {
+      req.run = runId === UNASSIGNED_RUN.id
+        ? UNASSIGNED_RUN
+        : req.registeredRuns.find(r => r.id === runId) || null;
+      if (!req.run) {
+        return res.status(404).json({ error: `Prüfrunde ${runId} nicht gefunden` });
+      }
+    }
+    
+    next();
+  } catch (error) {
+    console.error('Error resolving run:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = resolveRunQuery;
@@ -0,0 +1,29 @@
+/**
+ * Search Query Middleware
+ * Resolves the ?q= filter of dashboard and export requests
+ */
+
+const { selectTestcaseIds } = require('../../utils/testcases');
+
+/**
+ * Sets req.queryIds (Set of the ids of the testcases matching ?q=, null without filter)
+ * using the search query language (see utils/testcases/query.js).
+ * Must run after validateInstance (uses req.testcasesPath). Responds 400 for invalid queries.
+ */
+const resolveSearchQuery = async (req, res, next) => {
+  try {
+    req.queryIds = req.query.q
+      ? await selectTestcaseIds(req.testcasesPath, req.query.q, { instancePath: req.instancePath })
+      : null;
+    
+    next();
+  } catch (error) {
+    if (error.code === 'EQUERY') {
+      return res.status(400).json({ error: `Ungültige Suchanfrage: ${error.message}` });
+    }
+    console.error('Error resolving search query:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = resolveSearchQuery;
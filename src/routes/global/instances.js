@@ -8,15 +8,81 @@ const router = express.Router();
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
-const { INSTANCES_ROOT, TEMPLATES_ROOT } = require('../../config');
-const { copyDirectory } = require('../../utils/global');
+const { INSTANCES_ROOT, TEMPLATES_ROOT, ARCHIVE_CONFIG } = require('../../config');
+const { archiveUpload } = require('../../middleware/global');
+const { 
+  copyDirectory, 
+  readInstanceMeta, 
+  updateInstanceMeta,
+  createInstanceArchive,
+  readInstanceArchive,
+  extractInstanceArchive
+} = require('../../utils/global');
 
 // Valid instance name pattern (URL-safe)
 const INSTANCE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
 
+/**
+ * Resolve and check an existing instance by name
+ * Sends an error response and returns null if the name is invalid or the instance does not exist
+ * @param {string} name - Instance name from the URL
+ * @param {Object} res - Express response
+ * @returns {string|null} Instance path
+ */
+function resolveExistingInstance(name, res) {
+  if (!name || !INSTANCE_NAME_PATTERN.test(name)) {
+    res.status(400).json({ error: 'Ungültiger Instanzname' });
+    return null;
+  }
+  
+  const instancePath = path.join(INSTANCES_ROOT, name);
+  if (!fsSync.existsSync(instancePath)) {
+    res.status(404).json({ error: `Instanz "${name}" nicht gefunden` });
+    return null;
+  }
+  
+  return instancePath;
+}
+
+/**
+ * Drop cached data of the optional modules for an instance that was deleted or renamed
+ * @param {string} instancePath - Absolute path of the instance
+ */
+function invalidateModuleCaches(instancePath) {
+  try {
+    require('../testcases/instances').invalidateInstance(instancePath);
+  } catch (error) { }
+}
+
+/**
+ * Validate the name for a new instance
+ * Sends an error response and returns null if the name is invalid or already taken
+ * @param {string} name - New instance name
+ * @param {Object} res - Express response
+ * @returns {string|null} Path of the new instance
+ */
+function resolveNewInstance(name, res) {
+  if (!name || !INSTANCE_NAME_PATTERN.test(name)) {
+    res.status(400).json({ 
+      error: 'Ungültiger Instanzname. Erlaubt sind nur: a-z, A-Z, 0-9, _ und -' 
+    });
+    return null;
+  }
+  
+  const instancePath = path.join(INSTANCES_ROOT, name);
+  if (fsSync.existsSync(instancePath)) {
+    res.status(409).json({ error: `Instanz "${name}" existiert bereits` });
+    return null;
+  }
+  
+  return instancePath;
+}
+
 /**
  * GET /api/instances
  * List all available instances
+ * Query: archived=include (all instances) | archived=only (archived instances only)
+ * Archived instances are hidden by default
  */
 router.get('/', async (req, res) => {
   try {
@@ -55,7 +121,14 @@ router.get('/', async (req, res) => {
         }
     } catch (error) { }
     
-    res.json({ instances });
+    const archivedFilter = req.query.archived;
+    const filtered = instances.filter(instance => {
+      if (archivedFilter === 'include') return true;
+      if (archivedFilter === 'only') return instance.archived;
+      return !instance.archived;
+    });
+    
+    res.json({ instances: filtered });
   } catch (error) {
     console.error('Error listing instances:', error);
     res.status(500).json({ error: error.message });
@@ -70,19 +143,9 @@ router.post('/', async (req, res) => {
   try {
     const { name, templateId } = req.body;
     
-    // Validate name
-    if (!name || !INSTANCE_NAME_PATTERN.test(name)) {
-      return res.status(400).json({ 
-        error: 'Ungültiger Instanzname. Erlaubt sind nur: a-z, A-Z, 0-9, _ und -' 
-      });
-    }
-    
-    const instancePath = path.join(INSTANCES_ROOT, name);
-    
-    // Check if already exists
-    if (fsSync.existsSync(instancePath)) {
-      return res.status(409).json({ error: `Instanz "${name}" existiert bereits` });
-    }
+    // Validate name and check if already exists
+    const instancePath = resolveNewInstance(name, res);
+    if (!instancePath) return;
     
     // Create from template or empty
     if (templateId) {
@@ -94,6 +157,7 @@ router.post('/', async (req, res) => {
       
       // Copy template
       await copyDirectory(templatePath, instancePath);
+      await updateInstanceMeta(instancePath, { templateId, createdAt: new Date().toISOString() });
 
       const hasTestcases = fsSync.existsSync(path.join(templatePath, 'testcases'));
       const testcaseCount = hasTestcases ? (await fs.readdir(path.join(templatePath, 'testcases'))).length : 0;
@@ -114,6 +178,7 @@ router.post('/', async (req, res) => {
       await fs.mkdir(instancePath, { recursive: true });
       await fs.mkdir(path.join(instancePath, 'testcases'), { recursive: true });
       await fs.mkdir(path.join(instancePath, 'interfacedesign'), { recursive: true });
+      await updateInstanceMeta(instancePath, { createdAt: new Date().toISOString() });
       
       res.status(201).json({ 
         success: true, 
@@ -131,6 +196,235 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * DELETE /api/instances/:name
+ * Delete an instance including testcases, profiles, attachments and report templates
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const instancePath = resolveExistingInstance(name, res);
+    if (!instancePath) return;
+    
+    await fs.rm(instancePath, { recursive: true, force: true });
+    invalidateModuleCaches(instancePath);
+    
+    res.json({ success: true, message: `Instanz "${name}" gelöscht` });
+  } catch (error) {
+    console.error('Error deleting instance:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/instances/:name
+ * Rename an instance
+ * Body: { name: newName }
+ */
+router.patch('/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const newName = req.body?.name;
+    
+    const instancePath = resolveExistingInstance(name, res);
+    if (!instancePath) return;
+    
+    if (newName === name) {
+      return res.json({ success: true, message: 'Name unverändert', instanceId: name });
+    }
+    
+    const newInstancePath = resolveNewInstance(newName, res);
+    if (!newInstancePath) return;
+    
+    await fs.rename(instancePath, newInstancePath);
+    invalidateModuleCaches(instancePath);
+    
+    res.json({ 
+      success: true, 
+      message: `Instanz "${name}" in "${newName}" umbenannt`,
+      instanceId: newName
+    });
+  } catch (error) {
+    console.error('Error renaming instance:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/instances/:name/clone
+ * Copy an instance (with results, notes, attachments and profiles) to a new name
+ * Body: { name: newName }
+ */
+router.post('/:name/clone', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const newName = req.body?.name;
+    
+    const instancePath = resolveExistingInstance(name, res);
+    if (!instancePath) return;
+    
+    const newInstancePath = resolveNewInstance(newName, res);
+    if (!newInstancePath) return;
+    
+    await copyDirectory(instancePath, newInstancePath);
+    
+    // The clone is a fresh, writable instance even if the source is archived
+    await updateInstanceMeta(newInstancePath, {
+      clonedFrom: name,
+      createdAt: new Date().toISOString(),
+      archived: undefined,
+      archivedAt: undefined
+    });
+    
+    res.status(201).json({ 
+      success: true, 
+      message: `Instanz "${name}" nach "${newName}" kopiert`,
+      instanceId: newName
+    });
+  } catch (error) {
+    console.error('Error cloning instance:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/instances/:name/archive
+ * Archive an instance (hidden from the default listing, read-only)
+ */
+router.post('/:name/archive', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const instancePath = resolveExistingInstance(name, res);
+    if (!instancePath) return;
+    
+    const meta = await readInstanceMeta(instancePath);
+    if (meta.archived) {
+      return res.status(409).json({ error: `Instanz "${name}" ist bereits archiviert` });
+    }
+    
+    const updated = await updateInstanceMeta(instancePath, { 
+      archived: true, 
+      archivedAt: new Date().toISOString() 
+    });
+    
+    res.json({ 
+      success: true, 
+      message: `Instanz "${name}" archiviert`,
+      instanceId: name,
+      archivedAt: updated.archivedAt
+    });
+  } catch (error) {
+    console.error('Error archiving instance:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/instances/:name/unarchive
+ * Restore an archived instance
+ */
+router.post('/:name/unarchive', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const instancePath = resolveExistingInstance(name, res);
+    if (!instancePath) return;
+    
+    const meta = await readInstanceMeta(instancePath);
+    if (!meta.archived) {
+      return res.status(409).json({ error: `Instanz "${name}" ist nicht archiviert` });
+    }
+    
+    await updateInstanceMeta(instancePath, { archived: undefined, archivedAt: undefined });
+    
+    res.json({ 
+      success: true, 
+      message: `Instanz "${name}" wiederhergestellt`,
+      instanceId: name
+    });
+  } catch (error) {
+    console.error('Error restoring instance:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/instances/:name/archive
+ * Download the instance as a single archive file
+ * (testcases/, profiles.xml, _attachments/, _templates/, _history/, _findings/, instance.json and a checksummed manifest)
+ */
+router.get('/:name/archive', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const instancePath = resolveExistingInstance(name, res);
+    if (!instancePath) return;
+    
+    const output = await createInstanceArchive(instancePath, name);
+    
+    const filename = `${name}-${new Date().toISOString().split('T')[0]}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', output.length);
+    
+    res.send(output);
+  } catch (error) {
+    console.error('Error exporting instance archive:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/instances/import
+ * Create a new instance from an archive file
+ * Multipart: archive (file), name (target instance name, default: name from manifest)
+ */
+router.post('/import', archiveUpload.single('archive'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Keine Archivdatei hochgeladen' });
+    }
+    
+    const { manifest, files, errors } = await readInstanceArchive(req.file.buffer, ARCHIVE_CONFIG);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Archiv ist ungültig', details: errors });
+    }
+    
+    const name = req.body?.name || manifest.instance;
+    const instancePath = resolveNewInstance(name, res);
+    if (!instancePath) return;
+    
+    try {
+      await extractInstanceArchive(files, instancePath);
+    } catch (err) {
+      // Do not leave a half-imported instance behind
+      await fs.rm(instancePath, { recursive: true, force: true });
+      throw err;
+    }
+    
+    // The archived instance.json keeps its registers (runs, tag renames, text replacements);
+    // the imported instance is writable and gets its own dates
+    await updateInstanceMeta(instancePath, {
+      templateId: manifest.templateId || undefined,
+      importedFrom: manifest.instance,
+      importedAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      clonedFrom: undefined,
+      archived: undefined,
+      archivedAt: undefined
+    });
+    
+    res.status(201).json({ 
+      success: true, 
+      message: `Instanz "${name}" importiert`,
+      instanceId: name,
+      templateId: manifest.templateId || null,
+      fileCount: files.length
+    });
+  } catch (error) {
+    console.error('Error importing instance archive:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/templates
  * List all available templates
@@ -0,0 +1,162 @@
+/**
+ * Bulk Routes
+ * Handles applying one change to many testcases in a single request
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateInstance } = require('../../middleware/global');
+const { getRequestAuthor } = require('../../utils/global');
+const {
+  validateBulkRequest,
+  validateBulkTargets,
+  runBulkUpdate,
+  validateReplaceRequest,
+  replaceTestcaseText,
+  listTextReplacements,
+  recordTextReplacement
+} = require('../../utils/testcases');
+
+// Characters of context shown around each match in the find-and-replace preview
+const REPLACE_CONTEXT_LENGTH = 40;
+
+/**
+ * POST /api/:instance/bulk
+ * Apply one operation to all testcases matching the targets
+ * Body: {
+ *   targets: { ids, module, category, profile, refFunction, status } - combined with AND, at least one
+ *            (status is the rolled-up testcase status, 'OPEN' for open testcases),
+ *   operation:
+ *     { type: 'setStatus', status: 'PASSED'|'FAILED'|'SKIPPED'|null, justification } |
+ *     { type: 'clearResults' } |
+ *     { type: 'addProfile', profile } |
+ *     { type: 'addReference', reference } |
+ *     { type: 'appendNote', text },
+ *   dryRun: only return the report
+ * }
+ * All-or-nothing: if a testcase cannot be written or was changed concurrently, the files
+ * already written are restored (409 on concurrent changes).
+ * Returns before/after (status, profiles, references, note count, tags) and a change summary per testcase.
+ */
+router.post('/:instance/bulk', validateInstance, async (req, res) => {
+  try {
+    const { targets, operation, dryRun = false } = req.body || {};
+    
+    const validationError = validateBulkRequest(targets, operation);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const report = await runBulkUpdate({
+      instancePath: req.instancePath,
+      testcasesPath: req.testcasesPath,
+      targets,
+      operation,
+      author: getRequestAuthor(req),
+      dryRun: Boolean(dryRun)
+    });
+    
+    res.json({
+      success: true,
+      dryRun: Boolean(dryRun),
+      operation: operation.type,
+      ...report
+    });
+  } catch (error) {
+    if (error.code === 'ECONFLICT') {
+      return res.status(409).json({ error: `${error.message} - keine Änderungen gespeichert` });
+    }
+    console.error('Error applying bulk update:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/:instance/replace
+ * Find and replace text in testcases
+ * Body: {
+ *   search, replace,
+ *   regex: search is a regular expression (replace may use $1, $<name>, $&),
+ *   caseSensitive,
+ *   fields: subset of title, purpose, preconditions, command, expectedResult (default: all),
+ *   targets: selectors as for /bulk, e.g. { module, category, profile } (default: all testcases),
+ *   dryRun: only list the matches with context
+ * }
+ * Applied as one bulk update (all-or-nothing, a revision per testcase) and logged in the
+ * instance (see GET /api/:instance/replacements).
+ */
+router.post('/:instance/replace', validateInstance, async (req, res) => {
+  try {
+    const { targets, dryRun = false } = req.body || {};
+
+    const { replace, error: replaceError } = validateReplaceRequest(req.body);
+    if (replaceError) {
+      return res.status(400).json({ error: replaceError });
+    }
+    const targetsError = targets !== undefined ? validateBulkTargets(targets) : null;
+    if (targetsError) {
+      return res.status(400).json({ error: targetsError });
+    }
+
+    const author = getRequestAuthor(req);
+    const report = await runBulkUpdate({
+      instancePath: req.instancePath,
+      testcasesPath: req.testcasesPath,
+      targets: targets || {},
+      operation: { type: 'replaceText', replace },
+      author,
+      dryRun: Boolean(dryRun),
+      revisionSummary: `Suchen/Ersetzen: "${replace.search}" → "${replace.replacement}"`,
+      describeResult: before => replaceTestcaseText(structuredClone(before), replace, { contextLength: REPLACE_CONTEXT_LENGTH })
+    });
+
+    const testcases = report.results
+      .filter(r => r.details.length > 0)
+      .map(r => ({ id: r.id, path: r.path, changed: r.changed, matches: r.details }));
+    const matchCount = testcases.reduce((n, tc) => n + tc.matches.length, 0);
+
+    const changed = testcases.filter(tc => tc.changed);
+    const entry = dryRun || changed.length === 0 ? null : await recordTextReplacement(req.instancePath, {
+      search: replace.search,
+      replace: replace.replacement,
+      regex: !replace.literal,
+      caseSensitive: replace.caseSensitive,
+      fields: replace.fields,
+      targets: targets || {},
+      testcases: changed.map(tc => tc.id),
+      matches: matchCount,
+      author
+    });
+
+    res.json({
+      success: true,
+      dryRun: Boolean(dryRun),
+      matchCount,
+      changed: changed.length,
+      testcases,
+      unreadable: report.unreadable,
+      entry
+    });
+  } catch (error) {
+    if (error.code === 'ECONFLICT') {
+      return res.status(409).json({ error: `${error.message} - keine Änderungen gespeichert` });
+    }
+    console.error('Error replacing text:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/:instance/replacements
+ * List the find-and-replace operations of the instance (oldest first)
+ */
+router.get('/:instance/replacements', validateInstance, async (req, res) => {
+  try {
+    res.json({ replacements: await listTextReplacements(req.instancePath) });
+  } catch (error) {
+    console.error('Error listing replacements:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -16,13 +16,74 @@ const {
 } = require('docx');
 
 const { validateInstance } = require('../../middleware/global');
+const { resolveRunQuery, resolveSearchQuery } = require('../../middleware/testcases');
 const { REPORT_TEMPLATES_DIR, STATUS_COLORS } = require('../../config');
 const { 
   collectAllTestcases, 
   collectDetailedTestcases,
-  groupTestcasesWithVariants 
+  groupTestcasesWithVariants,
+  readFindings,
+  formatFindingLink,
+  describeNoteAnchor,
+  SEVERITY_LABELS,
+  FINDING_STATE_LABELS,
+  parseProfilesXML,
+  resolveProfileConfigPath,
+  collectICSDocument
 } = require('../../utils/testcases');
 
+/**
+ * One-line text of a note in a report (replies indented, anchor and internal notes marked)
+ */
+function formatReportNote(note) {
+  const anchor = describeNoteAnchor(note);
+  return [
+    note.depth > 0 ? `${'  '.repeat(note.depth - 1)}» ` : '',
+    anchor ? `[${anchor}] ` : '',
+    note.visibility === 'internal' ? '(intern) ' : '',
+    note.author ? `${note.author}: ` : '',
+    note.text.replace(/\s+/g, ' ')
+  ].join('');
+}
+
+/**
+ * Findings of a report: findings linked to a reported testcase and findings without links
+ * (only the links to reported testcases are listed)
+ * @param {string} instancePath - Root path of the instance
+ * @param {Array} modules - Reported modules with their categories and testcases
+ * @returns {Array} Findings
+ */
+async function collectReportFindings(instancePath, modules) {
+  const ids = new Set(modules.flatMap(mod => mod.categories.flatMap(cat => cat.testcases.map(tc => tc.id))));
+  return (await readFindings(instancePath))
+    .filter(f => f.links.length === 0 || f.links.some(l => ids.has(l.testcaseId)))
+    .map(f => ({ ...f, links: f.links.filter(l => ids.has(l.testcaseId)) }));
+}
+
+/**
+ * Content of the ICS document of an instance (see collectICSDocument)
+ * @returns {Object|null} null if the instance has no profile configuration
+ */
+async function readICSDocument(testcasesPath) {
+  const xmlPath = resolveProfileConfigPath(testcasesPath);
+  if (!xmlPath) return null;
+  return collectICSDocument(await parseProfilesXML(await fs.readFile(xmlPath, 'utf-8')));
+}
+
+/**
+ * Status line of the ICS document (completed flag and answered questions)
+ */
+function describeICSStatus(ics) {
+  const { answered, visible, missing } = ics.completeness;
+  return [
+    ics.completed ? 'Checkliste abgeschlossen' : 'Checkliste nicht abgeschlossen (Entwurf)',
+    `${answered} von ${visible} zutreffenden Fragen beantwortet`,
+    missing.length > 0 ? `${missing.length} Pflichtfragen offen` : ''
+  ].filter(Boolean).join(' | ');
+}
+
+const ICS_SIGNATURE_FIELDS = ['Ort, Datum', 'Name, Funktion', 'Unterschrift Hersteller'];
+
 /**
  * GET /api/:instance/export/templates
  * List available DOCX templates
@@ -76,13 +137,25 @@ router.get('/:instance/export/templates', validateInstance, async (req, res) =>
 /**
  * GET /api/:instance/export/pdf
  * Generate PDF report
+ * Query: run=<run id> to report one run, default/latest: the latest run per testcase.
+ * Testcases with more than one run list their earlier runs below their row.
+ * approvedOnly=true reports results without four-eyes approval as open.
+ * Findings linked to the reported testcases are listed in a closing section.
+ * Notes shared with the manufacturer are listed with their testcase, internalNotes=true adds internal notes.
+ * q=<query> only reports the testcases matching a search query (see /search).
  */
-router.get('/:instance/export/pdf', validateInstance, async (req, res) => {
+router.get('/:instance/export/pdf', validateInstance, resolveRunQuery, resolveSearchQuery, async (req, res) => {
   try {
     const activeProfiles = req.query.profiles ? req.query.profiles.split(',') : null;
     const filterMode = req.query.filterMode || 'OR';
     
-    const modules = await collectAllTestcases(req.testcasesPath, activeProfiles, filterMode);
+    const modules = await collectAllTestcases(req.testcasesPath, activeProfiles, filterMode, {
+      run: req.run?.id,
+      registeredRuns: req.registeredRuns,
+      approvedOnly: req.query.approvedOnly === 'true',
+      includeInternalNotes: req.query.internalNotes === 'true',
+      ids: req.queryIds
+    });
     
     const doc = new PDFDocument({ 
       size: 'A4', 
@@ -111,6 +184,22 @@ router.get('/:instance/export/pdf', validateInstance, async (req, res) => {
         { align: 'center' }
       );
     }
+    if (req.query.q) {
+      doc.moveDown(0.5);
+      doc.fontSize(10).fillColor(colors.purple).text(`Gefiltert nach Suchanfrage: ${req.query.q}`, { align: 'center' });
+    }
+    
+    doc.moveDown(0.5);
+    doc.fontSize(10).fillColor(colors.gray).text(
+      req.run ? `Prüfrunde: ${req.run.name}` : 'Prüfrunde: jeweils letzte Prüfrunde je TestCase',
+      { align: 'center' }
+    );
+    if (req.query.approvedOnly === 'true') {
+      doc.fontSize(10).fillColor(colors.gray).text('Nur freigegebene Ergebnisse (Vier-Augen-Prinzip)', { align: 'center' });
+    }
+    if (req.query.internalNotes === 'true') {
+      doc.fontSize(10).fillColor(colors.danger).text('Enthält interne Notizen - nicht zur Weitergabe an den Hersteller', { align: 'center' });
+    }
     
     // Calculate statistics
     let totalTestcases = 0;
@@ -174,6 +263,7 @@ router.get('/:instance/export/pdf', validateInstance, async (req, res) => {
         let currentY = tableTop + rowHeight;
         
         const grouped = groupTestcasesWithVariants(cat.testcases);
+        let rowIndex = 0;
         
         for (const item of grouped) {
           if (currentY > 780) {
@@ -193,13 +283,19 @@ router.get('/:instance/export/pdf', validateInstance, async (req, res) => {
             currentY += rowHeight;
           }
           
-          if (item.type === 'single' || item.type === 'variant') {
-            const tc = item.testcase;
+          // Gap and group markers are only relevant in the UI
+          if (item.type === 'testcase') {
+            const tc = item.tc;
             const profiles = tc.profiles ? tc.profiles.slice(0, 2).join(', ') + (tc.profiles.length > 2 ? '...' : '') : '-';
             
+            // Other runs of the testcase (e.g. the failed first run before the passing retest)
+            const otherRuns = (tc.runs || []).length > 1 ? tc.runs.filter(r => r.id !== tc.run) : [];
+            const notes = tc.notes || [];
+            const height = rowHeight + (otherRuns.length + notes.length) * 10;
+            
             // Zebra striping
-            if (item.type === 'variant' && item.index % 2 === 1) {
-              doc.rect(40, currentY, 515, rowHeight).fill('#F9FAFB');
+            if (rowIndex++ % 2 === 1) {
+              doc.rect(40, currentY, 515, height).fill('#F9FAFB');
             }
             
             // Status color
@@ -214,7 +310,23 @@ router.get('/:instance/export/pdf', validateInstance, async (req, res) => {
             doc.fillColor(colors.gray).text(profiles, 380, currentY + 5, { width: colWidths.profiles });
             doc.fillColor(statusColor).text(statusText, 480, currentY + 5, { width: colWidths.status });
             
-            currentY += rowHeight;
+            otherRuns.forEach((run, i) => {
+              const runStatus = { PASSED: 'Bestanden', FAILED: 'Fehler', SKIPPED: 'Übersp.' }[run.status] || 'Offen';
+              const details = [run.testDate, run.tester].filter(Boolean).join(', ');
+              doc.fillColor(colors.gray).text(
+                `${run.name || 'Ohne Prüfrunde'}${details ? ` (${details})` : ''}: ${runStatus}`,
+                145, currentY + 15 + i * 10, { width: colWidths.title + colWidths.profiles }
+              );
+            });
+            
+            notes.forEach((note, i) => {
+              doc.fillColor(note.visibility === 'internal' ? colors.danger : colors.gray).text(
+                formatReportNote(note).substring(0, 110),
+                145, currentY + 15 + (otherRuns.length + i) * 10, { width: colWidths.title + colWidths.profiles + colWidths.status }
+              );
+            });
+            
+            currentY += height;
           }
         }
         
@@ -223,6 +335,38 @@ router.get('/:instance/export/pdf', validateInstance, async (req, res) => {
       }
     }
     
+    // Findings
+    const findings = await collectReportFindings(req.instancePath, modules);
+    if (findings.length > 0) {
+      doc.addPage();
+      doc.fontSize(18).fillColor(colors.primary).text('Befunde', 40, doc.y, { underline: true });
+      doc.moveDown(0.5);
+      
+      for (const finding of findings) {
+        if (doc.y > 700) doc.addPage();
+        
+        let severityColor = colors.gray;
+        if (finding.severity === 'critical' || finding.severity === 'high') severityColor = colors.danger;
+        else if (finding.severity === 'medium') severityColor = colors.warning;
+        
+        doc.font('Helvetica-Bold').fontSize(11).fillColor(colors.primary).text(`${finding.id}: ${finding.title}`, { width: 515 });
+        doc.font('Helvetica').fontSize(9)
+          .fillColor(severityColor).text(`Schweregrad: ${SEVERITY_LABELS[finding.severity] || finding.severity}`, { continued: true })
+          .fillColor(colors.gray).text(`  |  Status: ${FINDING_STATE_LABELS[finding.state] || finding.state}`);
+        if (finding.description) {
+          doc.fillColor('#000000').text(finding.description, { width: 515 });
+        }
+        if (finding.manufacturerResponse) {
+          doc.font('Helvetica-Bold').fillColor('#000000').text('Stellungnahme Hersteller: ', { continued: true })
+            .font('Helvetica').text(finding.manufacturerResponse, { width: 515 });
+        }
+        if (finding.links.length > 0) {
+          doc.fillColor(colors.primary).text(`Betroffen: ${finding.links.map(formatFindingLink).join(', ')}`, { width: 515 });
+        }
+        doc.moveDown(0.8);
+      }
+    }
+    
     // Page numbers
     const pageCount = doc.bufferedPageRange().count;
     for (let i = 0; i < pageCount; i++) {
@@ -241,13 +385,25 @@ router.get('/:instance/export/pdf', validateInstance, async (req, res) => {
 /**
  * GET /api/:instance/export/docx
  * Generate DOCX report programmatically
+ * Query: run=<run id> to report one run, default/latest: the latest run per testcase.
+ * The status column lists all runs of testcases that have more than one.
+ * approvedOnly=true reports results without four-eyes approval as open.
+ * Findings linked to the reported testcases are listed in a closing section.
+ * Notes shared with the manufacturer are listed with their testcase, internalNotes=true adds internal notes.
+ * q=<query> only reports the testcases matching a search query (see /search).
  */
-router.get('/:instance/export/docx', validateInstance, async (req, res) => {
+router.get('/:instance/export/docx', validateInstance, resolveRunQuery, resolveSearchQuery, async (req, res) => {
   try {
     const activeProfiles = req.query.profiles ? req.query.profiles.split(',') : null;
     const filterMode = req.query.filterMode || 'OR';
     
-    const data = await collectDetailedTestcases(req.testcasesPath, activeProfiles, filterMode);
+    const data = await collectDetailedTestcases(req.testcasesPath, activeProfiles, filterMode, {
+      run: req.run?.id,
+      registeredRuns: req.registeredRuns,
+      approvedOnly: req.query.approvedOnly === 'true',
+      includeInternalNotes: req.query.internalNotes === 'true',
+      ids: req.queryIds
+    });
     const date = new Date().toLocaleDateString('de-DE');
     
     // Generate programmatically for reliability
@@ -263,6 +419,15 @@ router.get('/:instance/export/docx', validateInstance, async (req, res) => {
       }
     };
     
+    const getStatusText = (status) => {
+      switch (status) {
+        case 'PASSED': return 'Bestanden';
+        case 'FAILED': return 'Fehlgeschlagen';
+        case 'SKIPPED': return 'Übersprungen';
+        default: return 'Offen';
+      }
+    };
+    
     const children = [];
     
     // Title
@@ -297,6 +462,40 @@ router.get('/:instance/export/docx', validateInstance, async (req, res) => {
       }));
     }
     
+    if (req.query.q) {
+      children.push(new Paragraph({
+        alignment: AlignmentType.CENTER,
+        spacing: { after: 300 },
+        children: [new TextRun({ text: `Gefiltert nach Suchanfrage: ${req.query.q}`, color: '9333EA', size: 18 })]
+      }));
+    }
+    
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 300 },
+      children: [new TextRun({ 
+        text: req.run ? `Prüfrunde: ${req.run.name}` : 'Prüfrunde: jeweils letzte Prüfrunde je TestCase', 
+        color: '6B7280', 
+        size: 18 
+      })]
+    }));
+    
+    if (req.query.approvedOnly === 'true') {
+      children.push(new Paragraph({
+        alignment: AlignmentType.CENTER,
+        spacing: { after: 300 },
+        children: [new TextRun({ text: 'Nur freigegebene Ergebnisse (Vier-Augen-Prinzip)', color: '6B7280', size: 18 })]
+      }));
+    }
+    
+    if (req.query.internalNotes === 'true') {
+      children.push(new Paragraph({
+        alignment: AlignmentType.CENTER,
+        spacing: { after: 300 },
+        children: [new TextRun({ text: 'Enthält interne Notizen - nicht zur Weitergabe an den Hersteller', color: 'DC2626', size: 18 })]
+      }));
+    }
+    
     // Statistics heading
     children.push(new Paragraph({
       heading: HeadingLevel.HEADING_1,
@@ -374,9 +573,28 @@ router.get('/:instance/export/docx', validateInstance, async (req, res) => {
           tableRows.push(new TableRow({
             children: [
               new TableCell({ borders: cellBorders, children: [new Paragraph({ children: [new TextRun({ text: tc.id || '', color: '2563EB' })] })] }),
-              new TableCell({ borders: cellBorders, children: [new Paragraph({ children: [new TextRun({ text: tc.title || '' })] })] }),
+              new TableCell({ borders: cellBorders, children: [
+                new Paragraph({ children: [new TextRun({ text: tc.title || '' })] }),
+                ...(tc.notes || []).map(note => new Paragraph({
+                  children: [new TextRun({
+                    text: formatReportNote(note),
+                    color: note.visibility === 'internal' ? 'DC2626' : '6B7280',
+                    size: 16
+                  })]
+                }))
+              ] }),
               new TableCell({ borders: cellBorders, children: [new Paragraph({ children: [new TextRun({ text: tc.profilesText || '-', color: '6B7280', size: 18 })] })] }),
-              new TableCell({ borders: cellBorders, children: [new Paragraph({ children: [new TextRun({ text: tc.statusText || 'Offen', color: getStatusColor(tc.status) })] })] }),
+              new TableCell({ borders: cellBorders, children: [
+                new Paragraph({ children: [new TextRun({ text: tc.statusText || 'Offen', color: getStatusColor(tc.status) })] }),
+                // All runs if there is more than one (e.g. the failed first run and the passing retest)
+                ...((tc.runs || []).length > 1 ? tc.runs.map(run => new Paragraph({
+                  children: [new TextRun({
+                    text: `${run.name || 'Ohne Prüfrunde'}: ${getStatusText(run.status)}${run.testDate ? ` (${run.testDate})` : ''}`,
+                    color: getStatusColor(run.status),
+                    size: 16
+                  })]
+                })) : [])
+              ] }),
             ]
           }));
         }
@@ -390,6 +608,61 @@ router.get('/:instance/export/docx', validateInstance, async (req, res) => {
       }
     }
     
+    // Findings
+    const findings = await collectReportFindings(req.instancePath, data.modules);
+    if (findings.length > 0) {
+      const getSeverityColor = (severity) => {
+        switch (severity) {
+          case 'critical':
+          case 'high': return 'DC2626';
+          case 'medium': return 'CA8A04';
+          default: return '6B7280';
+        }
+      };
+      
+      children.push(new Paragraph({
+        heading: HeadingLevel.HEADING_1,
+        spacing: { before: 400 },
+        children: [new TextRun({ text: 'Befunde', bold: true })]
+      }));
+      
+      for (const finding of findings) {
+        children.push(new Paragraph({
+          heading: HeadingLevel.HEADING_2,
+          children: [new TextRun({ text: `${finding.id}: ${finding.title}`, bold: true })]
+        }));
+        
+        children.push(new Paragraph({
+          spacing: { after: 100 },
+          children: [
+            new TextRun({ text: `Schweregrad: ${SEVERITY_LABELS[finding.severity] || finding.severity}`, color: getSeverityColor(finding.severity), size: 20 }),
+            new TextRun({ text: `  |  Status: ${FINDING_STATE_LABELS[finding.state] || finding.state}`, color: '6B7280', size: 20 })
+          ]
+        }));
+        
+        if (finding.description) {
+          children.push(new Paragraph({ spacing: { after: 100 }, children: [new TextRun({ text: finding.description })] }));
+        }
+        
+        if (finding.manufacturerResponse) {
+          children.push(new Paragraph({
+            spacing: { after: 100 },
+            children: [
+              new TextRun({ text: 'Stellungnahme Hersteller: ', bold: true }),
+              new TextRun({ text: finding.manufacturerResponse })
+            ]
+          }));
+        }
+        
+        if (finding.links.length > 0) {
+          children.push(new Paragraph({
+            spacing: { after: 200 },
+            children: [new TextRun({ text: `Betroffen: ${finding.links.map(formatFindingLink).join(', ')}`, color: '2563EB', size: 18 })]
+          }));
+        }
+      }
+    }
+    
     // Footer
     children.push(new Paragraph({
       alignment: AlignmentType.CENTER,
@@ -421,4 +694,329 @@ router.get('/:instance/export/docx', validateInstance, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/:instance/export/ics/pdf
+ * Generate the Implementation Conformance Statement (ICS) as PDF
+ * Lists the metadata, every checklist question with its answer (hidden questions as not
+ * applicable), the derived profiles and a signature block for the manufacturer.
+ */
+router.get('/:instance/export/ics/pdf', validateInstance, async (req, res) => {
+  try {
+    const ics = await readICSDocument(req.testcasesPath);
+    if (!ics) {
+      return res.status(404).json({ error: 'Keine Profil-Konfiguration vorhanden' });
+    }
+    
+    const doc = new PDFDocument({ 
+      size: 'A4', 
+      margin: 40,
+      bufferPages: true
+    });
+    
+    const filename = `ics-${req.params.instance}-${new Date().toISOString().split('T')[0]}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    
+    doc.pipe(res);
+    
+    const colors = STATUS_COLORS;
+    
+    // Title
+    doc.fontSize(20).fillColor(colors.primary).text('Implementation Conformance Statement', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(12).fillColor(colors.gray).text(`Instanz: ${req.params.instance}`, { align: 'center' });
+    doc.fontSize(10).text(`Erstellt am: ${new Date().toLocaleDateString('de-DE')}`, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fillColor(ics.completed && ics.completeness.missing.length === 0 ? colors.success : colors.warning)
+      .text(describeICSStatus(ics), { align: 'center' });
+    
+    // Metadata
+    doc.moveDown(1.5);
+    doc.fontSize(14).fillColor(colors.primary).text('Angaben zum Produkt', 40, doc.y, { underline: true });
+    doc.moveDown(0.5);
+    doc.fontSize(10);
+    for (const { label, value } of ics.metadata) {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fillColor('#000000').text(label, 45, y, { width: 120 });
+      doc.font('Helvetica').text(value || '-', 170, y, { width: 385 });
+      doc.moveDown(0.3);
+    }
+    
+    // Sections
+    const colWidths = { id: 90, text: 320, answer: 95 };
+    const rowHeader = (y) => {
+      doc.rect(40, y, 515, 18).fill(colors.lightGray);
+      doc.fillColor('#000000').fontSize(9).font('Helvetica-Bold');
+      doc.text('ID', 45, y + 5, { width: colWidths.id });
+      doc.text('Frage', 140, y + 5, { width: colWidths.text });
+      doc.text('Antwort', 465, y + 5, { width: colWidths.answer });
+      doc.font('Helvetica').fontSize(8);
+      return y + 18;
+    };
+    
+    for (const section of ics.sections) {
+      if (doc.y > 680) doc.addPage();
+      doc.moveDown(1);
+      doc.fontSize(13).fillColor(colors.primary).text(section.title, 40, doc.y, { width: 515 });
+      if (section.description) {
+        doc.fontSize(9).fillColor(colors.gray).text(section.description, { width: 515 });
+      }
+      doc.moveDown(0.3);
+      
+      let currentY = rowHeader(doc.y);
+      section.questions.forEach((question, i) => {
+        const text = question.required ? `${question.text} *` : question.text;
+        const height = Math.max(doc.heightOfString(text, { width: colWidths.text }), doc.heightOfString(question.answer, { width: colWidths.answer })) + 8;
+        if (currentY + height > 780) {
+          doc.addPage();
+          currentY = rowHeader(40);
+        }
+        
+        // Zebra striping
+        if (i % 2 === 1) {
+          doc.rect(40, currentY, 515, height).fill('#F9FAFB');
+        }
+        
+        doc.fillColor(question.shown ? colors.primary : colors.gray).text(question.id, 45, currentY + 4, { width: colWidths.id });
+        doc.fillColor(question.shown ? '#000000' : colors.gray).text(text, 140, currentY + 4, { width: colWidths.text });
+        doc.fillColor(question.shown ? '#000000' : colors.gray).text(question.answer, 465, currentY + 4, { width: colWidths.answer });
+        currentY += height;
+      });
+      doc.y = currentY;
+    }
+    doc.moveDown(0.5);
+    doc.fontSize(8).fillColor(colors.gray).text('* Pflichtfrage', 40, doc.y);
+    
+    // Derived profiles
+    doc.addPage();
+    doc.fontSize(14).fillColor(colors.primary).text('Abgeleitete Profile', 40, doc.y, { underline: true });
+    doc.moveDown(0.5);
+    if (ics.profiles.length === 0) {
+      doc.fontSize(10).fillColor(colors.gray).text('Aus den Antworten ergeben sich keine Profile.');
+    }
+    for (const profile of ics.profiles) {
+      if (doc.y > 740) doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(colors.purple).text(profile.id, { continued: profile.name !== profile.id })
+        .font('Helvetica').fillColor('#000000').text(profile.name !== profile.id ? ` - ${profile.name}` : '');
+      if (profile.category) {
+        doc.fontSize(8).fillColor(colors.gray).text(profile.category);
+      }
+      if (profile.description) {
+        doc.fontSize(9).fillColor('#000000').text(profile.description, { width: 515 });
+      }
+      doc.moveDown(0.5);
+    }
+    
+    // Signature block
+    const product = ics.metadata.find(m => m.label === 'Produkt')?.value;
+    if (doc.y > 600) doc.addPage();
+    doc.moveDown(2);
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(colors.primary).text('Bestätigung des Herstellers', 40, doc.y);
+    doc.font('Helvetica').fontSize(9).fillColor('#000000').text(
+      `Der Hersteller bestätigt, dass die Angaben in diesem Implementation Conformance Statement ${product ? `für ${product} ` : ''}vollständig und zutreffend sind.`,
+      { width: 515 }
+    );
+    for (const field of ICS_SIGNATURE_FIELDS) {
+      doc.moveDown(2.5);
+      const y = doc.y;
+      doc.moveTo(40, y).lineTo(300, y).strokeColor(colors.gray).stroke();
+      doc.fontSize(8).fillColor(colors.gray).text(field, 40, y + 4);
+    }
+    
+    // Page numbers
+    const pageCount = doc.bufferedPageRange().count;
+    for (let i = 0; i < pageCount; i++) {
+      doc.switchToPage(i);
+      doc.fontSize(8).fillColor(colors.gray);
+      doc.text(`Seite ${i + 1} von ${pageCount}`, 40, 810, { align: 'center', width: 515 });
+    }
+    
+    doc.end();
+  } catch (error) {
+    console.error('Error generating ICS PDF:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/:instance/export/ics/docx
+ * Generate the Implementation Conformance Statement (ICS) as DOCX (same content as the PDF)
+ */
+router.get('/:instance/export/ics/docx', validateInstance, async (req, res) => {
+  try {
+    const ics = await readICSDocument(req.testcasesPath);
+    if (!ics) {
+      return res.status(404).json({ error: 'Keine Profil-Konfiguration vorhanden' });
+    }
+    
+    const tableBorder = { style: BorderStyle.SINGLE, size: 1, color: "CCCCCC" };
+    const cellBorders = { top: tableBorder, bottom: tableBorder, left: tableBorder, right: tableBorder };
+    const headerCell = (text, size) => new TableCell({
+      borders: cellBorders,
+      width: { size, type: WidthType.DXA },
+      shading: { fill: 'F3F4F6', type: ShadingType.CLEAR },
+      children: [new Paragraph({ children: [new TextRun({ text, bold: true })] })]
+    });
+    const cell = (text, options = {}) => new TableCell({
+      borders: cellBorders,
+      verticalAlign: VerticalAlign.CENTER,
+      children: [new Paragraph({ children: [new TextRun({ text, ...options })] })]
+    });
+    
+    const children = [];
+    
+    // Title
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 100 },
+      children: [new TextRun({ text: 'Implementation Conformance Statement', bold: true, size: 40 })]
+    }));
+    
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 100 },
+      children: [new TextRun({ text: `Instanz: ${req.params.instance} | Erstellt am: ${new Date().toLocaleDateString('de-DE')}`, color: '6B7280', size: 20 })]
+    }));
+    
+    children.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 400 },
+      children: [new TextRun({
+        text: describeICSStatus(ics),
+        color: ics.completed && ics.completeness.missing.length === 0 ? '16A34A' : 'CA8A04',
+        size: 20
+      })]
+    }));
+    
+    // Metadata
+    children.push(new Paragraph({
+      heading: HeadingLevel.HEADING_1,
+      children: [new TextRun({ text: 'Angaben zum Produkt', bold: true })]
+    }));
+    
+    children.push(new Table({
+      columnWidths: [2500, 6500],
+      rows: ics.metadata.map(({ label, value }) => new TableRow({
+        children: [
+          new TableCell({ borders: cellBorders, width: { size: 2500, type: WidthType.DXA }, shading: { fill: 'F3F4F6', type: ShadingType.CLEAR }, children: [new Paragraph({ children: [new TextRun({ text: label, bold: true })] })] }),
+          new TableCell({ borders: cellBorders, width: { size: 6500, type: WidthType.DXA }, children: [new Paragraph({ children: [new TextRun({ text: value || '-' })] })] })
+        ]
+      }))
+    }));
+    
+    // Sections
+    for (const section of ics.sections) {
+      children.push(new Paragraph({
+        heading: HeadingLevel.HEADING_1,
+        spacing: { before: 400 },
+        children: [new TextRun({ text: section.title, bold: true })]
+      }));
+      
+      if (section.description) {
+        children.push(new Paragraph({
+          spacing: { after: 200 },
+          children: [new TextRun({ text: section.description, color: '6B7280', size: 20 })]
+        }));
+      }
+      
+      children.push(new Table({
+        columnWidths: [1800, 5200, 2000],
+        rows: [
+          new TableRow({
+            tableHeader: true,
+            children: [headerCell('ID', 1800), headerCell('Frage', 5200), headerCell('Antwort', 2000)]
+          }),
+          ...section.questions.map(question => {
+            const color = question.shown ? undefined : '9CA3AF';
+            return new TableRow({
+              children: [
+                cell(question.id, { color: question.shown ? '2563EB' : color, size: 18 }),
+                cell(question.required ? `${question.text} *` : question.text, { color }),
+                cell(question.answer, { color, bold: question.shown })
+              ]
+            });
+          })
+        ]
+      }));
+    }
+    
+    children.push(new Paragraph({
+      spacing: { before: 100 },
+      children: [new TextRun({ text: '* Pflichtfrage', color: '6B7280', size: 16 })]
+    }));
+    
+    // Derived profiles
+    children.push(new Paragraph({
+      heading: HeadingLevel.HEADING_1,
+      spacing: { before: 400 },
+      children: [new TextRun({ text: 'Abgeleitete Profile', bold: true })]
+    }));
+    
+    if (ics.profiles.length === 0) {
+      children.push(new Paragraph({ children: [new TextRun({ text: 'Aus den Antworten ergeben sich keine Profile.', color: '6B7280' })] }));
+    }
+    
+    for (const profile of ics.profiles) {
+      children.push(new Paragraph({
+        spacing: { before: 200 },
+        children: [
+          new TextRun({ text: profile.id, bold: true, color: '9333EA' }),
+          new TextRun({ text: profile.name !== profile.id ? ` - ${profile.name}` : '' }),
+          new TextRun({ text: profile.category ? `  (${profile.category})` : '', color: '6B7280', size: 18 })
+        ]
+      }));
+      if (profile.description) {
+        children.push(new Paragraph({ children: [new TextRun({ text: profile.description, size: 20 })] }));
+      }
+    }
+    
+    // Signature block
+    const product = ics.metadata.find(m => m.label === 'Produkt')?.value;
+    children.push(new Paragraph({
+      heading: HeadingLevel.HEADING_1,
+      spacing: { before: 600 },
+      children: [new TextRun({ text: 'Bestätigung des Herstellers', bold: true })]
+    }));
+    
+    children.push(new Paragraph({
+      spacing: { after: 200 },
+      children: [new TextRun({
+        text: `Der Hersteller bestätigt, dass die Angaben in diesem Implementation Conformance Statement ${product ? `für ${product} ` : ''}vollständig und zutreffend sind.`,
+        size: 20
+      })]
+    }));
+    
+    for (const field of ICS_SIGNATURE_FIELDS) {
+      children.push(new Paragraph({
+        spacing: { before: 600 },
+        border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: '6B7280', space: 1 } },
+        children: []
+      }));
+      children.push(new Paragraph({ children: [new TextRun({ text: field, color: '6B7280', size: 16 })] }));
+    }
+    
+    // Create document
+    const doc = new Document({
+      sections: [{
+        properties: {
+          page: { margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 } }
+        },
+        children: children
+      }]
+    });
+    
+    const output = await Packer.toBuffer(doc);
+    
+    const filename = `ics-${req.params.instance}-${new Date().toISOString().split('T')[0]}.docx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', output.length);
+    
+    res.send(output);
+  } catch (error) {
+    console.error('Error generating ICS DOCX:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,170 @@
+/**
+ * Findings Routes
+ * Handles the findings register (manufacturer defects linked to testcases and expected results)
+ */
+
+const express = require('express');
+const router = express.Router();
+const fsSync = require('fs');
+const path = require('path');
+const { validateInstance } = require('../../middleware/global');
+const { getRequestAuthor } = require('../../utils/global');
+const {
+  parseTestcaseXML,
+  readFindings,
+  validateFinding,
+  resolveFindingLinks,
+  createFinding,
+  updateFinding,
+  deleteFinding,
+  getTestcaseFindings
+} = require('../../utils/testcases');
+
+/**
+ * Validate a finding request and resolve its links
+ * Responds 400 and returns null if the request is invalid.
+ * @returns {Object|null} Request fields with resolved links
+ */
+async function prepareFinding(req, res, { partial }) {
+  const validationError = validateFinding(req.body, { partial });
+  if (validationError) {
+    res.status(400).json({ error: validationError });
+    return null;
+  }
+
+  const data = { ...req.body };
+  if (data.links !== undefined) {
+    const { links, errors } = await resolveFindingLinks(req.testcasesPath, data.links);
+    if (errors.length > 0) {
+      res.status(400).json({ error: 'Ungültige Verknüpfungen', details: errors });
+      return null;
+    }
+    data.links = links;
+  }
+  return data;
+}
+
+/**
+ * GET /api/:instance/findings
+ * List the findings of an instance
+ * Query: state, severity, testcaseId (combined with AND)
+ */
+router.get('/:instance/findings', validateInstance, async (req, res) => {
+  try {
+    const { state, severity, testcaseId } = req.query;
+    let findings = await readFindings(req.instancePath);
+
+    if (testcaseId) findings = getTestcaseFindings(findings, testcaseId);
+    findings = findings.filter(f =>
+      (!state || f.state === state) &&
+      (!severity || f.severity === severity)
+    );
+
+    res.json({ findings });
+  } catch (error) {
+    console.error('Error listing findings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/:instance/findings
+ * Create a finding
+ * Body: { title, severity, description, manufacturerResponse, state, links: [{ testcaseId, stepId, expectedResultId }] }
+ * Links are checked against the testcases of the instance (stepId is filled in for expected results)
+ */
+router.post('/:instance/findings', validateInstance, async (req, res) => {
+  try {
+    const data = await prepareFinding(req, res, { partial: false });
+    if (!data) return;
+
+    const finding = await createFinding(req.instancePath, data, getRequestAuthor(req));
+    res.status(201).json({ success: true, finding });
+  } catch (error) {
+    console.error('Error creating finding:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/:instance/findings/:id
+ * Get a finding
+ */
+router.get('/:instance/findings/:id', validateInstance, async (req, res) => {
+  try {
+    const finding = (await readFindings(req.instancePath)).find(f => f.id === req.params.id);
+    if (!finding) {
+      return res.status(404).json({ error: `Befund ${req.params.id} nicht gefunden` });
+    }
+
+    res.json(finding);
+  } catch (error) {
+    console.error('Error reading finding:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/:instance/findings/:id
+ * Update a finding
+ * Body: fields as for POST (omitted fields are kept, links replaces all links)
+ */
+router.put('/:instance/findings/:id', validateInstance, async (req, res) => {
+  try {
+    const data = await prepareFinding(req, res, { partial: true });
+    if (!data) return;
+
+    const finding = await updateFinding(req.instancePath, req.params.id, data, getRequestAuthor(req));
+    if (!finding) {
+      return res.status(404).json({ error: `Befund ${req.params.id} nicht gefunden` });
+    }
+
+    res.json({ success: true, finding });
+  } catch (error) {
+    console.error('Error updating finding:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/:instance/findings/:id
+ * Delete a finding
+ */
+router.delete('/:instance/findings/:id', validateInstance, async (req, res) => {
+  try {
+    if (!(await deleteFinding(req.instancePath, req.params.id))) {
+      return res.status(404).json({ error: `Befund ${req.params.id} nicht gefunden` });
+    }
+
+    res.json({ success: true, message: `Befund ${req.params.id} gelöscht` });
+  } catch (error) {
+    console.error('Error deleting finding:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/:instance/testcase/:module/:category/:filename/findings
+ * List the findings linked to a testcase
+ */
+router.get('/:instance/testcase/:module/:category/:filename/findings', validateInstance, async (req, res) => {
+  const { module, category, filename } = req.params;
+  const filePath = path.join(req.testcasesPath, module, category, filename);
+
+  try {
+    if (!fsSync.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Testcase not found' });
+    }
+
+    const testcase = await parseTestcaseXML(filePath);
+    res.json({
+      testcaseId: testcase.id,
+      findings: getTestcaseFindings(await readFindings(req.instancePath), testcase.id)
+    });
+  } catch (error) {
+    console.error('Error listing testcase findings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -8,11 +8,27 @@ const testcases = require('./testcases');
 const profiles = require('./profiles');
 const exportRoutes = require('./export');
 const notesAttachments = require('./notes-attachments');
+const templates = require('./templates');
+const structure = require('./structure');
+const validation = require('./validation');
+const revisions = require('./revisions');
+const bulk = require('./bulk');
+const runs = require('./runs');
+const workflow = require('./workflow');
+const findings = require('./findings');
 
 module.exports = {
   instances,
   testcases,
   profiles,
   export: exportRoutes,
-  notesAttachments
+  notesAttachments,
+  templates,
+  structure,
+  validation,
+  revisions,
+  bulk,
+  runs,
+  workflow,
+  findings
 };
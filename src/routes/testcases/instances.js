@@ -7,6 +7,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const xml2js = require('xml2js');
 const { INSTANCES_ROOT, TEMPLATES_ROOT } = require('../../config');
+const { readInstanceMeta } = require('../../utils/global');
 
 // Valid instance name pattern (URL-safe)
 const INSTANCE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
@@ -26,6 +27,14 @@ async function getInstances() {
         const instancePath = path.join(INSTANCES_ROOT, entry.name);
         // Testcases and profiles are now in testcases/ subfolder
         const testcasesPath = path.join(instancePath, 'testcases');
+        // A damaged instance.json must not hide the instance (or the others) from the listing
+        let meta = {};
+        let metaError = null;
+        try {
+          meta = await readInstanceMeta(instancePath);
+        } catch (error) {
+          metaError = error.message;
+        }
         
         let info = {
           id: entry.name,
@@ -40,7 +49,11 @@ async function getInstances() {
           testcaseCount: 0,
           filteredTestcaseCount: 0,
           hasInterfaces: false,
-          hasTestCases: false
+          hasTestCases: false,
+          templateId: meta.templateId || null,
+          archived: Boolean(meta.archived),
+          archivedAt: meta.archivedAt || null,
+          metaError
         };
         
         // Check for profiles - prefer profiles.xml over template (now in testcases/ subfolder)
@@ -177,9 +190,18 @@ async function getTemplates() {
     throw error;
   }
 }
+/**
+ * Drop cached testcase data of an instance that was deleted or renamed
+ * @param {string} instancePath - Absolute path of the instance
+ */
+function invalidateInstance(instancePath) {
+  const { invalidateTestcaseCache } = require('../../utils/testcases/cache');
+  invalidateTestcaseCache(instancePath);
+}
 
 
 module.exports = {
   getInstances,
-  getTemplates
+  getTemplates,
+  invalidateInstance
 }
\ No newline at end of file
@@ -9,24 +9,93 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const { validateInstance } = require('../../middleware/global');
-const { upload } = require('../../middleware/testcases');
-const { parseTestcaseXML, saveTestcaseXML } = require('../../utils/testcases');
+const { upload, testcaseIfMatch } = require('../../middleware/testcases');
+const {
+  parseTestcaseXML,
+  saveTestcaseXML,
+  NOTE_VISIBILITIES,
+  createNote,
+  editNoteText,
+  resolveAnchor,
+  collectThread,
+  getNoteThreads
+} = require('../../utils/testcases');
+const { readFileETag, getRequestAuthor } = require('../../utils/global');
+
+/**
+ * Save options that record the change in the revision history
+ */
+function historyOptions(req) {
+  return { history: { instancePath: req.instancePath, author: getRequestAuthor(req) } };
+}
 
 // ============================================
 // Notes Endpoints
 // ============================================
 
+/**
+ * Check the visibility and anchor of a note request
+ * @param {Object} testcase - Parsed testcase
+ * @param {Object} body - { visibility, stepId, expectedResultId }
+ * @returns {Object} { visibility, stepId, expectedResultId, error } (undefined: not given)
+ */
+function checkNoteFields(testcase, body) {
+  const { visibility, stepId, expectedResultId } = body;
+  if (visibility !== undefined && !NOTE_VISIBILITIES.includes(visibility)) {
+    return { error: `Ungültige Sichtbarkeit "${visibility}" (erlaubt: ${NOTE_VISIBILITIES.join(', ')})` };
+  }
+  if (stepId === undefined && expectedResultId === undefined) {
+    return { visibility };
+  }
+  const anchor = resolveAnchor(testcase, { stepId: stepId || '', expectedResultId: expectedResultId || '' });
+  return { visibility, stepId: anchor.stepId, expectedResultId: anchor.expectedResultId, error: anchor.error };
+}
+
+/**
+ * GET /api/:instance/testcase/:module/:category/:filename/notes
+ * List the notes of a testcase
+ * Returns notes (stored order) and threads (each note followed by its replies, with depth)
+ */
+router.get('/:instance/testcase/:module/:category/:filename/notes', validateInstance, async (req, res) => {
+  const { module, category, filename } = req.params;
+  const filePath = path.join(req.testcasesPath, module, category, filename);
+  
+  try {
+    if (!fsSync.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Testcase not found' });
+    }
+    
+    const testcase = await parseTestcaseXML(filePath);
+    res.set('ETag', await readFileETag(filePath));
+    res.json({ notes: testcase.notes, threads: getNoteThreads(testcase.notes) });
+  } catch (error) {
+    console.error('Error listing notes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/:instance/testcase/:module/:category/:filename/notes
  * Add a note to a testcase
+ * Body: { text, author, parentId, stepId, expectedResultId, visibility }
+ * - parentId: reply to a note (the reply is anchored like its thread)
+ * - stepId/expectedResultId: anchor to a TestStep or ExpectedResult (er-x-y), stepId is derived from the ER
+ * - visibility: 'internal' (default) or 'shared' (included in exports for the manufacturer)
+ * Honours If-Match (412 if the testcase changed), returns the new ETag
  */
-router.post('/:instance/testcase/:module/:category/:filename/notes', validateInstance, async (req, res) => {
+router.post('/:instance/testcase/:module/:category/:filename/notes', validateInstance, testcaseIfMatch, async (req, res) => {
   const { module, category, filename } = req.params;
-  const { text, author } = req.body;
+  const { text, author, parentId } = req.body || {};
   
-  if (!text || !text.trim()) {
+  if (typeof text !== 'string' || !text.trim()) {
     return res.status(400).json({ error: 'Note text is required' });
   }
+  if (author !== undefined && author !== null && typeof author !== 'string') {
+    return res.status(400).json({ error: 'author muss ein Text sein' });
+  }
+  if (parentId !== undefined && parentId !== null && typeof parentId !== 'string') {
+    return res.status(400).json({ error: 'parentId muss ein Text sein' });
+  }
   
   // Testcase XMLs are in testcases/ subfolder
   const filePath = path.join(req.testcasesPath, module, category, filename);
@@ -38,14 +107,33 @@ router.post('/:instance/testcase/:module/:category/:filename/notes', validateIns
       testcase.notes = [];
     }
     
-    const newNote = {
+    const fields = checkNoteFields(testcase, req.body);
+    if (fields.error) {
+      return res.status(400).json({ error: fields.error });
+    }
+    
+    let anchor = { stepId: fields.stepId || '', expectedResultId: fields.expectedResultId || '' };
+    let visibility = fields.visibility || 'internal';
+    if (parentId) {
+      const parent = testcase.notes.find(n => n.id === parentId);
+      if (!parent) {
+        return res.status(404).json({ error: `Notiz ${parentId} nicht gefunden` });
+      }
+      anchor = { stepId: parent.stepId, expectedResultId: parent.expectedResultId };
+      if (!fields.visibility) visibility = parent.visibility;
+    }
+    
+    const newNote = createNote(testcase.notes, {
       text: text.trim(),
-      timestamp: new Date().toISOString(),
-      author: author || ''
-    };
+      author: author || getRequestAuthor(req),
+      parentId: parentId || '',
+      ...anchor,
+      visibility
+    });
     
     testcase.notes.push(newNote);
-    await saveTestcaseXML(filePath, testcase);
+    await saveTestcaseXML(filePath, testcase, historyOptions(req));
+    res.set('ETag', await readFileETag(filePath));
     
     res.json({ 
       success: true, 
@@ -59,27 +147,89 @@ router.post('/:instance/testcase/:module/:category/:filename/notes', validateIns
 });
 
 /**
- * DELETE /api/:instance/testcase/:module/:category/:filename/notes/:index
- * Delete a note from a testcase
+ * PUT /api/:instance/testcase/:module/:category/:filename/notes/:noteId
+ * Edit a note
+ * Body: { text, visibility, stepId, expectedResultId } (omitted fields are kept)
+ * The previous text is kept in the note's versions. Anchors can only be changed on the first
+ * note of a thread and apply to its replies.
+ * Honours If-Match, returns the new ETag
+ */
+router.put('/:instance/testcase/:module/:category/:filename/notes/:noteId', validateInstance, testcaseIfMatch, async (req, res) => {
+  const { module, category, filename, noteId } = req.params;
+  const { text } = req.body || {};
+  
+  const filePath = path.join(req.testcasesPath, module, category, filename);
+  
+  try {
+    if (!fsSync.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Testcase not found' });
+    }
+    
+    const testcase = await parseTestcaseXML(filePath);
+    const note = testcase.notes.find(n => n.id === noteId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    if (text !== undefined && (typeof text !== 'string' || !text.trim())) {
+      return res.status(400).json({ error: 'Note text is required' });
+    }
+    const fields = checkNoteFields(testcase, req.body || {});
+    if (fields.error) {
+      return res.status(400).json({ error: fields.error });
+    }
+    
+    if (fields.stepId !== undefined) {
+      if (note.parentId) {
+        return res.status(400).json({ error: 'Antworten übernehmen den Anker ihres Threads' });
+      }
+      for (const threadNote of testcase.notes.filter(n => collectThread(testcase.notes, noteId).has(n.id))) {
+        threadNote.stepId = fields.stepId;
+        threadNote.expectedResultId = fields.expectedResultId;
+      }
+    }
+    if (fields.visibility !== undefined) note.visibility = fields.visibility;
+    if (text !== undefined) editNoteText(note, text.trim(), getRequestAuthor(req));
+    
+    await saveTestcaseXML(filePath, testcase, historyOptions(req));
+    res.set('ETag', await readFileETag(filePath));
+    
+    res.json({ 
+      success: true, 
+      note,
+      notes: testcase.notes
+    });
+  } catch (error) {
+    console.error('Error editing note:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/:instance/testcase/:module/:category/:filename/notes/:noteId
+ * Delete a note together with its replies
+ * Honours If-Match, returns the new ETag
  */
-router.delete('/:instance/testcase/:module/:category/:filename/notes/:index', validateInstance, async (req, res) => {
-  const { module, category, filename, index } = req.params;
-  const noteIndex = parseInt(index, 10);
+router.delete('/:instance/testcase/:module/:category/:filename/notes/:noteId', validateInstance, testcaseIfMatch, async (req, res) => {
+  const { module, category, filename, noteId } = req.params;
   
   const filePath = path.join(req.testcasesPath, module, category, filename);
   
   try {
     const testcase = await parseTestcaseXML(filePath);
     
-    if (!testcase.notes || noteIndex < 0 || noteIndex >= testcase.notes.length) {
+    if (!testcase.notes || !testcase.notes.some(n => n.id === noteId)) {
       return res.status(404).json({ error: 'Note not found' });
     }
     
-    testcase.notes.splice(noteIndex, 1);
-    await saveTestcaseXML(filePath, testcase);
+    const removed = collectThread(testcase.notes, noteId);
+    testcase.notes = testcase.notes.filter(n => !removed.has(n.id));
+    await saveTestcaseXML(filePath, testcase, historyOptions(req));
+    res.set('ETag', await readFileETag(filePath));
     
     res.json({ 
       success: true, 
+      removed: [...removed],
       notes: testcase.notes
     });
   } catch (error) {
@@ -95,9 +245,11 @@ router.delete('/:instance/testcase/:module/:category/:filename/notes/:index', va
 /**
  * POST /api/:instance/testcase/:module/:category/:testcaseId/attachments
  * Upload an attachment
+ * Honours If-Match (checked before the upload is stored), returns the new ETag
  */
 router.post('/:instance/testcase/:module/:category/:testcaseId/attachments', 
   validateInstance, 
+  testcaseIfMatch,
   upload.single('file'), 
   async (req, res) => {
     const { module, category, testcaseId } = req.params;
@@ -128,7 +280,8 @@ router.post('/:instance/testcase/:module/:category/:testcaseId/attachments',
       };
       
       testcase.attachments.push(newAttachment);
-      await saveTestcaseXML(filePath, testcase);
+      await saveTestcaseXML(filePath, testcase, historyOptions(req));
+      res.set('ETag', await readFileETag(filePath));
       
       res.json({ 
         success: true, 
@@ -168,9 +321,11 @@ router.get('/:instance/attachments/:testcaseId/:filename', validateInstance, asy
 /**
  * DELETE /api/:instance/testcase/:module/:category/:testcaseId/attachments/:filename
  * Delete an attachment
+ * Honours If-Match, returns the new ETag
  */
 router.delete('/:instance/testcase/:module/:category/:testcaseId/attachments/:filename', 
   validateInstance, 
+  testcaseIfMatch,
   async (req, res) => {
     const { module, category, testcaseId, filename: attachmentFilename } = req.params;
     
@@ -196,7 +351,8 @@ router.delete('/:instance/testcase/:module/:category/:testcaseId/attachments/:fi
       
       // Remove from testcase
       testcase.attachments.splice(attachmentIndex, 1);
-      await saveTestcaseXML(xmlPath, testcase);
+      await saveTestcaseXML(xmlPath, testcase, historyOptions(req));
+      res.set('ETag', await readFileETag(xmlPath));
       
       // Delete file
       try {
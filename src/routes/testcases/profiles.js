@@ -6,15 +6,27 @@
 const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;
-const fsSync = require('fs');
 const path = require('path');
 const { validateInstance } = require('../../middleware/global');
+const { computeETag, ifMatchSatisfied, getRequestAuthor, acquireLock } = require('../../utils/global');
 const { 
   getProfilesStructure, 
   getHashtagsStructure,
   parseProfilesXML, 
   buildProfilesXML,
-  calculateDerivedProfiles 
+  calculateDerivedProfiles,
+  validateProfileConditions,
+  checkChecklist,
+  analyzeProfileImpact,
+  resolveProfileConfigPath,
+  validateChange,
+  PROFILES_SCHEMA,
+  TAG_TYPES,
+  validateTagRename,
+  listTagRenames,
+  recordTagRename,
+  validateBulkTargets,
+  runBulkUpdate
 } = require('../../utils/testcases');
 
 /**
@@ -48,24 +60,104 @@ router.get('/:instance/hashtags', validateInstance, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/:instance/hashtags/rename
+ * Rename a function/user tag, or merge several tags into one, on testcase and step level
+ * Body: {
+ *   type: 'function' | 'user',
+ *   from: old name or list of names (e.g. ['startTransacion', 'StartTransaction']),
+ *   to: new name (merged if already in use),
+ *   targets: selectors as for /bulk (default: all testcases),
+ *   dryRun: only list the affected testcases
+ * }
+ * All affected testcases are written together (or none of them), each gets a revision and
+ * the rename is logged once in the instance (see GET /api/:instance/hashtags/renames).
+ */
+router.post('/:instance/hashtags/rename', validateInstance, async (req, res) => {
+  try {
+    const { targets, dryRun = false } = req.body || {};
+
+    const { rename, error: renameError } = validateTagRename(req.body);
+    if (renameError) {
+      return res.status(400).json({ error: renameError });
+    }
+    const targetsError = targets !== undefined ? validateBulkTargets(targets) : null;
+    if (targetsError) {
+      return res.status(400).json({ error: targetsError });
+    }
+
+    const { field, element } = TAG_TYPES[rename.type];
+    const author = getRequestAuthor(req);
+    const report = await runBulkUpdate({
+      instancePath: req.instancePath,
+      testcasesPath: req.testcasesPath,
+      targets: targets || {},
+      operation: { type: 'renameTag', rename },
+      author,
+      dryRun: Boolean(dryRun),
+      revisionSummary: `${element} umbenannt: ${rename.from.join(', ')} → ${rename.to}`
+    });
+
+    const affected = report.results.filter(r => r.changed);
+    if (affected.length === 0) {
+      return res.status(404).json({ error: `${element} ${rename.from.join(', ')} wird in keinem Testfall verwendet` });
+    }
+    const merged = report.results.some(r => r.before[field].includes(rename.to));
+
+    const entry = dryRun ? null : await recordTagRename(req.instancePath, {
+      ...rename,
+      merged,
+      testcases: affected.map(r => r.id),
+      author
+    });
+
+    res.json({
+      success: true,
+      dryRun: Boolean(dryRun),
+      rename,
+      merged,
+      testcases: affected.map(r => ({
+        id: r.id,
+        path: r.path,
+        before: r.before[field],
+        after: r.after[field],
+        summary: r.summary
+      })),
+      unreadable: report.unreadable,
+      entry
+    });
+  } catch (error) {
+    if (error.code === 'ECONFLICT') {
+      return res.status(409).json({ error: `${error.message} - keine Änderungen gespeichert` });
+    }
+    console.error('Error renaming hashtag:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/:instance/hashtags/renames
+ * List the tag renames of the instance (oldest first)
+ */
+router.get('/:instance/hashtags/renames', validateInstance, async (req, res) => {
+  try {
+    res.json({ renames: await listTagRenames(req.instancePath) });
+  } catch (error) {
+    console.error('Error listing hashtag renames:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/:instance/profile-config
  * Get ICS checklist configuration
  * Reads from profiles.xml if exists, otherwise falls back to profiles-template.xml
+ * Includes the completeness report (see GET /api/:instance/profile-config/completeness)
  */
 router.get('/:instance/profile-config', validateInstance, async (req, res) => {
   try {
-    // profiles.xml is now in testcases/ subfolder
-    const profilesPath = path.join(req.testcasesPath, 'profiles.xml');
-    const templatePath = path.join(req.testcasesPath, 'profiles-template.xml');
-    
     // Prefer profiles.xml (user data), fall back to template
-    let xmlPath = null;
-    if (fsSync.existsSync(profilesPath)) {
-      xmlPath = profilesPath;
-    } else if (fsSync.existsSync(templatePath)) {
-      xmlPath = templatePath;
-    }
+    const xmlPath = resolveProfileConfigPath(req.testcasesPath);
     
     if (!xmlPath) {
       return res.json({ 
@@ -80,11 +172,13 @@ router.get('/:instance/profile-config', validateInstance, async (req, res) => {
     // Calculate derived/active profiles
     const derivedProfiles = calculateDerivedProfiles(profilesData);
     
+    res.set('ETag', computeETag(xmlContent));
     res.json({ 
       exists: true,
       ...profilesData,
       derivedProfiles,        // Frontend expects this name
-      activeProfiles: derivedProfiles  // Also include for backwards compatibility
+      activeProfiles: derivedProfiles,  // Also include for backwards compatibility
+      completeness: checkChecklist(profilesData)
     });
   } catch (error) {
     console.error('Error reading profile config:', error);
@@ -92,19 +186,141 @@ router.get('/:instance/profile-config', validateInstance, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/:instance/profile-config/completeness
+ * Completeness report of the ICS checklist: shown required questions without answer (missing,
+ * these prevent completed="true"), shown optional questions without answer, invalid answers
+ * and group conflicts
+ */
+router.get('/:instance/profile-config/completeness', validateInstance, async (req, res) => {
+  try {
+    const xmlPath = resolveProfileConfigPath(req.testcasesPath);
+    if (!xmlPath) {
+      return res.status(404).json({ error: 'Keine Profil-Konfiguration vorhanden' });
+    }
+    
+    const profilesData = await parseProfilesXML(await fs.readFile(xmlPath, 'utf-8'));
+    res.json({ completed: profilesData.completed, ...checkChecklist(profilesData) });
+  } catch (error) {
+    console.error('Error checking profile config:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/:instance/profile-config/preview
+ * Impact of proposed checklist data (same body as PUT) compared with the saved configuration:
+ * gained/lost profiles, testcases entering or leaving the scope of the profile filter (leaving
+ * testcases that hold results, notes, attachments or findings are flagged with hasData), and
+ * the condition errors and completeness report a save would be checked against.
+ * Nothing is written.
+ */
+router.post('/:instance/profile-config/preview', validateInstance, async (req, res) => {
+  try {
+    const { templateInfo, ...proposedData } = req.body || {};
+    if (!Array.isArray(proposedData.sections)) {
+      return res.status(400).json({ error: 'sections erforderlich' });
+    }
+    
+    const currentPath = resolveProfileConfigPath(req.testcasesPath);
+    const currentData = currentPath
+      ? await parseProfilesXML(await fs.readFile(currentPath, 'utf-8'))
+      : { completed: false, sections: [] };
+    
+    const impact = await analyzeProfileImpact(req.testcasesPath, req.instancePath, currentData, proposedData);
+    res.json({ 
+      ...impact,
+      conditionErrors: validateProfileConditions(proposedData),
+      completeness: checkChecklist(proposedData)
+    });
+  } catch (error) {
+    console.error('Error previewing profile config:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Check If-Match against the profile configuration the client loaded (profiles.xml or the template)
+ * Sends 412 with the current ETag and configuration on conflict.
+ * Callers hold the lock of profiles.xml until they wrote.
+ * @param {Object} req - Express request (after validateInstance)
+ * @param {Object} res - Express response
+ * @returns {Object|null} { currentPath, currentXml } (both null if no configuration exists), null after a 412
+ */
+async function checkProfileConfigIfMatch(req, res) {
+  const currentPath = resolveProfileConfigPath(req.testcasesPath);
+  const currentXml = currentPath ? await fs.readFile(currentPath, 'utf-8') : null;
+  const currentETag = currentXml !== null ? computeETag(currentXml) : null;
+  if (!ifMatchSatisfied(req.get('If-Match'), currentETag)) {
+    if (currentETag) res.set('ETag', currentETag);
+    res.status(412).json({ 
+      error: 'Profilkonfiguration wurde zwischenzeitlich geändert. Bitte neu laden.',
+      etag: currentETag,
+      current: currentXml !== null ? await parseProfilesXML(currentXml) : null
+    });
+    return null;
+  }
+  return { currentPath, currentXml };
+}
+
 /**
  * PUT /api/:instance/profile-config
  * Save ICS checklist configuration
  * Always saves to profiles.xml (not template)
+ * Rejected with the affected lines if the document introduces errors against profiles.xsd,
+ * with the affected questions if a condition (ProfileMapping@condition, Question@visibleIf) or an
+ * answer is invalid or an exclusive group has several selections, and with the completeness report
+ * if completed is set while shown required questions are unanswered
+ * Honours If-Match: 412 with the current configuration if it changed since it was loaded
  */
 router.put('/:instance/profile-config', validateInstance, async (req, res) => {
+  const profilesPath = path.join(req.testcasesPath, 'profiles.xml');
+  const release = await acquireLock(profilesPath);
   try {
-    const profilesPath = path.join(req.testcasesPath, 'profiles.xml');
-    const profilesData = req.body;
+    // TemplateInfo belongs to profiles-template.xml only
+    const { templateInfo, ...profilesData } = req.body;
+    
+    const current = await checkProfileConfigIfMatch(req, res);
+    if (!current) return;
+    const { currentPath, currentXml } = current;
+    
+    // Reject invalid conditions (mapping conditions and visibleIf, expressions over the questions)
+    const conditionErrors = validateProfileConditions(profilesData);
+    if (conditionErrors.length > 0) {
+      return res.status(400).json({ 
+        error: `Ungültige Bedingung in der Checkliste: ${conditionErrors.map(e => `${e.questionId}${e.field === 'visibleIf' ? ' (visibleIf)' : ''} "${e.condition}": ${e.error}`).join('; ')}`,
+        details: conditionErrors
+      });
+    }
     
-    // Build and save XML
+    // Reject invalid answers, and completing the checklist while required answers are missing
+    const completeness = checkChecklist(profilesData);
+    if (completeness.errors.length > 0) {
+      return res.status(400).json({ 
+        error: `Ungültige Antworten in der Checkliste: ${completeness.errors.map(e => `${e.questionId}: ${e.error}`).join('; ')}`,
+        details: completeness.errors
+      });
+    }
+    if (profilesData.completed && completeness.missing.length > 0) {
+      return res.status(400).json({ 
+        error: `Checkliste unvollständig: ${completeness.missing.length} Pflichtfrage(n) ohne Antwort (${completeness.missing.map(m => m.questionId).join(', ')})`,
+        completeness
+      });
+    }
+    
+    // Build XML and reject documents that introduce schema errors
     const xml = buildProfilesXML(profilesData);
+    const previousXml = currentPath === profilesPath ? currentXml : null;
+    const validation = await validateChange(req.testcasesPath, PROFILES_SCHEMA, xml, previousXml);
+    if (!validation.valid) {
+      return res.status(400).json({ 
+        error: `Profilkonfiguration entspricht nicht dem Schema (${PROFILES_SCHEMA})`,
+        details: validation.errors
+      });
+    }
+    
     await fs.writeFile(profilesPath, xml, 'utf-8');
+    res.set('ETag', computeETag(xml));
     
     // Calculate derived profiles for response
     const derivedProfiles = calculateDerivedProfiles(profilesData);
@@ -113,21 +329,28 @@ router.put('/:instance/profile-config', validateInstance, async (req, res) => {
       success: true, 
       message: 'Profile configuration saved',
       derivedProfiles,        // Frontend expects this name
-      activeProfiles: derivedProfiles  // Also include for backwards compatibility
+      activeProfiles: derivedProfiles,  // Also include for backwards compatibility
+      completeness
     });
   } catch (error) {
     console.error('Error saving profile config:', error);
     res.status(500).json({ error: error.message });
+  } finally {
+    release();
   }
 });
 
 /**
  * DELETE /api/:instance/profile-config
  * Reset ICS checklist configuration
+ * Honours If-Match like the PUT: 412 with the current configuration if it changed since it was loaded
  */
 router.delete('/:instance/profile-config', validateInstance, async (req, res) => {
+  const profilesPath = path.join(req.testcasesPath, 'profiles.xml');
+  const release = await acquireLock(profilesPath);
   try {
-    const profilesPath = path.join(req.testcasesPath, 'profiles.xml');
+    if (!await checkProfileConfigIfMatch(req, res)) return;
+    
     try { 
       await fs.unlink(profilesPath); 
     } catch {}
@@ -135,6 +358,8 @@ router.delete('/:instance/profile-config', validateInstance, async (req, res) =>
   } catch (error) {
     console.error('Error deleting profile config:', error);
     res.status(500).json({ error: error.message });
+  } finally {
+    release();
   }
 });
 
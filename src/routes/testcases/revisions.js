@@ -0,0 +1,233 @@
+/**
+ * Revision Routes
+ * Handles the revision history of testcases (list, view, diff, restore) and of deleted testcases
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { validateInstance } = require('../../middleware/global');
+const { testcaseIfMatch } = require('../../middleware/testcases');
+const { computeETag, getRequestAuthor } = require('../../utils/global');
+const {
+  parseTestcaseXML,
+  parseTestcaseContent,
+  renderTestcaseXML,
+  writeTestcaseXML,
+  listRevisions,
+  getRevisionFile,
+  readRevisionContent,
+  listDeletedHistories,
+  readDeletedRevisionContent,
+  diffTestcases,
+  summarizeDiff,
+  reconcileWorkflow
+} = require('../../utils/testcases');
+
+/**
+ * Resolve the testcase of a request
+ * @returns {Object} { id, filePath }
+ */
+function resolveTestcase(req) {
+  const { module, category, filename } = req.params;
+  return {
+    id: filename.replace(/\.xml$/, ''),
+    filePath: path.join(req.testcasesPath, module, category, filename)
+  };
+}
+
+/**
+ * Find a revision entry by number
+ * @returns {Object|null} Revision entry
+ */
+function findRevision(revisions, revision) {
+  return revisions.find(r => String(r.revision) === String(revision)) || null;
+}
+
+// Testcase ID and deletion folder pattern (used as folder names)
+const NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * GET /api/:instance/revisions/deleted
+ * List the revision histories of deleted testcases (newest deletion first)
+ * Query: id=<testcase id> to list the deletions of one testcase
+ */
+router.get('/:instance/revisions/deleted', validateInstance, async (req, res) => {
+  try {
+    const histories = (await listDeletedHistories(req.instancePath))
+      .filter(h => !req.query.id || h.testcaseId === req.query.id)
+      .map(h => ({ ...h, revisions: [...h.revisions].reverse() }));
+
+    res.json({ histories });
+  } catch (error) {
+    console.error('Error listing deleted histories:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/:instance/revisions/deleted/:testcaseId/:key/:revision
+ * Get a revision of a deleted testcase with the testcase as it was saved
+ */
+router.get('/:instance/revisions/deleted/:testcaseId/:key/:revision', validateInstance, async (req, res) => {
+  try {
+    const { testcaseId, key, revision } = req.params;
+    if (!NAME_PATTERN.test(testcaseId) || !NAME_PATTERN.test(key)) {
+      return res.status(400).json({ error: 'Ungültiger Pfad' });
+    }
+
+    const history = (await listDeletedHistories(req.instancePath)).find(h => h.testcaseId === testcaseId && h.key === key);
+    const entry = history ? findRevision(history.revisions, revision) : null;
+    const content = entry ? await readDeletedRevisionContent(req.instancePath, testcaseId, key, entry.revision) : null;
+    if (!content) {
+      return res.status(404).json({ error: `Revision ${revision} nicht gefunden` });
+    }
+
+    res.json({ ...entry, deleted: history.deleted, testcase: await parseTestcaseContent(content, testcaseId) });
+  } catch (error) {
+    console.error('Error reading deleted revision:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/:instance/testcase/:module/:category/:filename/revisions
+ * List the revisions of a testcase (newest first)
+ */
+router.get('/:instance/testcase/:module/:category/:filename/revisions', validateInstance, async (req, res) => {
+  try {
+    const { id } = resolveTestcase(req);
+    const revisions = await listRevisions(req.instancePath, id);
+
+    res.json({ testcaseId: id, revisions: [...revisions].reverse() });
+  } catch (error) {
+    console.error('Error listing revisions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/:instance/testcase/:module/:category/:filename/revisions/:revision
+ * Get a revision with the testcase as it was saved
+ */
+router.get('/:instance/testcase/:module/:category/:filename/revisions/:revision', validateInstance, async (req, res) => {
+  try {
+    const { id } = resolveTestcase(req);
+    const entry = findRevision(await listRevisions(req.instancePath, id), req.params.revision);
+    const content = entry ? await readRevisionContent(req.instancePath, id, entry.revision) : null;
+    if (!content) {
+      return res.status(404).json({ error: `Revision ${req.params.revision} nicht gefunden` });
+    }
+
+    res.json({ ...entry, testcase: await parseTestcaseContent(content, id) });
+  } catch (error) {
+    console.error('Error reading revision:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/:instance/testcase/:module/:category/:filename/revisions/:revision/diff
+ * Structured diff of a revision (fields, result, steps and expected result statuses, notes, attachments)
+ * Query: from=<revision> to compare against (default: the preceding revision),
+ *        from=current to compare against the current testcase
+ */
+router.get('/:instance/testcase/:module/:category/:filename/revisions/:revision/diff', validateInstance, async (req, res) => {
+  try {
+    const { id, filePath } = resolveTestcase(req);
+    const revisions = await listRevisions(req.instancePath, id);
+    const entry = findRevision(revisions, req.params.revision);
+    const content = entry ? await readRevisionContent(req.instancePath, id, entry.revision) : null;
+    if (!content) {
+      return res.status(404).json({ error: `Revision ${req.params.revision} nicht gefunden` });
+    }
+
+    let from = null;
+    let fromContent = null;
+    if (req.query.from === 'current') {
+      if (!fsSync.existsSync(filePath)) {
+        return res.status(404).json({ error: 'Testcase not found' });
+      }
+      from = 'current';
+      fromContent = await fs.readFile(filePath, 'utf-8');
+    } else {
+      const fromEntry = req.query.from !== undefined
+        ? findRevision(revisions, req.query.from)
+        : [...revisions].reverse().find(r => r.revision < entry.revision) || null;
+      if (req.query.from !== undefined && !fromEntry) {
+        return res.status(404).json({ error: `Revision ${req.query.from} nicht gefunden` });
+      }
+      if (fromEntry) {
+        from = fromEntry.revision;
+        fromContent = await readRevisionContent(req.instancePath, id, fromEntry.revision);
+      }
+    }
+
+    const diff = diffTestcases(
+      fromContent !== null ? await parseTestcaseContent(fromContent, id) : null,
+      await parseTestcaseContent(content, id)
+    );
+
+    res.json({ testcaseId: id, from, to: entry.revision, summary: summarizeDiff(diff), diff });
+  } catch (error) {
+    console.error('Error comparing revisions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/:instance/testcase/:module/:category/:filename/revisions/:revision/restore
+ * Restore an older revision as the current version
+ * The restore is recorded as a new revision, so the history itself is never rewritten.
+ * Attachments deleted since then are not recoverable and are reported as missing.
+ * Honours If-Match, returns the new ETag
+ */
+router.post('/:instance/testcase/:module/:category/:filename/revisions/:revision/restore', validateInstance, testcaseIfMatch, async (req, res) => {
+  try {
+    const { id, filePath } = resolveTestcase(req);
+    if (!fsSync.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Testcase not found' });
+    }
+
+    const entry = findRevision(await listRevisions(req.instancePath, id), req.params.revision);
+    const revisionFile = entry ? getRevisionFile(req.instancePath, id, entry.revision) : null;
+    if (!revisionFile || !fsSync.existsSync(revisionFile)) {
+      return res.status(404).json({ error: `Revision ${req.params.revision} nicht gefunden` });
+    }
+
+    // The testcase may have been renamed since; the snapshot keeps its document but gets the current ID.
+    // The workflow is not part of the restore: it continues from the current state.
+    const previous = await parseTestcaseXML(filePath);
+    const restored = await parseTestcaseContent(await renderTestcaseXML(revisionFile, { id }), id);
+    reconcileWorkflow(previous, restored, { actor: getRequestAuthor(req) });
+    const xml = await renderTestcaseXML(revisionFile, { id, workflow: restored.workflow });
+    const recorded = await writeTestcaseXML(filePath, xml, {
+      history: {
+        instancePath: req.instancePath,
+        author: getRequestAuthor(req),
+        summary: `Revision ${entry.revision} wiederhergestellt`
+      }
+    });
+
+    const testcase = await parseTestcaseContent(xml, id);
+    const missingAttachments = testcase.attachments
+      .filter(a => !fsSync.existsSync(path.join(req.instancePath, '_attachments', id, a.filename)))
+      .map(a => a.filename);
+
+    res.set('ETag', computeETag(xml));
+    res.json({
+      success: true,
+      message: `Revision ${entry.revision} wiederhergestellt`,
+      revision: recorded,
+      testcase,
+      missingAttachments
+    });
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,190 @@
+/**
+ * Run Routes
+ * Handles execution runs (test rounds such as "Erstprüfung" or "Nachprüfung 1")
+ */
+
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const fsSync = require('fs');
+const { validateInstance } = require('../../middleware/global');
+const { getRequestAuthor } = require('../../utils/global');
+const {
+  parseTestcaseXML,
+  getDashboardData,
+  validateBulkTargets,
+  runBulkUpdate,
+  listRuns,
+  registerRun,
+  unregisterRun,
+  getTestcaseRuns,
+  selectTestcaseRun
+} = require('../../utils/testcases');
+
+/**
+ * Start a run for the testcases matching the targets (all testcases without targets)
+ * @returns {Object} Bulk report (see runBulkUpdate)
+ */
+function startRunFor(req, run, { targets, tester, keepResults }) {
+  return runBulkUpdate({
+    instancePath: req.instancePath,
+    testcasesPath: req.testcasesPath,
+    targets: targets || {},
+    operation: { type: 'startRun', run: run.id, tester: tester || '', keepResults: Boolean(keepResults) },
+    author: getRequestAuthor(req),
+    revisionSummary: `Prüfrunde "${run.name}" gestartet`
+  });
+}
+
+/**
+ * GET /api/:instance/runs
+ * List the runs of the instance (in the order they were started) with their status counts
+ */
+router.get('/:instance/runs', validateInstance, async (req, res) => {
+  try {
+    const runs = [];
+    for (const run of await listRuns(req.instancePath)) {
+      const { total, passed, failed, skipped, open } = await getDashboardData(req.testcasesPath, run.id);
+      runs.push({ ...run, statistics: { total, passed, failed, skipped, open } });
+    }
+
+    res.json({ runs });
+  } catch (error) {
+    console.error('Error listing runs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/:instance/runs
+ * Create a run and start it for the matching testcases
+ * Body: {
+ *   name, description, tester,
+ *   targets: selectors as for /bulk (default: all testcases), e.g. { status: 'FAILED' } for a retest,
+ *   keepResults: assign results recorded before any run existed to this run instead of archiving them
+ * }
+ * The current results of each matching testcase are archived under its previous run and cleared.
+ * Testcases without results are not rewritten: they are open in every run and their first
+ * results are assigned to the run started last.
+ */
+router.post('/:instance/runs', validateInstance, async (req, res) => {
+  try {
+    const { name, description = '', tester, targets, keepResults } = req.body || {};
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Name der Prüfrunde erforderlich' });
+    }
+    const targetsError = targets !== undefined ? validateBulkTargets(targets) : null;
+    if (targetsError) {
+      return res.status(400).json({ error: targetsError });
+    }
+    if ((await listRuns(req.instancePath)).some(r => r.name === name.trim())) {
+      return res.status(409).json({ error: `Prüfrunde "${name.trim()}" existiert bereits` });
+    }
+
+    const run = await registerRun(req.instancePath, {
+      name: name.trim(),
+      description,
+      author: getRequestAuthor(req)
+    });
+
+    let report;
+    try {
+      report = await startRunFor(req, run, { targets, tester, keepResults });
+    } catch (error) {
+      // Nothing was written, so the run is not kept either
+      await unregisterRun(req.instancePath, run.id);
+      throw error;
+    }
+
+    res.status(201).json({ success: true, run, ...report });
+  } catch (error) {
+    if (error.code === 'ECONFLICT') {
+      return res.status(409).json({ error: `${error.message} - keine Änderungen gespeichert` });
+    }
+    console.error('Error creating run:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/:instance/runs/:run/start
+ * Start an existing run for further testcases
+ * Body: { tester, targets (required), keepResults } - see POST /api/:instance/runs
+ * Testcases already in the run are left unchanged.
+ */
+router.post('/:instance/runs/:run/start', validateInstance, async (req, res) => {
+  try {
+    const { tester, targets, keepResults } = req.body || {};
+
+    const run = (await listRuns(req.instancePath)).find(r => r.id === req.params.run);
+    if (!run) {
+      return res.status(404).json({ error: `Prüfrunde ${req.params.run} nicht gefunden` });
+    }
+    const targetsError = validateBulkTargets(targets);
+    if (targetsError) {
+      return res.status(400).json({ error: targetsError });
+    }
+
+    const report = await startRunFor(req, run, { targets, tester, keepResults });
+
+    res.json({ success: true, run, ...report });
+  } catch (error) {
+    if (error.code === 'ECONFLICT') {
+      return res.status(409).json({ error: `${error.message} - keine Änderungen gespeichert` });
+    }
+    console.error('Error starting run:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/:instance/testcase/:module/:category/:filename/runs
+ * List the runs of a testcase (oldest first, the current results last)
+ */
+router.get('/:instance/testcase/:module/:category/:filename/runs', validateInstance, async (req, res) => {
+  const { module, category, filename } = req.params;
+  const filePath = path.join(req.testcasesPath, module, category, filename);
+
+  try {
+    if (!fsSync.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Testcase not found' });
+    }
+
+    const testcase = await parseTestcaseXML(filePath);
+    res.json({
+      testcaseId: testcase.id,
+      runs: getTestcaseRuns(testcase, await listRuns(req.instancePath))
+    });
+  } catch (error) {
+    console.error('Error listing testcase runs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/:instance/testcase/:module/:category/:filename/runs/:run
+ * Get the testcase with the results of one run (read-only view)
+ */
+router.get('/:instance/testcase/:module/:category/:filename/runs/:run', validateInstance, async (req, res) => {
+  const { module, category, filename } = req.params;
+  const filePath = path.join(req.testcasesPath, module, category, filename);
+
+  try {
+    if (!fsSync.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Testcase not found' });
+    }
+
+    const testcase = selectTestcaseRun(await parseTestcaseXML(filePath), req.params.run);
+    if (!testcase) {
+      return res.status(404).json({ error: `Keine Ergebnisse in Prüfrunde ${req.params.run}` });
+    }
+
+    res.json(testcase);
+  } catch (error) {
+    console.error('Error reading testcase run:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,417 @@
+/**
+ * Structure Routes
+ * Handles creating, renaming and deleting modules and categories
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { validateInstance } = require('../../middleware/global');
+const {
+  readStructureMeta,
+  writeStructureMeta,
+  listTestcaseFiles,
+  relocateTestcase,
+  retireHistory,
+  relocateFindingLinks,
+  invalidateTestcaseCache
+} = require('../../utils/testcases');
+const { getRequestAuthor, acquireLocks } = require('../../utils/global');
+
+// Valid module and category pattern (used as folder names)
+const NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]*$/;
+
+/**
+ * Check title/description of a request body (both optional, strings if given)
+ * @returns {string|null} Error message or null
+ */
+function checkMetaFields(body) {
+  const invalid = ['title', 'description'].filter(field => body?.[field] !== undefined && typeof body[field] !== 'string');
+  return invalid.length > 0 ? `${invalid.join(' und ')} muss ein Text sein` : null;
+}
+
+/**
+ * Apply title/description from a request body to a metadata entry
+ */
+function applyMetaFields(entry, body) {
+  if (body.title !== undefined) entry.title = body.title;
+  if (body.description !== undefined) entry.description = body.description;
+  return entry;
+}
+
+/**
+ * Read the testcases below a module folder (optionally limited to one category) before it is deleted
+ * @returns {Array} [{ id, location: module/category, xml }]
+ */
+async function readTestcasesBelow(testcasesPath, module, category = null) {
+  const testcases = [];
+  for (const [relPath, filePath] of await listTestcaseFiles(testcasesPath)) {
+    const [mod, cat] = relPath.split('/');
+    if (mod !== module || (category && cat !== category)) continue;
+    testcases.push({ id: path.basename(relPath, '.xml'), location: `${mod}/${cat}`, xml: await fs.readFile(filePath, 'utf-8') });
+  }
+  return testcases;
+}
+
+/**
+ * Remove the attachment folders and finding links of deleted testcases and retire their revision histories
+ * @param {Object} req - Request (instance and author)
+ * @param {Array} testcases - Deleted testcases as returned by readTestcasesBelow
+ */
+async function removeTestcaseData(req, testcases) {
+  const author = getRequestAuthor(req);
+  for (const { id, location, xml } of testcases) {
+    await fs.rm(path.join(req.instancePath, '_attachments', id), { recursive: true, force: true });
+    await retireHistory({ instancePath: req.instancePath, testcaseId: id, xml, author, location });
+    await relocateFindingLinks(req.instancePath, id, null);
+  }
+}
+
+/**
+ * List the testcase IDs below a module folder (optionally limited to one category)
+ */
+async function listTestcaseIds(testcasesPath, module, category = null) {
+  const files = await listTestcaseFiles(testcasesPath);
+  return [...files.keys()]
+    .filter(relPath => {
+      const [mod, cat] = relPath.split('/');
+      return mod === module && (!category || cat === category);
+    })
+    .map(relPath => path.basename(relPath, '.xml'));
+}
+
+// ============================================
+// Modules
+// ============================================
+
+/**
+ * POST /api/:instance/modules
+ * Create a module
+ * Body: { id, title, description }
+ */
+router.post('/:instance/modules', validateInstance, async (req, res) => {
+  try {
+    const { id } = req.body || {};
+    if (typeof id !== 'string' || !NAME_PATTERN.test(id)) {
+      return res.status(400).json({ error: 'Ungültige Modul-ID. Erlaubt sind nur: a-z, A-Z, 0-9, _ und -' });
+    }
+    const fieldError = checkMetaFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    const modulePath = path.join(req.testcasesPath, id);
+    if (fsSync.existsSync(modulePath)) {
+      return res.status(409).json({ error: `Modul "${id}" existiert bereits` });
+    }
+
+    await fs.mkdir(modulePath, { recursive: true });
+
+    const meta = await readStructureMeta(req.testcasesPath);
+    meta.modules[id] = applyMetaFields({ categories: {} }, req.body);
+    await writeStructureMeta(req.testcasesPath, meta);
+
+    res.status(201).json({ success: true, message: `Modul "${id}" erstellt`, module: { id, ...meta.modules[id] } });
+  } catch (error) {
+    console.error('Error creating module:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/:instance/modules/:module
+ * Rename a module and/or change its title and description
+ * Body: { id, title, description } - all optional
+ */
+router.patch('/:instance/modules/:module', validateInstance, async (req, res) => {
+  try {
+    const { module } = req.params;
+    const newId = req.body?.id || module;
+
+    if (!NAME_PATTERN.test(module) || typeof newId !== 'string' || !NAME_PATTERN.test(newId)) {
+      return res.status(400).json({ error: 'Ungültige Modul-ID' });
+    }
+    const fieldError = checkMetaFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    const modulePath = path.join(req.testcasesPath, module);
+    if (!fsSync.existsSync(modulePath)) {
+      return res.status(404).json({ error: `Modul "${module}" nicht gefunden` });
+    }
+
+    const meta = await readStructureMeta(req.testcasesPath);
+    const entry = applyMetaFields(meta.modules[module] || { categories: {} }, req.body || {});
+
+    if (newId !== module) {
+      const newModulePath = path.join(req.testcasesPath, newId);
+      if (fsSync.existsSync(newModulePath)) {
+        return res.status(409).json({ error: `Modul "${newId}" existiert bereits` });
+      }
+      await fs.rename(modulePath, newModulePath);
+      invalidateTestcaseCache(modulePath);
+      delete meta.modules[module];
+    }
+
+    meta.modules[newId] = entry;
+    await writeStructureMeta(req.testcasesPath, meta);
+
+    res.json({ success: true, message: `Modul "${newId}" gespeichert`, module: { id: newId, ...entry } });
+  } catch (error) {
+    console.error('Error updating module:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/:instance/modules/:module
+ * Delete a module
+ * Query: force=true to delete a module that still contains testcases (and their attachments, the history is kept)
+ */
+router.delete('/:instance/modules/:module', validateInstance, async (req, res) => {
+  try {
+    const { module } = req.params;
+    if (!NAME_PATTERN.test(module)) {
+      return res.status(400).json({ error: 'Ungültige Modul-ID' });
+    }
+
+    const modulePath = path.join(req.testcasesPath, module);
+    if (!fsSync.existsSync(modulePath)) {
+      return res.status(404).json({ error: `Modul "${module}" nicht gefunden` });
+    }
+
+    const testcases = await readTestcasesBelow(req.testcasesPath, module);
+    const testcaseIds = testcases.map(t => t.id);
+    if (testcaseIds.length > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        error: `Modul "${module}" enthält noch ${testcaseIds.length} Testcase(s)`,
+        testcaseCount: testcaseIds.length,
+        requiresForce: true
+      });
+    }
+
+    await fs.rm(modulePath, { recursive: true, force: true });
+    invalidateTestcaseCache(modulePath);
+    await removeTestcaseData(req, testcases);
+
+    const meta = await readStructureMeta(req.testcasesPath);
+    delete meta.modules[module];
+    await writeStructureMeta(req.testcasesPath, meta);
+
+    res.json({ success: true, message: `Modul "${module}" gelöscht`, deletedTestcases: testcaseIds });
+  } catch (error) {
+    console.error('Error deleting module:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// Categories
+// ============================================
+
+/**
+ * POST /api/:instance/modules/:module/categories
+ * Create a category in a module
+ * Body: { id, title, description }
+ */
+router.post('/:instance/modules/:module/categories', validateInstance, async (req, res) => {
+  try {
+    const { module } = req.params;
+    const { id } = req.body || {};
+
+    if (!NAME_PATTERN.test(module)) {
+      return res.status(400).json({ error: 'Ungültige Modul-ID' });
+    }
+    if (typeof id !== 'string' || !NAME_PATTERN.test(id)) {
+      return res.status(400).json({ error: 'Ungültige Kategorie-ID. Erlaubt sind nur: a-z, A-Z, 0-9, _ und -' });
+    }
+    const fieldError = checkMetaFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    const modulePath = path.join(req.testcasesPath, module);
+    if (!fsSync.existsSync(modulePath)) {
+      return res.status(404).json({ error: `Modul "${module}" nicht gefunden` });
+    }
+
+    const categoryPath = path.join(modulePath, id);
+    if (fsSync.existsSync(categoryPath)) {
+      return res.status(409).json({ error: `Kategorie "${module}/${id}" existiert bereits` });
+    }
+
+    await fs.mkdir(categoryPath);
+
+    const meta = await readStructureMeta(req.testcasesPath);
+    const moduleEntry = meta.modules[module] || (meta.modules[module] = { categories: {} });
+    moduleEntry.categories = moduleEntry.categories || {};
+    moduleEntry.categories[id] = applyMetaFields({}, req.body);
+    await writeStructureMeta(req.testcasesPath, meta);
+
+    res.status(201).json({
+      success: true,
+      message: `Kategorie "${module}/${id}" erstellt`,
+      category: { id, ...moduleEntry.categories[id] }
+    });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/:instance/modules/:module/categories/:category
+ * Rename a category and/or change its title and description
+ * Body: { id, title, description, rewriteIds }
+ * With rewriteIds=true, testcase IDs starting with "<old category>_" are renamed to
+ * "<new category>_..." (file name, id attribute, attachments folder and revision history).
+ */
+router.patch('/:instance/modules/:module/categories/:category', validateInstance, async (req, res) => {
+  try {
+    const { module, category } = req.params;
+    const newId = req.body?.id || category;
+    const rewriteIds = req.body?.rewriteIds === true;
+
+    if (typeof newId !== 'string' || ![module, category, newId].every(n => NAME_PATTERN.test(n))) {
+      return res.status(400).json({ error: 'Ungültige Modul- oder Kategorie-ID' });
+    }
+    const fieldError = checkMetaFields(req.body);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    const categoryPath = path.join(req.testcasesPath, module, category);
+    if (!fsSync.existsSync(categoryPath)) {
+      return res.status(404).json({ error: `Kategorie "${module}/${category}" nicht gefunden` });
+    }
+
+    const newCategoryPath = path.join(req.testcasesPath, module, newId);
+    if (newId !== category && fsSync.existsSync(newCategoryPath)) {
+      return res.status(409).json({ error: `Kategorie "${module}/${newId}" existiert bereits` });
+    }
+
+    // Plan the ID rewrite and check for collisions before changing anything
+    const renames = [];
+    if (rewriteIds && newId !== category) {
+      const oldPrefix = `${category}_`;
+      const newPrefix = `${newId}_`;
+      for (const id of await listTestcaseIds(req.testcasesPath, module, category)) {
+        if (id.startsWith(oldPrefix)) {
+          renames.push({ oldId: id, newId: newPrefix + id.slice(oldPrefix.length) });
+        }
+      }
+
+      // Testcase IDs are unique per instance (attachments, history and finding links are keyed by ID)
+      const existingIds = new Set([...(await listTestcaseFiles(req.testcasesPath)).keys()].map(relPath => path.basename(relPath, '.xml')));
+      const taken = renames.filter(r => existingIds.has(r.newId));
+      if (taken.length > 0) {
+        return res.status(409).json({
+          error: 'Neue Testcase-IDs sind in der Instanz bereits vergeben',
+          ids: taken.map(r => r.newId)
+        });
+      }
+
+      const collisions = renames.filter(r => fsSync.existsSync(path.join(req.instancePath, '_attachments', r.newId)));
+      if (collisions.length > 0) {
+        return res.status(409).json({
+          error: 'Anhangsordner für neue Testcase-IDs existieren bereits',
+          ids: collisions.map(r => r.newId)
+        });
+      }
+    }
+
+    if (newId !== category) {
+      // Holds off single saves (If-Match) of the moved testcases until they are at their new place
+      const ids = await listTestcaseIds(req.testcasesPath, module, category);
+      const release = await acquireLocks([
+        ...ids.map(id => path.join(categoryPath, `${id}.xml`)),
+        ...ids.map(id => path.join(newCategoryPath, `${id}.xml`)),
+        ...renames.map(rename => path.join(newCategoryPath, `${rename.newId}.xml`))
+      ]);
+      try {
+        await fs.rename(categoryPath, newCategoryPath);
+        invalidateTestcaseCache(categoryPath);
+
+        for (const rename of renames) {
+          await relocateTestcase({
+            instancePath: req.instancePath,
+            sourcePath: path.join(newCategoryPath, `${rename.oldId}.xml`),
+            targetPath: path.join(newCategoryPath, `${rename.newId}.xml`),
+            oldId: rename.oldId,
+            newId: rename.newId,
+            author: getRequestAuthor(req)
+          });
+        }
+      } finally {
+        release();
+      }
+    }
+
+    const meta = await readStructureMeta(req.testcasesPath);
+    const moduleEntry = meta.modules[module] || (meta.modules[module] = { categories: {} });
+    moduleEntry.categories = moduleEntry.categories || {};
+    const entry = applyMetaFields(moduleEntry.categories[category] || {}, req.body || {});
+    delete moduleEntry.categories[category];
+    moduleEntry.categories[newId] = entry;
+    await writeStructureMeta(req.testcasesPath, meta);
+
+    res.json({
+      success: true,
+      message: `Kategorie "${module}/${newId}" gespeichert`,
+      category: { id: newId, ...entry },
+      renamedTestcases: renames
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/:instance/modules/:module/categories/:category
+ * Delete a category
+ * Query: force=true to delete a category that still contains testcases (and their attachments, the history is kept)
+ */
+router.delete('/:instance/modules/:module/categories/:category', validateInstance, async (req, res) => {
+  try {
+    const { module, category } = req.params;
+    if (!NAME_PATTERN.test(module) || !NAME_PATTERN.test(category)) {
+      return res.status(400).json({ error: 'Ungültige Modul- oder Kategorie-ID' });
+    }
+
+    const categoryPath = path.join(req.testcasesPath, module, category);
+    if (!fsSync.existsSync(categoryPath)) {
+      return res.status(404).json({ error: `Kategorie "${module}/${category}" nicht gefunden` });
+    }
+
+    const testcases = await readTestcasesBelow(req.testcasesPath, module, category);
+    const testcaseIds = testcases.map(t => t.id);
+    if (testcaseIds.length > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        error: `Kategorie "${module}/${category}" enthält noch ${testcaseIds.length} Testcase(s)`,
+        testcaseCount: testcaseIds.length,
+        requiresForce: true
+      });
+    }
+
+    await fs.rm(categoryPath, { recursive: true, force: true });
+    invalidateTestcaseCache(categoryPath);
+    await removeTestcaseData(req, testcases);
+
+    const meta = await readStructureMeta(req.testcasesPath);
+    if (meta.modules[module]?.categories) {
+      delete meta.modules[module].categories[category];
+      await writeStructureMeta(req.testcasesPath, meta);
+    }
+
+    res.json({ success: true, message: `Kategorie "${module}/${category}" gelöscht`, deletedTestcases: testcaseIds });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+/**
+ * Template Routes
+ * Handles upgrading instances to newer template versions and creating templates from instances
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { validateInstance } = require('../../middleware/global');
+const { TEMPLATES_ROOT } = require('../../config');
+const { readInstanceMeta, updateInstanceMeta, getRequestAuthor } = require('../../utils/global');
+const { upgradeInstance, createTemplateFromInstance } = require('../../utils/testcases');
+
+// Valid template ID pattern (URL-safe, existing template IDs may contain dots)
+const TEMPLATE_ID_PATTERN = /^[a-zA-Z0-9_.-]+$/;
+// Valid name pattern for new templates
+const TEMPLATE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Check the ID of an existing template ("." and ".." would leave the templates folder)
+ */
+function isTemplateId(value) {
+  return typeof value === 'string' && TEMPLATE_ID_PATTERN.test(value) && !/^\.+$/.test(value);
+}
+
+/**
+ * POST /api/:instance/upgrade
+ * Merge a newer template version into the instance (three-way merge)
+ * Body: {
+ *   templateId: new template,
+ *   baseTemplateId: original template (default: template the instance was created from),
+ *   resolve: 'local' (default, keep edited text) | 'template' (take template text on conflicts),
+ *   dryRun: only return the report
+ * }
+ * Statuses, actual results, notes and attachments are never touched.
+ */
+router.post('/:instance/upgrade', validateInstance, async (req, res) => {
+  try {
+    const { templateId, baseTemplateId: requestedBaseId, resolve = 'local', dryRun = false } = req.body || {};
+
+    if (!isTemplateId(templateId)) {
+      return res.status(400).json({ error: 'Ungültige Template-ID' });
+    }
+    if (requestedBaseId !== undefined && requestedBaseId !== null && requestedBaseId !== '' && !isTemplateId(requestedBaseId)) {
+      return res.status(400).json({ error: 'Ungültige ID des ursprünglichen Templates' });
+    }
+    if (!['local', 'template'].includes(resolve)) {
+      return res.status(400).json({ error: "resolve muss 'local' oder 'template' sein" });
+    }
+
+    const templateTestcasesPath = path.join(TEMPLATES_ROOT, templateId, 'testcases');
+    if (!fsSync.existsSync(templateTestcasesPath)) {
+      return res.status(404).json({ error: `Template "${templateId}" nicht gefunden` });
+    }
+
+    const meta = await readInstanceMeta(req.instancePath);
+    const baseTemplateId = requestedBaseId || meta.templateId || null;
+    const warnings = [];
+
+    // Without the original template every text difference and every testcase missing on one side is reported as a conflict
+    let baseTestcasesPath = null;
+    if (!baseTemplateId) {
+      warnings.push('Ursprüngliches Template unbekannt - alle Abweichungen werden als Konflikt gemeldet');
+    } else if (baseTemplateId === templateId) {
+      warnings.push(`Template "${templateId}" wurde überschrieben - ursprüngliche Version nicht verfügbar, alle Abweichungen werden als Konflikt gemeldet`);
+    } else if (!isTemplateId(baseTemplateId) || !fsSync.existsSync(path.join(TEMPLATES_ROOT, baseTemplateId, 'testcases'))) {
+      warnings.push(`Ursprüngliches Template "${baseTemplateId}" nicht gefunden - alle Abweichungen werden als Konflikt gemeldet`);
+    } else {
+      baseTestcasesPath = path.join(TEMPLATES_ROOT, baseTemplateId, 'testcases');
+    }
+
+    const report = await upgradeInstance({
+      testcasesPath: req.testcasesPath,
+      baseTestcasesPath,
+      templateTestcasesPath,
+      resolve,
+      dryRun: Boolean(dryRun),
+      history: {
+        instancePath: req.instancePath,
+        author: getRequestAuthor(req),
+        summary: `Template-Upgrade auf ${templateId}`
+      }
+    });
+
+    if (!dryRun) {
+      await updateInstanceMeta(req.instancePath, {
+        templateId,
+        previousTemplateId: baseTemplateId || undefined,
+        upgradedAt: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      dryRun: Boolean(dryRun),
+      templateId,
+      baseTemplateId,
+      warnings,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error upgrading instance:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/:instance/template
+ * Create a reusable template from the instance
+ * Body: { templateId, name, description }
+ * Results, statuses, notes, attachments and the filled-in ICS answers are not copied.
+ */
+router.post('/:instance/template', validateInstance, async (req, res) => {
+  try {
+    const { templateId, name, description } = req.body || {};
+    
+    if (typeof templateId !== 'string' || !TEMPLATE_NAME_PATTERN.test(templateId) || templateId.startsWith('_')) {
+      return res.status(400).json({ 
+        error: 'Ungültige Template-ID. Erlaubt sind nur: a-z, A-Z, 0-9, _ und - (nicht am Anfang: _)' 
+      });
+    }
+    if ([name, description].some(value => value !== undefined && value !== null && typeof value !== 'string')) {
+      return res.status(400).json({ error: 'name und description müssen Texte sein' });
+    }
+    
+    const templatePath = path.join(TEMPLATES_ROOT, templateId);
+    if (fsSync.existsSync(templatePath)) {
+      return res.status(409).json({ error: `Template "${templateId}" existiert bereits` });
+    }
+    
+    let result;
+    try {
+      result = await createTemplateFromInstance({
+        instancePath: req.instancePath,
+        templatePath,
+        templateInfo: {
+          id: templateId,
+          name: name || templateId,
+          description: description || ''
+        }
+      });
+    } catch (err) {
+      // Do not leave a half-written template behind
+      await fs.rm(templatePath, { recursive: true, force: true });
+      throw err;
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: `Template "${templateId}" aus Instanz "${req.instanceName}" erstellt`,
+      templateId,
+      testcaseCount: result.testcaseCount,
+      errors: result.errors
+    });
+  } catch (error) {
+    console.error('Error creating template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
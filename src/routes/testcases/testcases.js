@@ -6,17 +6,133 @@
 const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
 const xml2js = require('xml2js');
 const { validateInstance } = require('../../middleware/global');
+const { testcaseIfMatch, resolveRunQuery, resolveSearchQuery } = require('../../middleware/testcases');
+const { computeETag, readFileETag, getRequestAuthor } = require('../../utils/global');
 const { 
   readFolderStructure, 
   searchTestcases, 
   getDashboardData,
   parseTestcaseXML, 
-  saveTestcaseXML 
+  parseTestcaseContent,
+  renderTestcaseXML,
+  writeTestcaseXML,
+  parseTestcaseId,
+  allocateTestcaseId,
+  findGapsAfterRemoval,
+  relocateTestcase,
+  listTestcaseFiles,
+  retireHistory,
+  relocateFindingLinks,
+  invalidateTestcaseCache,
+  validateChange,
+  fillMissingStatuses,
+  findStatusInconsistencies,
+  reconcileWorkflow,
+  listRuns,
+  assignLatestRun,
+  STRUCTURE_DEPTHS,
+  STRUCTURE_PAGING,
+  SEARCH_PAGING,
+  parsePageQuery,
+  pageStructure,
+  pageSearchResults,
+  TESTCASE_SCHEMA
 } = require('../../utils/testcases');
 
+// Valid module, category and testcase ID pattern (used as folder/file names)
+const NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * List testcase IDs in a category folder (derived from the filenames)
+ * @param {string} categoryPath - Absolute category path
+ * @returns {Array} Testcase IDs
+ */
+async function listCategoryIds(categoryPath) {
+  const entries = await fs.readdir(categoryPath, { withFileTypes: true });
+  return entries
+    .filter(e => e.isFile() && e.name.endsWith('.xml'))
+    .map(e => e.name.replace(/\.xml$/, ''));
+}
+
+/**
+ * Locate all testcase IDs of an instance
+ * IDs are unique per instance: attachments, revision history and finding links are keyed by the bare ID.
+ * @param {string} testcasesPath - testcases folder of the instance
+ * @returns {Map} Testcase ID -> "module/category"
+ */
+async function listInstanceIds(testcasesPath) {
+  const ids = new Map();
+  for (const relPath of (await listTestcaseFiles(testcasesPath)).keys()) {
+    const [module, category, file] = relPath.split('/');
+    ids.set(file.replace(/\.xml$/, ''), `${module}/${category}`);
+  }
+  return ids;
+}
+
+/**
+ * Determine the ID prefix used in a category
+ * Uses the prefix of the existing testcases, or "<category>_" for empty categories
+ * @param {Array} ids - Testcase IDs in the category
+ * @param {string} category - Category folder name
+ * @returns {string} Prefix including trailing underscore
+ */
+function getCategoryPrefix(ids, category) {
+  const prefixes = ids.map(id => parseTestcaseId(id)).filter(p => p.number > 0).map(p => p.prefix);
+  return prefixes.includes(`${category}_`) ? `${category}_` : (prefixes[0] || `${category}_`);
+}
+
+/**
+ * Drop results from the data of a new testcase
+ * New testcases start without statuses, actual results, runs, notes and attachments.
+ * @param {Object} testcaseData - Testcase data from the request body
+ * @returns {Object} Testcase data without results
+ */
+function withoutResults(testcaseData) {
+  const { status, run, runs, tester, testDate, result, notes, attachments, ...data } = testcaseData;
+  if (Array.isArray(data.testSteps)) {
+    data.testSteps = data.testSteps.map(({ status, errorMessage, ...step }) => ({
+      ...step,
+      expectedResults: Array.isArray(step.expectedResults)
+        ? step.expectedResults.map(({ status, actualResult, variables, ...er }) => er)
+        : step.expectedResults
+    }));
+  }
+  return data;
+}
+
+/**
+ * Render a testcase save and check its statuses
+ * Statuses the client left empty are derived from the ExpectedResults; recorded ones must match the rollup.
+ * @param {string} filePath - Testcase file (need not exist yet)
+ * @param {Object} testcaseData - Testcase data from the request body
+ * @param {string} id - Testcase ID
+ * @param {string|null} previousXml - Current document (null for new testcases)
+ * @returns {Object} { data (testcase data including the derived statuses), xml, current, previous,
+ *   statusErrors (see findStatusInconsistencies) }
+ */
+async function renderTestcaseSave(filePath, testcaseData, id, previousXml) {
+  let data = testcaseData;
+  let xml = await renderTestcaseXML(filePath, data);
+  let current = await parseTestcaseContent(xml, id);
+  if (fillMissingStatuses(current)) {
+    data = {
+      ...testcaseData,
+      status: current.status,
+      testSteps: testcaseData.testSteps
+        ? testcaseData.testSteps.map((step, i) => ({ ...step, status: current.testSteps[i]?.status ?? step.status }))
+        : current.testSteps
+    };
+    xml = await renderTestcaseXML(filePath, data);
+    current = await parseTestcaseContent(xml, id);
+  }
+  const previous = previousXml !== null ? await parseTestcaseContent(previousXml, id).catch(() => null) : null;
+  return { data, xml, current, previous, statusErrors: findStatusInconsistencies(current, previous) };
+}
+
 /**
  * GET /api/:instance/info
  * Get instance information
@@ -60,11 +176,36 @@ router.get('/:instance/info', validateInstance, async (req, res) => {
 /**
  * GET /api/:instance/structure
  * Get folder structure for an instance
+ * Query: module=<module> to only load one module (lazy loading, 404 if unknown)
+ *        depth=module|category|testcase (default) - shallower levels carry testcaseCount instead of children
+ *        fields=<testcase fields, comma separated> (id is always included)
+ *        limit=<n>, cursor=<nextCursor of the previous page> for cursor pagination,
+ *        the response then carries total and nextCursor (null on the last page)
+ * Sends an ETag computed from the response, 304 if If-None-Match is current
  */
 router.get('/:instance/structure', validateInstance, async (req, res) => {
   try {
-    const structure = await readFolderStructure(req.testcasesPath);
-    res.json(structure);
+    const { module, depth = 'testcase' } = req.query;
+    if (!STRUCTURE_DEPTHS.includes(depth)) {
+      return res.status(400).json({ error: `depth muss einer der Werte ${STRUCTURE_DEPTHS.join(', ')} sein` });
+    }
+    if (module !== undefined && (typeof module !== 'string' || !NAME_PATTERN.test(module))) {
+      return res.status(400).json({ error: 'Ungültige Modul-ID' });
+    }
+    const { page, error } = parsePageQuery(req.query, STRUCTURE_PAGING);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const structure = await readFolderStructure(req.testcasesPath, { module, depth });
+    if (module && structure.modules.length === 0) {
+      return res.status(404).json({ error: `Modul "${module}" nicht gefunden` });
+    }
+    
+    const body = pageStructure(structure, page);
+    // Express answers a matching If-None-Match with 304
+    res.set('ETag', computeETag(JSON.stringify(body)));
+    res.json(body);
   } catch (error) {
     console.error('Error reading folder structure:', error);
     res.status(500).json({ error: error.message });
@@ -74,17 +215,34 @@ router.get('/:instance/structure', validateInstance, async (req, res) => {
 /**
  * GET /api/:instance/search
  * Search testcases
+ * Query: q=<query> (free text and qualifiers such as status:FAILED, see utils/testcases/query.js)
+ *        fields=<result fields, comma separated> (id is always included)
+ *        limit=<n>, cursor=<nextCursor of the previous page> for cursor pagination
+ * Results are ordered by relevance and carry highlights ([{ field, text, ranges }]); 400 on syntax errors.
+ * The response carries total and nextCursor (null on the last page or without paging).
+ * Sends an ETag computed from the response, 304 if If-None-Match is current
  */
 router.get('/:instance/search', validateInstance, async (req, res) => {
   try {
+    const { page, error } = parsePageQuery(req.query, SEARCH_PAGING);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
     const query = req.query.q || '';
     if (!query.trim()) {
-      return res.json({ results: [] });
+      return res.json({ results: [], total: 0, nextCursor: null });
     }
     
-    const results = await searchTestcases(req.testcasesPath, query);
-    res.json({ results });
+    const results = await searchTestcases(req.testcasesPath, query, { instancePath: req.instancePath });
+    const body = pageSearchResults(results, page);
+    // Express answers a matching If-None-Match with 304
+    res.set('ETag', computeETag(JSON.stringify(body)));
+    res.json(body);
   } catch (error) {
+    if (error.code === 'EQUERY') {
+      return res.status(400).json({ error: `Ungültige Suchanfrage: ${error.message}` });
+    }
     console.error('Error searching testcases:', error);
     res.status(500).json({ error: error.message });
   }
@@ -93,11 +251,14 @@ router.get('/:instance/search', validateInstance, async (req, res) => {
 /**
  * GET /api/:instance/dashboard
  * Get dashboard statistics
+ * Query: run=<run id> to count the results of one run (only testcases that are part of it),
+ *        default/latest: the latest run per testcase
+ *        q=<query> to only count the testcases matching a search query (see /search)
  */
-router.get('/:instance/dashboard', validateInstance, async (req, res) => {
+router.get('/:instance/dashboard', validateInstance, resolveRunQuery, resolveSearchQuery, async (req, res) => {
   try {
-    const stats = await getDashboardData(req.testcasesPath);
-    res.json(stats);
+    const stats = await getDashboardData(req.testcasesPath, req.run?.id, { ids: req.queryIds });
+    res.json({ ...stats, runName: req.run?.name || null, runs: req.registeredRuns, query: req.query.q || null });
   } catch (error) {
     console.error('Error getting dashboard:', error);
     res.status(500).json({ error: error.message });
@@ -107,13 +268,17 @@ router.get('/:instance/dashboard', validateInstance, async (req, res) => {
 /**
  * GET /api/:instance/testcase/:module/:category/:filename
  * Get a specific testcase
+ * The ETag header identifies the version; send it as If-Match when modifying the testcase.
  */
 router.get('/:instance/testcase/:module/:category/:filename', validateInstance, async (req, res) => {
   const { module, category, filename } = req.params;
   const filePath = path.join(req.testcasesPath, module, category, filename);
   
   try {
+    // ETag first: if the file changes in between, a following If-Match fails instead of overwriting
+    const etag = await readFileETag(filePath);
     const testcase = await parseTestcaseXML(filePath);
+    if (etag) res.set('ETag', etag);
     res.json(testcase);
   } catch (error) {
     console.error('Error reading testcase:', error);
@@ -124,14 +289,52 @@ router.get('/:instance/testcase/:module/:category/:filename', validateInstance,
 /**
  * PUT /api/:instance/testcase/:module/:category/:filename
  * Update a testcase
+ * The document is validated against the instance's testcase.xsd; saves that introduce
+ * schema errors are rejected with the affected lines.
+ * Step and testcase statuses must match the rollup of the ExpectedResult statuses (see
+ * utils/testcases/status.js); empty ones are derived, saves that introduce a contradiction are rejected.
+ * Honours If-Match: 412 with the current version if the testcase changed since it was loaded.
+ * The save is recorded in the revision history (author from the X-Author header).
  */
-router.put('/:instance/testcase/:module/:category/:filename', validateInstance, async (req, res) => {
+router.put('/:instance/testcase/:module/:category/:filename', validateInstance, testcaseIfMatch, async (req, res) => {
   const { module, category, filename } = req.params;
   const filePath = path.join(req.testcasesPath, module, category, filename);
-  const testcaseData = req.body;
+  // The workflow is only changed through the workflow routes
+  const { workflow, ...testcaseData } = req.body || {};
   
   try {
-    await saveTestcaseXML(filePath, testcaseData);
+    const previousXml = fsSync.existsSync(filePath) ? await fs.readFile(filePath, 'utf-8') : null;
+    const id = filename.replace(/\.xml$/, '');
+    const rendered = await renderTestcaseSave(filePath, testcaseData, id, previousXml);
+    const { data, current, previous, statusErrors } = rendered;
+    let { xml } = rendered;
+    if (statusErrors.length > 0) {
+      return res.status(400).json({ 
+        error: 'Status passt nicht zu den erwarteten Ergebnissen',
+        details: statusErrors
+      });
+    }
+    
+    // Changed results of a testcase in review or approved send it back to in_progress,
+    // the first results of a testcase belong to the run started last
+    const workflowChanged = reconcileWorkflow(previous, current, { actor: getRequestAuthor(req) });
+    const runChanged = assignLatestRun(previous, current, await listRuns(req.instancePath));
+    if (workflowChanged || runChanged) {
+      xml = await renderTestcaseXML(filePath, { ...data, run: current.run, workflow: current.workflow });
+    }
+    
+    const validation = await validateChange(req.testcasesPath, TESTCASE_SCHEMA, xml, previousXml);
+    if (!validation.valid) {
+      return res.status(400).json({ 
+        error: `Testcase entspricht nicht dem Schema (${TESTCASE_SCHEMA})`,
+        details: validation.errors
+      });
+    }
+    
+    await writeTestcaseXML(filePath, xml, { 
+      history: { instancePath: req.instancePath, author: getRequestAuthor(req) } 
+    });
+    res.set('ETag', computeETag(xml));
     res.json({ success: true, message: 'Testcase erfolgreich gespeichert' });
   } catch (error) {
     console.error('Error saving testcase:', error);
@@ -139,4 +342,240 @@ router.put('/:instance/testcase/:module/:category/:filename', validateInstance,
   }
 });
 
+/**
+ * POST /api/:instance/testcase/:module/:category
+ * Create a new testcase in a category
+ * Body: testcase data (title, purpose, testSteps, ...) plus optional
+ *   id: explicit ID, or
+ *   variantOf: ID of the testcase to create the next variant of (e.g. "II_EXF_01" -> "II_EXF_01_C")
+ * Without id/variantOf the next free number in the category is allocated.
+ * IDs are unique per instance: an ID used in another category is rejected with 409.
+ * Statuses and other results in the body are dropped; the document is validated against the
+ * instance's testcase.xsd like a save (400 with the affected lines).
+ */
+router.post('/:instance/testcase/:module/:category', validateInstance, async (req, res) => {
+  const { module, category } = req.params;
+  // New testcases always start without workflow (assigned through the workflow routes)
+  const { id: requestedId, variantOf, workflow, ...testcaseData } = req.body || {};
+  
+  if (!NAME_PATTERN.test(module) || !NAME_PATTERN.test(category)) {
+    return res.status(400).json({ error: 'Invalid module or category' });
+  }
+  
+  const categoryPath = path.join(req.testcasesPath, module, category);
+  if (!fsSync.existsSync(categoryPath)) {
+    return res.status(404).json({ error: `Category '${module}/${category}' not found` });
+  }
+  
+  try {
+    const ids = await listCategoryIds(categoryPath);
+    const instanceIds = await listInstanceIds(req.testcasesPath);
+    
+    // New numbers are allocated across the instance, so a prefix shared with another category cannot collide
+    let id;
+    if (requestedId !== undefined && requestedId !== null && requestedId !== '') {
+      if (typeof requestedId !== 'string' || !NAME_PATTERN.test(requestedId)) {
+        return res.status(400).json({ error: 'Invalid testcase ID' });
+      }
+      id = requestedId;
+    } else if (variantOf !== undefined && variantOf !== null && variantOf !== '') {
+      if (typeof variantOf !== 'string' || !NAME_PATTERN.test(variantOf)) {
+        return res.status(400).json({ error: 'Invalid variantOf' });
+      }
+      if (!ids.some(existing => parseTestcaseId(existing).baseId === parseTestcaseId(variantOf).baseId)) {
+        return res.status(404).json({ error: `Testcase '${variantOf}' not found in category` });
+      }
+      id = allocateTestcaseId([...instanceIds.keys()], parseTestcaseId(variantOf).prefix, variantOf);
+    } else {
+      id = allocateTestcaseId([...instanceIds.keys()], getCategoryPrefix(ids, category));
+    }
+    
+    if (instanceIds.has(id)) {
+      return res.status(409).json({ error: `Testcase '${id}' already exists in ${instanceIds.get(id)}` });
+    }
+    
+    const filename = `${id}.xml`;
+    const filePath = path.join(categoryPath, filename);
+    const testcase = {
+      version: '1.0',
+      title: '',
+      purpose: '',
+      profiles: [],
+      references: [],
+      preconditions: [],
+      testSteps: [],
+      ...withoutResults(testcaseData),
+      id
+    };
+    
+    // Same checks as a save: status rollup and schema
+    const { xml, statusErrors } = await renderTestcaseSave(filePath, testcase, id, null);
+    if (statusErrors.length > 0) {
+      return res.status(400).json({ 
+        error: 'Status passt nicht zu den erwarteten Ergebnissen',
+        details: statusErrors
+      });
+    }
+    const validation = await validateChange(req.testcasesPath, TESTCASE_SCHEMA, xml, null);
+    if (!validation.valid) {
+      return res.status(400).json({ 
+        error: `Testcase entspricht nicht dem Schema (${TESTCASE_SCHEMA})`,
+        details: validation.errors
+      });
+    }
+    
+    await writeTestcaseXML(filePath, xml, { 
+      history: { instancePath: req.instancePath, author: getRequestAuthor(req) } 
+    });
+    
+    res.status(201).json({ 
+      success: true, 
+      message: `Testcase ${id} erstellt`,
+      id,
+      filename,
+      module,
+      category
+    });
+  } catch (error) {
+    console.error('Error creating testcase:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/:instance/testcase/:module/:category/:filename
+ * Delete a testcase including its attachments
+ * The revision history is kept with a "Gelöscht" revision (see GET /revisions/deleted).
+ * Query: force=true to delete even if the deletion leaves a gap in the numbering
+ * Honours If-Match
+ */
+router.delete('/:instance/testcase/:module/:category/:filename', validateInstance, testcaseIfMatch, async (req, res) => {
+  const { module, category, filename } = req.params;
+  const id = filename.replace(/\.xml$/, '');
+  
+  if (!NAME_PATTERN.test(module) || !NAME_PATTERN.test(category) || !NAME_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'Invalid testcase path' });
+  }
+  
+  const categoryPath = path.join(req.testcasesPath, module, category);
+  const filePath = path.join(categoryPath, `${id}.xml`);
+  if (!fsSync.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Testcase not found' });
+  }
+  
+  try {
+    const gaps = findGapsAfterRemoval(await listCategoryIds(categoryPath), id);
+    if (gaps.length > 0 && req.query.force !== 'true') {
+      return res.status(409).json({ 
+        error: `Löschen von ${id} erzeugt eine Lücke in der Nummerierung`,
+        gaps,
+        requiresForce: true
+      });
+    }
+    
+    const xml = await fs.readFile(filePath, 'utf-8');
+    await fs.unlink(filePath);
+    invalidateTestcaseCache(filePath);
+    await fs.rm(path.join(req.instancePath, '_attachments', id), { recursive: true, force: true });
+    await retireHistory({ instancePath: req.instancePath, testcaseId: id, xml, author: getRequestAuthor(req), location: `${module}/${category}` });
+    await relocateFindingLinks(req.instancePath, id, null);
+    
+    res.json({ 
+      success: true, 
+      message: `Testcase ${id} gelöscht`,
+      gaps
+    });
+  } catch (error) {
+    console.error('Error deleting testcase:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/:instance/testcase/:module/:category/:filename/move
+ * Move and/or rename a testcase
+ * Body: { module, category, id } - all optional, default to the current values.
+ * If the category changes and no id is given, the next free number in the target category is allocated.
+ * A new id must not be used by any other testcase of the instance (409).
+ * The attachments folder, revision history and finding links are moved along and the id attribute is updated.
+ * Numbering gaps left in the source category are returned as warnings.
+ * Honours If-Match, returns the ETag of the moved testcase
+ */
+router.post('/:instance/testcase/:module/:category/:filename/move', validateInstance, testcaseIfMatch, async (req, res) => {
+  const { module, category, filename } = req.params;
+  const id = filename.replace(/\.xml$/, '');
+  const targetModule = req.body?.module || module;
+  const targetCategory = req.body?.category || category;
+  
+  if (![module, category, id, targetModule, targetCategory].every(n => NAME_PATTERN.test(n))) {
+    return res.status(400).json({ error: 'Invalid testcase path' });
+  }
+  if (req.body?.id && !NAME_PATTERN.test(req.body.id)) {
+    return res.status(400).json({ error: 'Invalid testcase ID' });
+  }
+  
+  const sourcePath = path.join(req.testcasesPath, module, category, `${id}.xml`);
+  const targetCategoryPath = path.join(req.testcasesPath, targetModule, targetCategory);
+  
+  if (!fsSync.existsSync(sourcePath)) {
+    return res.status(404).json({ error: 'Testcase not found' });
+  }
+  if (!fsSync.existsSync(targetCategoryPath)) {
+    return res.status(404).json({ error: `Category '${targetModule}/${targetCategory}' not found` });
+  }
+  
+  try {
+    const categoryChanged = targetModule !== module || targetCategory !== category;
+    const instanceIds = await listInstanceIds(req.testcasesPath);
+    let newId = req.body?.id || id;
+    if (!req.body?.id && categoryChanged) {
+      const targetIds = await listCategoryIds(targetCategoryPath);
+      newId = allocateTestcaseId([...instanceIds.keys()], getCategoryPrefix(targetIds, targetCategory));
+    }
+    
+    if (!categoryChanged && newId === id) {
+      return res.status(400).json({ error: 'Testcase is already at this location' });
+    }
+    
+    const targetPath = path.join(targetCategoryPath, `${newId}.xml`);
+    if (fsSync.existsSync(targetPath)) {
+      return res.status(409).json({ error: `Testcase '${newId}' already exists in target category` });
+    }
+    if (newId !== id && instanceIds.has(newId)) {
+      return res.status(409).json({ error: `Testcase '${newId}' already exists in ${instanceIds.get(newId)}` });
+    }
+    
+    const targetAttachmentsDir = path.join(req.instancePath, '_attachments', newId);
+    if (newId !== id && fsSync.existsSync(targetAttachmentsDir)) {
+      return res.status(409).json({ error: `Attachment folder for '${newId}' already exists` });
+    }
+    
+    // Moving a testcase away can leave a hole in the source numbering (reported, not blocked)
+    const gaps = findGapsAfterRemoval(await listCategoryIds(path.dirname(sourcePath)), id);
+    
+    await relocateTestcase({ 
+      instancePath: req.instancePath, 
+      sourcePath, 
+      targetPath, 
+      oldId: id, 
+      newId,
+      author: getRequestAuthor(req)
+    });
+    res.set('ETag', await readFileETag(targetPath));
+    
+    res.json({ 
+      success: true, 
+      message: `Testcase ${id} nach ${targetModule}/${targetCategory}/${newId} verschoben`,
+      id: newId,
+      filename: `${newId}.xml`,
+      module: targetModule,
+      category: targetCategory,
+      gaps
+    });
+  } catch (error) {
+    console.error('Error moving testcase:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
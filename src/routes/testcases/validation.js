@@ -0,0 +1,26 @@
+/**
+ * Validation Routes
+ * Handles schema validation of all XML files of an instance
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateInstance } = require('../../middleware/global');
+const { validateInstanceFiles } = require('../../utils/testcases');
+
+/**
+ * GET /api/:instance/validate
+ * Validate all testcase and profile XML files against the instance's XSD files
+ * Returns every invalid file with line-precise errors.
+ */
+router.get('/:instance/validate', validateInstance, async (req, res) => {
+  try {
+    const report = await validateInstanceFiles(req.testcasesPath);
+    res.json({ instance: req.instanceName, ...report });
+  } catch (error) {
+    console.error('Error validating instance:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+/**
+ * Workflow Routes
+ * Handles tester/reviewer assignment and the review workflow of testcases
+ */
+
+const express = require('express');
+const router = express.Router();
+const fsSync = require('fs');
+const path = require('path');
+const { validateInstance } = require('../../middleware/global');
+const { testcaseIfMatch } = require('../../middleware/testcases');
+const { computeETag, getRequestAuthor } = require('../../utils/global');
+const {
+  readFolderStructure,
+  parseTestcaseXML,
+  renderTestcaseXML,
+  writeTestcaseXML,
+  WORKFLOW_STATES,
+  getWorkflow,
+  checkTransition,
+  applyTransition,
+  checkAssignment
+} = require('../../utils/testcases');
+
+/**
+ * List the testcases of an instance with their workflow
+ * @param {string} testcasesPath - testcases folder of the instance
+ * @param {Function} filter - (workflow) => boolean
+ * @returns {Array} [{ id, module, category, filename, title, status, workflow }]
+ */
+async function listWorkflowTestcases(testcasesPath, filter) {
+  const structure = await readFolderStructure(testcasesPath);
+  return structure.modules.flatMap(module => module.categories.flatMap(category =>
+    category.testcases
+      .filter(tc => !tc.error && filter(tc.workflow))
+      .map(tc => ({
+        id: tc.id,
+        module: module.path,
+        category: category.path,
+        filename: tc.filename,
+        title: tc.title,
+        status: tc.status,
+        workflow: tc.workflow
+      }))
+  ));
+}
+
+/**
+ * Resolve the user of a "my testcases" request (?user= or X-Author)
+ */
+function getQueryUser(req) {
+  return (req.query.user || getRequestAuthor(req) || '').trim();
+}
+
+/**
+ * Save a workflow change of a testcase and respond with the workflow
+ * (the revision summary lists the changed state and assignment)
+ */
+async function saveWorkflow(req, res, filePath, testcase) {
+  const xml = await renderTestcaseXML(filePath, { workflow: testcase.workflow });
+  await writeTestcaseXML(filePath, xml, {
+    history: { instancePath: req.instancePath, author: getRequestAuthor(req) }
+  });
+
+  res.set('ETag', computeETag(xml));
+  res.json({ success: true, workflow: testcase.workflow });
+}
+
+/**
+ * GET /api/:instance/workflow
+ * List testcases with their workflow
+ * Query: state, assignee, reviewer (combined with AND)
+ */
+router.get('/:instance/workflow', validateInstance, async (req, res) => {
+  try {
+    const { state, assignee, reviewer } = req.query;
+    const testcases = await listWorkflowTestcases(req.testcasesPath, workflow =>
+      (!state || workflow.state === state) &&
+      (assignee === undefined || workflow.assignee === assignee) &&
+      (reviewer === undefined || workflow.reviewer === reviewer)
+    );
+
+    res.json({ testcases });
+  } catch (error) {
+    console.error('Error listing workflow:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/:instance/workflow/assigned
+ * Testcases assigned to a user that are not approved yet ("my testcases")
+ * Query: user (default: X-Author header)
+ */
+router.get('/:instance/workflow/assigned', validateInstance, async (req, res) => {
+  try {
+    const user = getQueryUser(req);
+    if (!user) {
+      return res.status(400).json({ error: 'Benutzer erforderlich (?user= oder X-Author)' });
+    }
+
+    const testcases = await listWorkflowTestcases(req.testcasesPath, workflow =>
+      workflow.assignee === user && workflow.state !== 'approved'
+    );
+    res.json({ user, testcases });
+  } catch (error) {
+    console.error('Error listing assigned testcases:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/:instance/workflow/review
+ * Testcases waiting for a user's review
+ * Query: user (default: X-Author header)
+ */
+router.get('/:instance/workflow/review', validateInstance, async (req, res) => {
+  try {
+    const user = getQueryUser(req);
+    if (!user) {
+      return res.status(400).json({ error: 'Benutzer erforderlich (?user= oder X-Author)' });
+    }
+
+    const testcases = await listWorkflowTestcases(req.testcasesPath, workflow =>
+      workflow.reviewer === user && workflow.state === 'in_review'
+    );
+    res.json({ user, testcases });
+  } catch (error) {
+    console.error('Error listing review queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/:instance/testcase/:module/:category/:filename/workflow
+ * Get the workflow of a testcase and the transitions the requesting user (X-Author) may perform
+ */
+router.get('/:instance/testcase/:module/:category/:filename/workflow', validateInstance, async (req, res) => {
+  const { module, category, filename } = req.params;
+  const filePath = path.join(req.testcasesPath, module, category, filename);
+
+  try {
+    if (!fsSync.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Testcase not found' });
+    }
+
+    const testcase = await parseTestcaseXML(filePath);
+    const actor = getRequestAuthor(req);
+    res.json({
+      workflow: getWorkflow(testcase),
+      allowedTransitions: WORKFLOW_STATES.filter(to =>
+        // The comment is only asked for once the transition is chosen
+        !checkTransition(testcase, to, { actor, comment: '-' })
+      )
+    });
+  } catch (error) {
+    console.error('Error reading workflow:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/:instance/testcase/:module/:category/:filename/workflow
+ * Assign tester and/or reviewer
+ * Body: { assignee, reviewer } (omitted fields are kept, '' removes the assignment)
+ * Honours If-Match, returns the new ETag
+ */
+router.put('/:instance/testcase/:module/:category/:filename/workflow', validateInstance, testcaseIfMatch, async (req, res) => {
+  const { module, category, filename } = req.params;
+  const filePath = path.join(req.testcasesPath, module, category, filename);
+
+  try {
+    if (!fsSync.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Testcase not found' });
+    }
+
+    const trim = value => typeof value === 'string' ? value.trim() : undefined;
+    const assignment = { assignee: trim(req.body?.assignee), reviewer: trim(req.body?.reviewer) };
+    const testcase = await parseTestcaseXML(filePath);
+
+    const assignmentError = checkAssignment(testcase, assignment);
+    if (assignmentError) {
+      return res.status(400).json({ error: assignmentError });
+    }
+
+    const workflow = getWorkflow(testcase);
+    testcase.workflow = {
+      ...workflow,
+      assignee: assignment.assignee !== undefined ? assignment.assignee : workflow.assignee,
+      reviewer: assignment.reviewer !== undefined ? assignment.reviewer : workflow.reviewer
+    };
+    await saveWorkflow(req, res, filePath, testcase);
+  } catch (error) {
+    console.error('Error assigning testcase:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/:instance/testcase/:module/:category/:filename/workflow/transitions
+ * Move a testcase to another workflow state
+ * Body: { to, comment } - the acting user is taken from X-Author
+ * The transition rules (see utils/testcases/workflow.js) are enforced; violations return 409.
+ * Honours If-Match, returns the new ETag
+ */
+router.post('/:instance/testcase/:module/:category/:filename/workflow/transitions', validateInstance, testcaseIfMatch, async (req, res) => {
+  const { module, category, filename } = req.params;
+  const filePath = path.join(req.testcasesPath, module, category, filename);
+
+  try {
+    if (!fsSync.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Testcase not found' });
+    }
+
+    const { to, comment = '' } = req.body || {};
+    if (typeof comment !== 'string') {
+      return res.status(400).json({ error: 'comment muss ein Text sein' });
+    }
+    const actor = getRequestAuthor(req);
+    const testcase = await parseTestcaseXML(filePath);
+
+    const transitionError = checkTransition(testcase, to, { actor, comment });
+    if (transitionError) {
+      return res.status(WORKFLOW_STATES.includes(to) ? 409 : 400).json({ error: transitionError });
+    }
+
+    applyTransition(testcase, to, { actor, comment: comment.trim() });
+    await saveWorkflow(req, res, filePath, testcase);
+  } catch (error) {
+    console.error('Error changing workflow state:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
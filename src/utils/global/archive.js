@@ -0,0 +1,303 @@
+/**
+ * Instance Archive Utilities
+ * Packs an instance (testcases, profiles, attachments, report templates, revision history, findings and
+ * the registers in instance.json) into a single ZIP file with a checksummed manifest, and validates/unpacks
+ * such archives
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { INSTANCE_META_FILE, readInstanceMeta } = require('./instanceMeta');
+
+const ARCHIVE_FORMAT = 'tr03153-instance-archive';
+// Version 2 adds instance.json (run registry, tag rename and text replacement logs)
+const ARCHIVE_VERSION = 2;
+const SUPPORTED_ARCHIVE_VERSIONS = [1, 2];
+const MANIFEST_FILE = 'manifest.json';
+const MAX_MANIFEST_SIZE = 16 * 1024 * 1024;
+
+// Instance folders included in an archive (profiles.xml lives in testcases/)
+const ARCHIVE_ROOTS = ['testcases', '_attachments', '_templates', '_history', '_findings'];
+// Single files in the instance root included in an archive
+const ARCHIVE_ROOT_FILES = [INSTANCE_META_FILE];
+
+/**
+ * Calculate SHA-256 checksum of a buffer
+ */
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Collect all files below a directory
+ * @param {string} dir - Absolute directory path
+ * @param {string} prefix - Relative path prefix (using '/')
+ * @returns {Array} [{ relPath, absPath }]
+ */
+async function collectFiles(dir, prefix) {
+  const files = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const absPath = path.join(dir, entry.name);
+    const relPath = `${prefix}/${entry.name}`;
+    if (entry.isDirectory()) {
+      files.push(...await collectFiles(absPath, relPath));
+    } else if (entry.isFile()) {
+      files.push({ relPath, absPath });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Check that an archive path stays inside the allowed instance folders (or is an archived root file)
+ * @param {string} relPath - Path as stored in the archive
+ * @returns {boolean}
+ */
+function isSafeArchivePath(relPath) {
+  if (typeof relPath !== 'string' || !relPath) return false;
+  if (relPath.includes('\\') || relPath.includes('\0') || relPath.startsWith('/')) return false;
+  if (/^[a-zA-Z]:/.test(relPath)) return false;
+
+  const segments = relPath.split('/');
+  if (segments.some(s => s === '' || s === '.' || s === '..')) return false;
+
+  if (segments.length === 1) return ARCHIVE_ROOT_FILES.includes(segments[0]);
+  return ARCHIVE_ROOTS.includes(segments[0]);
+}
+
+/**
+ * Check that an archived instance.json holds a metadata object
+ */
+function isInstanceMeta(content) {
+  try {
+    const meta = JSON.parse(content.toString('utf-8'));
+    return Boolean(meta) && typeof meta === 'object' && !Array.isArray(meta);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create an archive of an instance
+ * @param {string} instancePath - Root path of the instance
+ * @param {string} instanceName - Instance name (stored in the manifest)
+ * @returns {Buffer} ZIP file content
+ */
+async function createInstanceArchive(instancePath, instanceName) {
+  const zip = new JSZip();
+  const meta = await readInstanceMeta(instancePath);
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    instance: instanceName,
+    templateId: meta.templateId || null,
+    createdAt: new Date().toISOString(),
+    files: []
+  };
+
+  const files = ARCHIVE_ROOT_FILES
+    .filter(file => fsSync.existsSync(path.join(instancePath, file)))
+    .map(file => ({ relPath: file, absPath: path.join(instancePath, file) }));
+
+  for (const root of ARCHIVE_ROOTS) {
+    const rootPath = path.join(instancePath, root);
+    if (!fsSync.existsSync(rootPath)) continue;
+    files.push(...await collectFiles(rootPath, root));
+  }
+
+  for (const file of files) {
+    const content = await fs.readFile(file.absPath);
+    zip.file(file.relPath, content);
+    manifest.files.push({ path: file.relPath, size: content.length, sha256: sha256(content) });
+  }
+
+  zip.file(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+}
+
+/**
+ * Check a file entry of the manifest
+ * @returns {string|null} Error message or null if valid
+ */
+function checkManifestEntry(fileInfo) {
+  if (!fileInfo || typeof fileInfo !== 'object' || Array.isArray(fileInfo)) {
+    return 'Ungültiger Eintrag im Manifest';
+  }
+  if (!isSafeArchivePath(fileInfo.path)) {
+    return `Unzulässiger Pfad im Manifest: ${fileInfo.path}`;
+  }
+  if (!Number.isSafeInteger(fileInfo.size) || fileInfo.size < 0) {
+    return `Ungültige Größe im Manifest: ${fileInfo.path}`;
+  }
+  if (typeof fileInfo.sha256 !== 'string' || !/^[0-9a-f]{64}$/.test(fileInfo.sha256)) {
+    return `Ungültige Prüfsumme im Manifest: ${fileInfo.path}`;
+  }
+  return null;
+}
+
+/**
+ * Inflate a ZIP entry, stopping as soon as it grows beyond the expected size
+ * (the sizes in the ZIP directory are only checked by JSZip after inflating everything)
+ * @returns {Buffer|null} Content or null if the entry is larger than maxSize
+ */
+function inflateEntry(entry, maxSize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.internalStream('nodebuffer');
+    stream
+      .on('data', chunk => {
+        size += chunk.length;
+        if (size > maxSize) {
+          stream.pause();
+          resolve(null);
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .resume();
+  });
+}
+
+/**
+ * Read and validate an instance archive
+ * Every file must be listed in the manifest with a matching checksum, and no path may
+ * leave the instance folders. Entries are inflated one by one up to their manifest size, so the
+ * limits hold before anything large is held in memory.
+ * @param {Buffer} buffer - ZIP file content
+ * @param {Object} limits - { maxEntries: files in the archive, maxUncompressedSize: total bytes of all files }
+ * @returns {Object} { manifest, files: [{ path, content }], errors: [string] }
+ */
+async function readInstanceArchive(buffer, { maxEntries = Infinity, maxUncompressedSize = Infinity } = {}) {
+  const errors = [];
+  let zip;
+
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    return { manifest: null, files: [], errors: [`Archiv kann nicht gelesen werden: ${err.message}`] };
+  }
+
+  const manifestEntry = zip.file(MANIFEST_FILE);
+  if (!manifestEntry) {
+    return { manifest: null, files: [], errors: [`${MANIFEST_FILE} fehlt im Archiv`] };
+  }
+
+  let manifest;
+  try {
+    const content = await inflateEntry(manifestEntry, MAX_MANIFEST_SIZE);
+    if (!content) {
+      return { manifest: null, files: [], errors: [`${MANIFEST_FILE} ist zu groß`] };
+    }
+    manifest = JSON.parse(content.toString('utf-8'));
+  } catch (err) {
+    return { manifest: null, files: [], errors: [`${MANIFEST_FILE} ist ungültig: ${err.message}`] };
+  }
+
+  if (!manifest || typeof manifest !== 'object') {
+    return { manifest: null, files: [], errors: [`${MANIFEST_FILE} ist ungültig`] };
+  }
+  if (manifest.format !== ARCHIVE_FORMAT) {
+    errors.push(`Unbekanntes Archivformat: ${manifest.format}`);
+  }
+  if (!SUPPORTED_ARCHIVE_VERSIONS.includes(manifest.version)) {
+    errors.push(`Nicht unterstützte Archivversion: ${manifest.version}`);
+  }
+  if (!Array.isArray(manifest.files)) {
+    errors.push('Manifest enthält keine Dateiliste');
+  }
+  if (errors.length > 0) {
+    return { manifest, files: [], errors };
+  }
+
+  const entryCount = Object.values(zip.files).filter(entry => !entry.dir).length;
+  if (entryCount > maxEntries || manifest.files.length > maxEntries) {
+    return { manifest, files: [], errors: [`Archiv enthält zu viele Dateien (höchstens ${maxEntries})`] };
+  }
+  for (const fileInfo of manifest.files) {
+    const error = checkManifestEntry(fileInfo);
+    if (error) errors.push(error);
+  }
+  const totalSize = errors.length === 0 ? manifest.files.reduce((sum, f) => sum + f.size, 0) : 0;
+  if (totalSize > maxUncompressedSize) {
+    errors.push(`Archiv ist entpackt zu groß (höchstens ${Math.round(maxUncompressedSize / 1024 / 1024)} MB)`);
+  }
+  if (errors.length > 0) {
+    return { manifest, files: [], errors };
+  }
+
+  // Every entry in the ZIP must be listed in the manifest
+  const listed = new Set(manifest.files.map(f => f.path));
+  zip.forEach((relPath, entry) => {
+    if (entry.dir || relPath === MANIFEST_FILE) return;
+    if (!isSafeArchivePath(relPath)) {
+      errors.push(`Unzulässiger Pfad im Archiv: ${relPath}`);
+    } else if (!listed.has(relPath)) {
+      errors.push(`Datei nicht im Manifest: ${relPath}`);
+    }
+  });
+
+  const files = [];
+  for (const fileInfo of manifest.files) {
+    const entry = zip.file(fileInfo.path);
+    if (!entry) {
+      errors.push(`Datei fehlt im Archiv: ${fileInfo.path}`);
+      continue;
+    }
+
+    const content = await inflateEntry(entry, fileInfo.size);
+    if (!content || content.length !== fileInfo.size || sha256(content) !== fileInfo.sha256) {
+      errors.push(`Prüfsumme stimmt nicht: ${fileInfo.path}`);
+      continue;
+    }
+
+    if (fileInfo.path === INSTANCE_META_FILE && !isInstanceMeta(content)) {
+      errors.push(`${INSTANCE_META_FILE} ist ungültig`);
+      continue;
+    }
+
+    files.push({ path: fileInfo.path, content });
+  }
+
+  return { manifest, files, errors };
+}
+
+/**
+ * Write validated archive files into a new instance folder
+ * @param {Array} files - Files from readInstanceArchive
+ * @param {string} instancePath - Root path of the new instance
+ */
+async function extractInstanceArchive(files, instancePath) {
+  await fs.mkdir(instancePath, { recursive: true });
+
+  for (const file of files) {
+    const targetPath = path.join(instancePath, ...file.path.split('/'));
+    // Defense in depth: the resolved path must stay inside the instance
+    if (!path.resolve(targetPath).startsWith(path.resolve(instancePath) + path.sep)) {
+      throw new Error(`Unzulässiger Pfad im Archiv: ${file.path}`);
+    }
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.writeFile(targetPath, file.content);
+  }
+
+  // Empty instances still need their testcases folder
+  await fs.mkdir(path.join(instancePath, 'testcases'), { recursive: true });
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  createInstanceArchive,
+  readInstanceArchive,
+  extractInstanceArchive
+};
@@ -0,0 +1,27 @@
+/**
+ * Author Utilities
+ * Determines who performs a change (recorded in the revision history)
+ */
+
+// Clients send the user name URI-encoded, header values are limited to ASCII
+const AUTHOR_HEADER = 'X-Author';
+
+/**
+ * Get the author of a request
+ * @param {Object} req - Express request
+ * @returns {string} Author name or empty string if unknown
+ */
+function getRequestAuthor(req) {
+  const header = req.get(AUTHOR_HEADER);
+  if (!header) return '';
+  try {
+    return decodeURIComponent(header).trim();
+  } catch {
+    return header.trim();
+  }
+}
+
+module.exports = {
+  AUTHOR_HEADER,
+  getRequestAuthor
+};
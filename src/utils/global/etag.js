@@ -0,0 +1,51 @@
+/**
+ * ETag Utilities
+ * Handles content-based entity tags for optimistic concurrency control (If-Match)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+/**
+ * Compute a strong ETag from file content
+ * @param {string|Buffer} content - File content
+ * @returns {string} Quoted ETag
+ */
+function computeETag(content) {
+  return `"${crypto.createHash('sha256').update(content).digest('hex').slice(0, 32)}"`;
+}
+
+/**
+ * Compute the ETag of a file
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} Quoted ETag or null if the file does not exist
+ */
+async function readFileETag(filePath) {
+  try {
+    return computeETag(await fs.readFile(filePath));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Check an If-Match header against the current ETag
+ * Requests without If-Match are unconditional.
+ * @param {string|undefined} header - Value of the If-Match header
+ * @param {string|null} etag - Current ETag (null if the resource does not exist)
+ * @returns {boolean} true if the request may proceed
+ */
+function ifMatchSatisfied(header, etag) {
+  if (!header) return true;
+  if (!etag) return false;
+  
+  const tags = header.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  return tags.includes('*') || tags.includes(etag);
+}
+
+module.exports = {
+  computeETag,
+  readFileETag,
+  ifMatchSatisfied
+};
@@ -3,8 +3,37 @@
  */
 
 const fileSystem = require('./fileSystem');
+const instanceMeta = require('./instanceMeta');
+const archive = require('./archive');
+const etag = require('./etag');
+const author = require('./author');
+const lock = require('./lock');
 
 module.exports = {
   // File system utilities
-  copyDirectory: fileSystem.copyDirectory
+  copyDirectory: fileSystem.copyDirectory,
+
+  // Instance metadata utilities
+  INSTANCE_META_FILE: instanceMeta.INSTANCE_META_FILE,
+  readInstanceMeta: instanceMeta.readInstanceMeta,
+  readInstanceMetaSync: instanceMeta.readInstanceMetaSync,
+  updateInstanceMeta: instanceMeta.updateInstanceMeta,
+
+  // Instance archive utilities
+  createInstanceArchive: archive.createInstanceArchive,
+  readInstanceArchive: archive.readInstanceArchive,
+  extractInstanceArchive: archive.extractInstanceArchive,
+
+  // ETag utilities
+  computeETag: etag.computeETag,
+  readFileETag: etag.readFileETag,
+  ifMatchSatisfied: etag.ifMatchSatisfied,
+
+  // Author utilities
+  AUTHOR_HEADER: author.AUTHOR_HEADER,
+  getRequestAuthor: author.getRequestAuthor,
+
+  // Lock utilities
+  acquireLock: lock.acquireLock,
+  acquireLocks: lock.acquireLocks
 };
@@ -0,0 +1,84 @@
+/**
+ * Instance Metadata Utilities
+ * Handles the instance.json file in the instance root (source template, archive state)
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+const INSTANCE_META_FILE = 'instance.json';
+
+/**
+ * Parse the content of instance.json
+ * @param {string} content - File content
+ * @returns {Object} Metadata
+ */
+function parseInstanceMeta(content) {
+  let meta;
+  try {
+    meta = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${INSTANCE_META_FILE} ist fehlerhaft: ${error.message}`);
+  }
+  if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+    throw new Error(`${INSTANCE_META_FILE} enthält kein Objekt`);
+  }
+  return meta;
+}
+
+/**
+ * Read instance metadata
+ * A missing file is empty; an unreadable one is an error, so it is never overwritten.
+ * @param {string} instancePath - Root path of the instance
+ * @returns {Object} Metadata (empty object if the instance has none)
+ */
+async function readInstanceMeta(instancePath) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(instancePath, INSTANCE_META_FILE), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+  return parseInstanceMeta(content);
+}
+
+/**
+ * Read instance metadata synchronously (for use in middleware)
+ * A missing file is empty; an unreadable one is an error (see readInstanceMeta).
+ * @param {string} instancePath - Root path of the instance
+ * @returns {Object} Metadata (empty object if the instance has none)
+ */
+function readInstanceMetaSync(instancePath) {
+  let content;
+  try {
+    content = fsSync.readFileSync(path.join(instancePath, INSTANCE_META_FILE), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+  return parseInstanceMeta(content);
+}
+
+/**
+ * Merge changes into the instance metadata and write it back
+ * @param {string} instancePath - Root path of the instance
+ * @param {Object} changes - Fields to set (undefined values are removed)
+ * @returns {Object} Updated metadata
+ */
+async function updateInstanceMeta(instancePath, changes) {
+  const meta = { ...(await readInstanceMeta(instancePath)), ...changes };
+  for (const key of Object.keys(meta)) {
+    if (meta[key] === undefined) delete meta[key];
+  }
+  await fs.writeFile(path.join(instancePath, INSTANCE_META_FILE), JSON.stringify(meta, null, 2), 'utf-8');
+  return meta;
+}
+
+module.exports = {
+  INSTANCE_META_FILE,
+  readInstanceMeta,
+  readInstanceMetaSync,
+  updateInstanceMeta
+};
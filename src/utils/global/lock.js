@@ -0,0 +1,49 @@
+/**
+ * Lock Utilities
+ * Handles serialising conditional writes (If-Match check and write) per file within the process
+ */
+
+const locks = new Map();
+
+/**
+ * Acquire the lock for a key (e.g. an absolute file path)
+ * Waits until all earlier holders released it.
+ * @param {string} key - Lock key
+ * @returns {Promise<Function>} Function releasing the lock (may be called more than once)
+ */
+async function acquireLock(key) {
+  const previous = locks.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const tail = previous.then(() => current);
+  locks.set(key, tail);
+
+  await previous;
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    release();
+    if (locks.get(key) === tail) locks.delete(key);
+  };
+}
+
+/**
+ * Acquire the locks for several keys (e.g. all files a bulk change writes)
+ * The keys are locked in sorted order, so concurrent callers cannot deadlock.
+ * @param {Array} keys - Lock keys (duplicates are ignored)
+ * @returns {Promise<Function>} Function releasing all locks
+ */
+async function acquireLocks(keys) {
+  const releases = [];
+  for (const key of [...new Set(keys)].sort()) {
+    releases.push(await acquireLock(key));
+  }
+  return () => [...releases].reverse().forEach(release => release());
+}
+
+module.exports = {
+  acquireLock,
+  acquireLocks
+};
@@ -0,0 +1,308 @@
+/**
+ * Bulk Update Utilities
+ * Applies one change to many testcases: all documents are prepared first and only written
+ * if every one of them could be prepared; a failed write rolls back the files already written
+ */
+
+const fs = require('fs').promises;
+const { parseTestcaseContent, renderTestcaseXML } = require('./xml');
+const { listTestcaseFiles } = require('./upgrade');
+const { applyStatusRollup, rollupTestcase, STATUSES } = require('./status');
+const { diffTestcases, summarizeDiff, recordRevision } = require('./revisions');
+const { startRun, listRuns, assignLatestRun } = require('./runs');
+const { reconcileWorkflow } = require('./workflow');
+const { createNote } = require('./notes');
+const { renameTestcaseTag } = require('./tags');
+const { invalidateTestcaseCache } = require('./cache');
+const { replaceTestcaseText } = require('./replace');
+const { acquireLocks } = require('../global');
+
+const BULK_OPERATIONS = ['setStatus', 'clearResults', 'addProfile', 'addReference', 'appendNote'];
+const TARGET_SELECTORS = ['ids', 'module', 'category', 'profile', 'refFunction', 'status'];
+
+/**
+ * Check whether a testcase matches all given selectors
+ * @param {Object} testcase - Parsed testcase
+ * @param {string} relPath - module/category/file.xml
+ * @param {Object} targets - { ids, module, category, profile, refFunction, status ('OPEN' for open) }
+ */
+function matchesTargets(testcase, relPath, targets) {
+  const [module, category] = relPath.split('/');
+  const refFunctions = [
+    ...(testcase.refFunctions || []),
+    ...(testcase.testSteps || []).flatMap(step => step.refFunctions || [])
+  ];
+
+  // Every given selector filters (validateBulkTargets rejects empty values)
+  if (targets.ids !== undefined && !targets.ids.includes(testcase.id)) return false;
+  if (targets.module !== undefined && targets.module !== module) return false;
+  if (targets.category !== undefined && targets.category !== category) return false;
+  if (targets.profile !== undefined && !(testcase.profiles || []).includes(targets.profile)) return false;
+  if (targets.refFunction !== undefined && !refFunctions.includes(targets.refFunction)) return false;
+  if (targets.status !== undefined && (rollupTestcase(testcase).status || 'OPEN') !== targets.status) return false;
+  return true;
+}
+
+/**
+ * Apply a bulk operation to a parsed testcase
+ * @param {Object} testcase - Parsed testcase (modified in place)
+ * @param {Object} operation - { type, status, justification, profile, reference, text }
+ *   ('startRun' with { run, tester, keepResults } is used by the run routes only,
+ *   'renameTag' with { rename } by the tag rename route and 'replaceText' with { replace }
+ *   by the find-and-replace route only)
+ * @param {Object} context - { author, timestamp } for notes
+ * @returns {Object} The testcase
+ */
+function applyBulkOperation(testcase, operation, { author = '', timestamp }) {
+  const addNote = text => {
+    testcase.notes = [...(testcase.notes || []), { ...createNote(testcase.notes, { text, author }), timestamp }];
+  };
+
+  switch (operation.type) {
+    case 'setStatus': {
+      // Same cascade as setting the testcase status in the UI, steps are then rolled up
+      const status = operation.status || null;
+      for (const step of testcase.testSteps || []) {
+        step.status = status;
+        for (const er of step.expectedResults || []) {
+          er.status = status;
+        }
+      }
+      testcase.status = status;
+      applyStatusRollup(testcase);
+      if (operation.justification) {
+        addNote(`Status ${status || 'offen'}: ${operation.justification}`);
+      }
+      break;
+    }
+    case 'clearResults':
+      for (const step of testcase.testSteps || []) {
+        step.status = null;
+        step.errorMessage = '';
+        for (const er of step.expectedResults || []) {
+          er.status = null;
+          er.actualResult = '';
+          er.variables = {};
+        }
+      }
+      testcase.status = null;
+      testcase.testDate = '';
+      break;
+    case 'startRun':
+      startRun(testcase, operation.run, { tester: operation.tester, keepResults: operation.keepResults });
+      break;
+    case 'renameTag':
+      renameTestcaseTag(testcase, operation.rename);
+      break;
+    case 'replaceText':
+      replaceTestcaseText(testcase, operation.replace);
+      break;
+    case 'addProfile':
+      if (!(testcase.profiles || []).includes(operation.profile)) {
+        testcase.profiles = [...(testcase.profiles || []), operation.profile];
+      }
+      break;
+    case 'addReference':
+      if (!(testcase.references || []).includes(operation.reference)) {
+        testcase.references = [...(testcase.references || []), operation.reference];
+      }
+      break;
+    case 'appendNote':
+      addNote(operation.text);
+      break;
+    default:
+      throw new Error(`Unknown bulk operation: ${operation.type}`);
+  }
+
+  return testcase;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Validate the selectors of a bulk request
+ * @returns {string|null} Error message or null if valid
+ */
+function validateBulkTargets(targets) {
+  if (!targets || typeof targets !== 'object' || Array.isArray(targets) || !TARGET_SELECTORS.some(key => targets[key] !== undefined)) {
+    return `Mindestens ein Auswahlkriterium erforderlich: ${TARGET_SELECTORS.join(', ')}`;
+  }
+  if (targets.ids !== undefined && (!Array.isArray(targets.ids) || targets.ids.length === 0 || !targets.ids.every(isNonEmptyString))) {
+    return 'targets.ids muss eine nicht-leere Liste von Testcase-IDs sein';
+  }
+  for (const key of ['module', 'category', 'profile', 'refFunction']) {
+    if (targets[key] !== undefined && !isNonEmptyString(targets[key])) {
+      return `targets.${key} muss ein nicht-leerer Text sein`;
+    }
+  }
+  if (targets.status !== undefined && ![...STATUSES, 'OPEN'].includes(targets.status)) {
+    return `targets.status muss einer der Werte ${[...STATUSES, 'OPEN'].join(', ')} sein`;
+  }
+  return null;
+}
+
+/**
+ * Validate a bulk request body
+ * @returns {string|null} Error message or null if valid
+ */
+function validateBulkRequest(targets, operation) {
+  const targetsError = validateBulkTargets(targets);
+  if (targetsError) return targetsError;
+  if (!operation || !BULK_OPERATIONS.includes(operation.type)) {
+    return `operation.type muss einer der Werte ${BULK_OPERATIONS.join(', ')} sein`;
+  }
+  if (operation.type === 'setStatus' && operation.status !== null && !STATUSES.includes(operation.status)) {
+    return `operation.status muss einer der Werte ${STATUSES.join(', ')} oder null sein`;
+  }
+  if (operation.type === 'setStatus' && operation.justification !== undefined && typeof operation.justification !== 'string') {
+    return 'operation.justification muss ein Text sein';
+  }
+  if (operation.type === 'addProfile' && !isNonEmptyString(operation.profile)) return 'operation.profile erforderlich';
+  if (operation.type === 'addReference' && !isNonEmptyString(operation.reference)) return 'operation.reference erforderlich';
+  if (operation.type === 'appendNote' && !isNonEmptyString(operation.text)) return 'operation.text erforderlich';
+  return null;
+}
+
+/**
+ * Summary of the fields a bulk operation can touch (reported as before/after)
+ */
+function describeState(testcase) {
+  const tags = field => [...new Set([
+    ...(testcase[field] || []),
+    ...(testcase.testSteps || []).flatMap(step => step[field] || [])
+  ])];
+  return {
+    status: rollupTestcase(testcase).status,
+    run: testcase.run || '',
+    workflow: testcase.workflow?.state || 'open',
+    profiles: [...(testcase.profiles || [])],
+    references: [...(testcase.references || [])],
+    notesCount: (testcase.notes || []).length,
+    refFunctions: tags('refFunctions'),
+    refUsers: tags('refUsers')
+  };
+}
+
+/**
+ * Write prepared documents, all or none
+ * A testcase changed by another request in the meantime aborts the whole operation;
+ * a failed write rolls back the files already written. Callers hold the file locks.
+ * @param {Array} writes - [{ filePath, id, previousXml, xml }]
+ */
+async function writeBulkChanges(writes) {
+  const written = [];
+  try {
+    for (const write of writes) {
+      if (await fs.readFile(write.filePath, 'utf-8') !== write.previousXml) {
+        const error = new Error(`Testcase ${write.id} wurde zwischenzeitlich geändert`);
+        error.code = 'ECONFLICT';
+        throw error;
+      }
+      await fs.writeFile(write.filePath, write.xml, 'utf-8');
+      invalidateTestcaseCache(write.filePath);
+      written.push(write);
+    }
+  } catch (error) {
+    for (const write of written) {
+      await fs.writeFile(write.filePath, write.previousXml, 'utf-8');
+      invalidateTestcaseCache(write.filePath);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Apply one operation to all matching testcases of an instance
+ * @param {Object} options
+ * @param {string} options.instancePath - Root path of the instance
+ * @param {string} options.testcasesPath - testcases folder of the instance
+ * @param {Object} options.targets - Selectors (combined with AND)
+ * @param {Object} options.operation - Operation (see applyBulkOperation)
+ * @param {string} options.author - Recorded in notes and the revision history
+ * @param {boolean} options.dryRun - Only report, do not write anything
+ * @param {string} options.revisionSummary - Revision summary (default: "Massenänderung (<type>)")
+ * @param {Function} options.describeResult - (before) => details reported with each result (optional)
+ * @returns {Object} { matched, changed, results: [{ id, path, changed, before, after, summary, details }], unreadable }
+ */
+async function runBulkUpdate({ instancePath, testcasesPath, targets, operation, author = '', dryRun = false, revisionSummary = '', describeResult = null }) {
+  const timestamp = new Date().toISOString();
+  const results = [];
+  const unreadable = [];
+  const writes = [];
+  const registeredRuns = await listRuns(instancePath);
+
+  // Prepare every document before anything is written
+  for (const [relPath, filePath] of await listTestcaseFiles(testcasesPath)) {
+    const id = relPath.split('/').pop().replace(/\.xml$/, '');
+    let previousXml;
+    let before;
+    try {
+      previousXml = await fs.readFile(filePath, 'utf-8');
+      before = await parseTestcaseContent(previousXml, id);
+    } catch (error) {
+      unreadable.push({ id, path: relPath, error: error.message.split('\n')[0] });
+      continue;
+    }
+    if (!matchesTargets(before, relPath, targets)) continue;
+
+    const after = applyBulkOperation(structuredClone(before), operation, { author, timestamp });
+    reconcileWorkflow(before, after, { actor: author, timestamp });
+    assignLatestRun(before, after, registeredRuns);
+    const summary = summarizeDiff(diffTestcases(before, after));
+    results.push({
+      id,
+      path: relPath,
+      changed: Boolean(summary),
+      before: describeState(before),
+      after: describeState(after),
+      summary,
+      ...(describeResult ? { details: describeResult(before) } : {})
+    });
+
+    if (summary && !dryRun) {
+      writes.push({ filePath, id, previousXml, before, xml: await renderTestcaseXML(filePath, after) });
+    }
+  }
+
+  if (!dryRun) {
+    // Holds off single saves (If-Match) of the affected files until the change is written
+    const release = await acquireLocks(writes.map(write => write.filePath));
+    try {
+      await writeBulkChanges(writes);
+
+      for (const write of writes) {
+        await recordRevision({
+          instancePath,
+          testcaseId: write.id,
+          previousXml: write.previousXml,
+          xml: write.xml,
+          previous: write.before,
+          current: await parseTestcaseContent(write.xml, write.id),
+          author,
+          summary: revisionSummary || `Massenänderung (${operation.type})`
+        });
+      }
+    } finally {
+      release();
+    }
+  }
+
+  return {
+    matched: results.length,
+    changed: results.filter(r => r.changed).length,
+    results,
+    unreadable
+  };
+}
+
+module.exports = {
+  BULK_OPERATIONS,
+  TARGET_SELECTORS,
+  matchesTargets,
+  applyBulkOperation,
+  validateBulkTargets,
+  validateBulkRequest,
+  runBulkUpdate
+};
@@ -0,0 +1,121 @@
+/**
+ * Testcase Cache
+ * Handles a shared in-memory cache of parsed testcase documents per instance
+ *
+ * Listing, search, dashboard, profile/hashtag views, exports and the instance list read the
+ * TestCase nodes from here instead of parsing every file on every request. Entries are dropped
+ * when a file watcher on the testcases folder reports a change, and by the app's own writes
+ * (invalidateTestcaseCache) so a read right after a write never sees the old version.
+ * Where the platform cannot watch a folder recursively, entries are checked against the file's
+ * modification time instead.
+ *
+ * Cached nodes are shared between requests and must not be modified.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const xml2js = require('xml2js');
+
+// testcases folder -> { entries: Map(filePath -> { promise, mtimeMs, size }), watcher }
+const roots = new Map();
+
+/**
+ * Parse a TestCase document into its xml2js node (same options as parseTestcaseContent)
+ */
+async function parseNode(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  const parser = new xml2js.Parser({ explicitArray: false, attrkey: '$', charkey: '_' });
+  const result = await parser.parseStringPromise(content);
+  return result.TestCase;
+}
+
+/**
+ * Drop a cached root and stop watching it
+ */
+function dropRoot(rootPath) {
+  const root = roots.get(rootPath);
+  if (!root) return;
+  if (root.watcher) root.watcher.close();
+  roots.delete(rootPath);
+}
+
+/**
+ * Get (or start) the cache of a testcases folder
+ */
+function getRoot(rootPath) {
+  let root = roots.get(rootPath);
+  if (root) return root;
+
+  root = { entries: new Map(), watcher: null };
+  try {
+    root.watcher = fsSync.watch(rootPath, { recursive: true }, (eventType, filename) => {
+      if (!filename) {
+        root.entries.clear();
+      } else if (filename.endsWith('.xml')) {
+        root.entries.delete(path.join(rootPath, filename));
+      } else if (!path.extname(filename)) {
+        // A renamed or removed folder moves every file below it
+        root.entries.clear();
+      }
+    });
+    root.watcher.on('error', () => dropRoot(rootPath));
+    // The watcher must not keep the process alive
+    root.watcher.unref();
+  } catch {
+    root.watcher = null;
+  }
+  roots.set(rootPath, root);
+  return root;
+}
+
+/**
+ * Read the TestCase node of a testcase file through the cache
+ * @param {string} testcaseFile - Path of a testcase (<testcases>/<module>/<category>/<file>.xml)
+ * @returns {Object} TestCase node as parsed by xml2js (read-only)
+ * @throws Read and parse errors of the file (also cached until the file changes)
+ */
+async function readTestcaseNode(testcaseFile) {
+  const filePath = path.resolve(testcaseFile);
+  const rootPath = path.dirname(path.dirname(path.dirname(filePath)));
+  const root = getRoot(rootPath);
+
+  let stat = null;
+  if (!root.watcher) {
+    stat = await fs.stat(filePath);
+  }
+
+  const cached = root.entries.get(filePath);
+  if (cached && (!stat || (cached.mtimeMs === stat.mtimeMs && cached.size === stat.size))) {
+    return cached.promise;
+  }
+
+  const promise = parseNode(filePath);
+  // Errors are reported to the callers awaiting the promise
+  promise.catch(() => {});
+  root.entries.set(filePath, { promise, mtimeMs: stat?.mtimeMs, size: stat?.size });
+  return promise;
+}
+
+/**
+ * Drop cached testcases after a change
+ * @param {string} targetPath - A testcase file (drops that file) or a folder such as a module,
+ *   category, testcases folder or instance (drops every cache inside or around it)
+ */
+function invalidateTestcaseCache(targetPath) {
+  const target = path.resolve(targetPath);
+  for (const [rootPath, root] of roots) {
+    if (target.endsWith('.xml') && target.startsWith(rootPath + path.sep)) {
+      root.entries.delete(target);
+    } else if (target === rootPath || rootPath.startsWith(target + path.sep)) {
+      dropRoot(rootPath);
+    } else if (target.startsWith(rootPath + path.sep)) {
+      root.entries.clear();
+    }
+  }
+}
+
+module.exports = {
+  readTestcaseNode,
+  invalidateTestcaseCache
+};
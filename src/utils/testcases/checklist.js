@@ -0,0 +1,166 @@
+/**
+ * ICS Checklist Utilities
+ * Handles the visibility of conditional questions and the completeness of the checklist
+ *
+ * A question is shown if its DependsOn conditions are met and its visibleIf expression
+ * (same syntax as profile mapping conditions, see profileConditions.js) is true.
+ * Questions are resolved in document order; a hidden question counts as unanswered, so it
+ * neither derives profiles nor shows the questions that depend on it.
+ * Questions sharing a group are exclusive: at most one option may be selected within the group
+ * (a multi-choice question counts as one selection).
+ */
+
+const { evaluateProfileCondition, isSimpleCondition } = require('./profileConditions');
+
+const UNANSWERED = { answered: false, values: [] };
+
+/**
+ * All questions of a profile configuration in document order
+ */
+function listQuestions(profilesData) {
+  return (profilesData?.sections || []).flatMap(section =>
+    // Support both 'questions' (new) and 'items' (legacy) field names
+    (section.questions || section.items || []).map(question => ({ section, question }))
+  );
+}
+
+/**
+ * Check the DependsOn conditions of a question
+ * @param {Object} question - Question with dependsOn { logic: 'AND'|'OR', conditions: [{ questionId, values }] }
+ * @param {Map} questions - questionId -> question (effective answers)
+ * @returns {boolean}
+ */
+function isDependencySatisfied(question, questions) {
+  const conditions = question.dependsOn?.conditions || [];
+  if (conditions.length === 0) return true;
+
+  const results = conditions.map(condition => {
+    const parent = questions.get(condition.questionId);
+    if (!parent?.answer?.answered) return false;
+    return (condition.values || []).some(value => (parent.answer.values || []).includes(value));
+  });
+  return question.dependsOn.logic === 'AND' ? results.every(Boolean) : results.some(Boolean);
+}
+
+/**
+ * Resolve which questions are shown
+ * @param {Object} profilesData - Profile configuration data (see parseProfilesXML)
+ * @returns {Object} { questions: Map(questionId -> question, hidden ones unanswered), visible: Set(questionId) }
+ */
+function resolveChecklist(profilesData) {
+  const entries = listQuestions(profilesData);
+  const questions = new Map(entries.map(({ question }) => [question.id, question]));
+  const visible = new Set();
+
+  for (const { question } of entries) {
+    const shown = isDependencySatisfied(question, questions) &&
+      (!question.visibleIf || evaluateProfileCondition(question.visibleIf, question, questions, { expression: true }));
+    if (shown) {
+      visible.add(question.id);
+    } else if (question.answer?.answered) {
+      questions.set(question.id, { ...question, answer: UNANSWERED });
+    }
+  }
+
+  return { questions, visible };
+}
+
+/**
+ * Options of a choice question (the single-value conditions of its mappings)
+ */
+function getQuestionOptions(question) {
+  if ((question.type || 'boolean') === 'boolean') return ['true', 'false'];
+  return [...new Set((question.profileMappings || []).map(m => m.condition).filter(isSimpleCondition))];
+}
+
+/**
+ * Values of an answer that count as a selection within an exclusive group
+ */
+function selectedValues(question) {
+  if (!question.answer?.answered) return [];
+  const values = question.answer.values || [];
+  if (question.type === 'multi-choice') return values.slice(0, 1);
+  return (question.type || 'boolean') === 'boolean'
+    ? values.filter(v => String(v).toLowerCase() === 'true')
+    : values;
+}
+
+/**
+ * Check the answers of a checklist
+ * Invalid answers and group conflicts are errors on every save; missing required answers only
+ * prevent marking the checklist as completed.
+ * @param {Object} profilesData - Profile configuration data (see parseProfilesXML)
+ * @returns {Object} {
+ *   complete: no errors and every shown required question answered,
+ *   errors: [{ questionId, error }] - invalid answers and group conflicts
+ *     (conditions are checked by validateProfileConditions),
+ *   missing: [{ sectionId, questionId, text }] - shown required questions without answer,
+ *   unanswered: [{ sectionId, questionId, text }] - shown optional questions without answer,
+ *   answered, visible, total: question counts
+ * }
+ */
+function checkChecklist(profilesData) {
+  const entries = listQuestions(profilesData);
+  const { questions, visible } = resolveChecklist(profilesData);
+  const errors = [];
+  const missing = [];
+  const unanswered = [];
+  const groups = new Map();
+
+  for (const { section, question } of entries) {
+    const answer = question.answer || UNANSWERED;
+    const values = answer.answered ? (answer.values || []) : [];
+    const type = question.type || 'boolean';
+    const options = getQuestionOptions(question);
+
+    if (answer.answered && values.length === 0) {
+      errors.push({ questionId: question.id, error: 'Als beantwortet markiert, aber ohne Wert' });
+    }
+    const invalid = values.filter(v => type === 'boolean' ? !options.includes(String(v).toLowerCase()) : options.length > 0 && !options.includes(v));
+    if (invalid.length > 0) {
+      errors.push({ questionId: question.id, error: `Ungültige Antwort ${invalid.map(v => `"${v}"`).join(', ')} (erlaubt: ${options.join(', ')})` });
+    }
+    if (type !== 'multi-choice' && values.length > 1) {
+      errors.push({ questionId: question.id, error: 'Nur eine Antwort erlaubt' });
+    }
+
+    if (!visible.has(question.id)) continue;
+
+    if (!answer.answered) {
+      const item = { sectionId: section.id, questionId: question.id, text: question.text || question.label || '' };
+      (question.required ? missing : unanswered).push(item);
+    }
+    if (question.group) {
+      if (!groups.has(question.group)) groups.set(question.group, []);
+      groups.get(question.group).push(questions.get(question.id));
+    }
+  }
+
+  for (const [group, members] of groups) {
+    const selected = members.filter(q => selectedValues(q).length > 0);
+    const count = members.reduce((n, q) => n + selectedValues(q).length, 0);
+    if (count > 1) {
+      errors.push({
+        questionId: selected[0].id,
+        error: `Gruppe "${group}" erlaubt nur eine Auswahl (gewählt: ${selected.map(q => `${q.id}=${selectedValues(q).join('|')}`).join(', ')})`
+      });
+    }
+  }
+
+  return {
+    complete: errors.length === 0 && missing.length === 0,
+    errors,
+    missing,
+    unanswered,
+    answered: [...visible].filter(id => questions.get(id).answer?.answered).length,
+    visible: visible.size,
+    total: entries.length
+  };
+}
+
+module.exports = {
+  isDependencySatisfied,
+  resolveChecklist,
+  getQuestionOptions,
+  checkChecklist
+};
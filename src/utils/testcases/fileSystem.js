@@ -5,29 +5,48 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const xml2js = require('xml2js');
+const fsSync = require('fs');
+const { readStructureMeta } = require('./structureMeta');
+const { parseTestcaseXML, saveTestcaseXML } = require('./xml');
+const { relocateHistory } = require('./revisions');
+const { relocateFindingLinks } = require('./findings');
+const { getTestcaseNodeStatus, rollupTestcase } = require('./status');
+const { LATEST_RUN, getNodeRun } = require('./runs');
+const { parseNotes } = require('./notes');
+const { queryTestcases } = require('./query');
+const { readTestcaseNode, invalidateTestcaseCache } = require('./cache');
 
 /**
  * Read folder structure for a testcase instance
  * @param {string} rootPath - Root path of the instance
+ * @param {Object} options - { module: only read this module,
+ *   depth: 'module' | 'category' | 'testcase' (default) - with 'module' and 'category' the
+ *   testcases are not read, modules and categories carry testcaseCount instead }
  * @returns {Object} Structure with modules and categories
  */
-async function readFolderStructure(rootPath) {
+async function readFolderStructure(rootPath, { module: moduleFilter = null, depth = 'testcase' } = {}) {
   const structure = { modules: [] };
   
   try {
+    const structureMeta = await readStructureMeta(rootPath);
     const moduleEntries = await fs.readdir(rootPath, { withFileTypes: true });
     
     for (const moduleEntry of moduleEntries) {
       if (!moduleEntry.isDirectory() || moduleEntry.name.startsWith('.') || moduleEntry.name.startsWith('_')) {
         continue;
       }
+      if (moduleFilter && moduleEntry.name !== moduleFilter) {
+        continue;
+      }
       
       const modulePath = path.join(rootPath, moduleEntry.name);
+      const moduleMeta = structureMeta.modules[moduleEntry.name] || {};
       const module = { 
         id: moduleEntry.name, 
         name: moduleEntry.name, 
         path: moduleEntry.name, 
+        title: moduleMeta.title || '',
+        description: moduleMeta.description || '',
         categories: [] 
       };
       
@@ -39,28 +58,31 @@ async function readFolderStructure(rootPath) {
         }
         
         const categoryPath = path.join(modulePath, categoryEntry.name);
+        const categoryMeta = moduleMeta.categories?.[categoryEntry.name] || {};
         const category = { 
           id: categoryEntry.name, 
           name: categoryEntry.name, 
           path: categoryEntry.name, 
+          title: categoryMeta.title || '',
+          description: categoryMeta.description || '',
           testcases: [] 
         };
         
-        const fileEntries = await fs.readdir(categoryPath, { withFileTypes: true });
+        const fileEntries = (await fs.readdir(categoryPath, { withFileTypes: true }))
+          .filter(e => e.isFile() && e.name.endsWith('.xml'));
+        
+        if (depth !== 'testcase') {
+          // Shallow read: count the files instead of reading them
+          const { testcases, ...summary } = category;
+          module.categories.push({ ...summary, testcaseCount: fileEntries.length });
+          continue;
+        }
         
         for (const fileEntry of fileEntries) {
-          if (!fileEntry.isFile() || !fileEntry.name.endsWith('.xml')) {
-            continue;
-          }
-          
           const filePath = path.join(categoryPath, fileEntry.name);
           
           try {
-            const xmlContent = await fs.readFile(filePath, 'utf-8');
-            const parser = new xml2js.Parser({ explicitArray: false, attrkey: '$' });
-            const result = await parser.parseStringPromise(xmlContent);
-            
-            const testCase = result.TestCase;
+            const testCase = await readTestcaseNode(filePath);
             const profiles = testCase?.Profiles?.Profile;
             
             // Helper to parse ref arrays
@@ -108,12 +130,17 @@ async function readFolderStructure(rootPath) {
               id: testCase?.$?.id || fileEntry.name.replace('.xml', ''),
               filename: fileEntry.name,
               title: testCase?.Title || fileEntry.name,
-              status: testCase?.$?.status || null,
+              status: getTestcaseNodeStatus(testCase),
               profiles: profiles ? (Array.isArray(profiles) ? profiles : [profiles]) : [],
               refFunctions: uniqueRefFunctions,
               refUsers: uniqueRefUsers,
               notesCount,
-              attachmentsCount
+              attachmentsCount,
+              workflow: {
+                state: testCase?.Workflow?.$?.state || 'open',
+                assignee: testCase?.Workflow?.$?.assignee || '',
+                reviewer: testCase?.Workflow?.$?.reviewer || ''
+              }
             });
           } catch (parseError) {
             console.warn(`Warning: Could not parse ${filePath}`);
@@ -127,19 +154,26 @@ async function readFolderStructure(rootPath) {
               refUsers: [],
               error: true,
               notesCount: 0,
-              attachmentsCount: 0
+              attachmentsCount: 0,
+              workflow: { state: 'open', assignee: '', reviewer: '' }
             });
           }
         }
         
+        // Empty categories are listed as well so they can be filled through the API
         category.testcases.sort((a, b) => a.id.localeCompare(b.id));
-        if (category.testcases.length > 0) {
-          module.categories.push(category);
-        }
+        module.categories.push(category);
       }
       
       module.categories.sort((a, b) => a.name.localeCompare(b.name));
-      if (module.categories.length > 0) {
+      if (depth === 'module') {
+        const { categories, ...summary } = module;
+        structure.modules.push({
+          ...summary,
+          categoryCount: categories.length,
+          testcaseCount: categories.reduce((n, c) => n + c.testcaseCount, 0)
+        });
+      } else {
         structure.modules.push(module);
       }
     }
@@ -156,126 +190,45 @@ async function readFolderStructure(rootPath) {
 /**
  * Search testcases by query
  * @param {string} rootPath - Root path of the instance
- * @param {string} query - Search query
- * @returns {Array} Matching testcases
+ * @param {string} query - Search query (see query.js for the syntax)
+ * @param {Object} options - { instancePath: needed for has:finding }
+ * @returns {Array} Matching testcases ordered by relevance, with highlights
+ * @throws Error with code 'EQUERY' on syntax errors
  */
-async function searchTestcases(rootPath, query) {
-  const results = [];
-  const lowerQuery = query.toLowerCase();
-  
-  try {
-    const moduleEntries = await fs.readdir(rootPath, { withFileTypes: true });
-    
-    for (const moduleEntry of moduleEntries) {
-      if (!moduleEntry.isDirectory() || moduleEntry.name.startsWith('.') || moduleEntry.name.startsWith('_')) {
-        continue;
-      }
-      
-      const modulePath = path.join(rootPath, moduleEntry.name);
-      const categoryEntries = await fs.readdir(modulePath, { withFileTypes: true });
-      
-      for (const categoryEntry of categoryEntries) {
-        if (!categoryEntry.isDirectory() || categoryEntry.name.startsWith('.') || categoryEntry.name.startsWith('_')) {
-          continue;
-        }
-        
-        const categoryPath = path.join(modulePath, categoryEntry.name);
-        const fileEntries = await fs.readdir(categoryPath, { withFileTypes: true });
-        
-        for (const fileEntry of fileEntries) {
-          if (!fileEntry.isFile() || !fileEntry.name.endsWith('.xml')) {
-            continue;
-          }
-          
-          try {
-            const filePath = path.join(categoryPath, fileEntry.name);
-            const xmlContent = await fs.readFile(filePath, 'utf-8');
-            const parser = new xml2js.Parser({ explicitArray: false, attrkey: '$' });
-            const result = await parser.parseStringPromise(xmlContent);
-            const tc = result.TestCase;
-            
-            const id = tc?.$?.id || fileEntry.name.replace('.xml', '');
-            const title = tc?.Title || '';
-            const purpose = tc?.Purpose || '';
-            
-            // Helper to parse ref arrays
-            const parseRefArray = (raw) => {
-              if (!raw) return [];
-              const arr = Array.isArray(raw) ? raw : [raw];
-              return arr.map(r => typeof r === 'string' ? r : (r._ || r)).filter(Boolean);
-            };
-            
-            // Parse RefFunction and RefUser
-            const refFunctions = parseRefArray(tc?.RefFunction);
-            const refUsers = parseRefArray(tc?.RefUser);
-            
-            // Also collect from TestSteps
-            const rawSteps = tc?.TestSteps?.TestStep;
-            const stepArray = Array.isArray(rawSteps) ? rawSteps : (rawSteps ? [rawSteps] : []);
-            for (const step of stepArray) {
-              refFunctions.push(...parseRefArray(step?.RefFunction));
-              refUsers.push(...parseRefArray(step?.RefUser));
-            }
-            
-            // Deduplicate
-            const uniqueRefFunctions = [...new Set(refFunctions)];
-            const uniqueRefUsers = [...new Set(refUsers)];
-            
-            // Check if query matches (including hashtags)
-            const refFunctionsMatch = uniqueRefFunctions.some(rf => rf.toLowerCase().includes(lowerQuery));
-            const refUsersMatch = uniqueRefUsers.some(ru => ru.toLowerCase().includes(lowerQuery));
-            
-            if (
-              id.toLowerCase().includes(lowerQuery) ||
-              title.toLowerCase().includes(lowerQuery) ||
-              purpose.toLowerCase().includes(lowerQuery) ||
-              refFunctionsMatch ||
-              refUsersMatch
-            ) {
-              const profiles = tc?.Profiles?.Profile;
-              
-              // Determine match type for highlighting
-              let matchType = 'purpose';
-              if (id.toLowerCase().includes(lowerQuery)) matchType = 'id';
-              else if (title.toLowerCase().includes(lowerQuery)) matchType = 'title';
-              else if (refFunctionsMatch) matchType = 'refFunction';
-              else if (refUsersMatch) matchType = 'refUser';
-              
-              results.push({
-                id,
-                filename: fileEntry.name,
-                title,
-                purpose,
-                status: tc?.$?.status || null,
-                profiles: profiles ? (Array.isArray(profiles) ? profiles : [profiles]) : [],
-                refFunctions: uniqueRefFunctions,
-                refUsers: uniqueRefUsers,
-                module: moduleEntry.name,
-                category: categoryEntry.name,
-                matchType
-              });
-            }
-          } catch (err) {
-            // Skip files that can't be parsed
-          }
-        }
-      }
-    }
-  } catch (error) {
-    console.error('Error searching testcases:', error);
-    throw error;
-  }
+async function searchTestcases(rootPath, query, options = {}) {
+  const results = await queryTestcases(rootPath, query, options);
   
-  return results;
+  return results.map(({ testcase, module, category, filename, score, highlights }) => {
+    const steps = testcase.testSteps || [];
+    return {
+      id: testcase.id,
+      filename,
+      title: testcase.title,
+      purpose: testcase.purpose,
+      status: rollupTestcase(testcase).status,
+      profiles: testcase.profiles || [],
+      refFunctions: [...new Set([...(testcase.refFunctions || []), ...steps.flatMap(s => s.refFunctions || [])])],
+      refUsers: [...new Set([...(testcase.refUsers || []), ...steps.flatMap(s => s.refUsers || [])])],
+      module,
+      category,
+      // Field of the most relevant hit, used for highlighting in the result list
+      matchType: ({ function: 'refFunction', user: 'refUser' })[highlights[0]?.field] || highlights[0]?.field || 'query',
+      score,
+      highlights
+    };
+  });
 }
 
 /**
  * Get dashboard data with statistics
  * @param {string} rootPath - Root path of the instance
+ * @param {string|null} run - Run id to count (default: latest run per testcase, see runs.js)
+ * @param {Object} options - { ids: only include these testcase ids (Set, see selectTestcaseIds) }
  * @returns {Object} Dashboard data with statistics
  */
-async function getDashboardData(rootPath) {
+async function getDashboardData(rootPath, run = null, { ids = null } = {}) {
   const stats = {
+    run: run || LATEST_RUN,
     total: 0,
     passed: 0,
     failed: 0,
@@ -321,63 +274,61 @@ async function getDashboardData(rootPath) {
           
           try {
             const filePath = path.join(categoryPath, fileEntry.name);
-            const xmlContent = await fs.readFile(filePath, 'utf-8');
-            const parser = new xml2js.Parser({ explicitArray: false, attrkey: '$' });
-            const result = await parser.parseStringPromise(xmlContent);
-            const tc = result.TestCase;
+            const tc = await readTestcaseNode(filePath);
             
             const testcaseId = tc?.$?.id || fileEntry.name.replace('.xml', '');
+            if (ids && !ids.has(testcaseId)) continue;
             
-            stats.total++;
-            stats.byModule[moduleName].total++;
-            
-            const status = tc?.$?.status || 'OPEN';
-            if (status === 'PASSED') {
-              stats.passed++;
-              stats.byModule[moduleName].passed++;
-            } else if (status === 'FAILED') {
-              stats.failed++;
-              stats.byModule[moduleName].failed++;
-            } else if (status === 'SKIPPED') {
-              stats.skipped++;
-              stats.byModule[moduleName].skipped++;
-            } else {
-              stats.open++;
-              stats.byModule[moduleName].open++;
-            }
-            
-            // Count by profile
-            const profiles = tc?.Profiles?.Profile;
-            if (profiles) {
-              const profileArray = Array.isArray(profiles) ? profiles : [profiles];
-              for (const profile of profileArray) {
-                if (!stats.byProfile[profile]) {
-                  stats.byProfile[profile] = { total: 0, passed: 0, failed: 0, skipped: 0, open: 0 };
+            // Status counts only include testcases that are part of the selected run
+            const runResult = getNodeRun(tc, run);
+            if (runResult) {
+              stats.total++;
+              stats.byModule[moduleName].total++;
+              
+              const status = runResult.status || 'OPEN';
+              if (status === 'PASSED') {
+                stats.passed++;
+                stats.byModule[moduleName].passed++;
+              } else if (status === 'FAILED') {
+                stats.failed++;
+                stats.byModule[moduleName].failed++;
+              } else if (status === 'SKIPPED') {
+                stats.skipped++;
+                stats.byModule[moduleName].skipped++;
+              } else {
+                stats.open++;
+                stats.byModule[moduleName].open++;
+              }
+              
+              // Count by profile
+              const profiles = tc?.Profiles?.Profile;
+              if (profiles) {
+                const profileArray = Array.isArray(profiles) ? profiles : [profiles];
+                for (const profile of profileArray) {
+                  if (!stats.byProfile[profile]) {
+                    stats.byProfile[profile] = { total: 0, passed: 0, failed: 0, skipped: 0, open: 0 };
+                  }
+                  stats.byProfile[profile].total++;
+                  if (status === 'PASSED') stats.byProfile[profile].passed++;
+                  else if (status === 'FAILED') stats.byProfile[profile].failed++;
+                  else if (status === 'SKIPPED') stats.byProfile[profile].skipped++;
+                  else stats.byProfile[profile].open++;
                 }
-                stats.byProfile[profile].total++;
-                if (status === 'PASSED') stats.byProfile[profile].passed++;
-                else if (status === 'FAILED') stats.byProfile[profile].failed++;
-                else if (status === 'SKIPPED') stats.byProfile[profile].skipped++;
-                else stats.byProfile[profile].open++;
               }
             }
             
             // Collect notes
-            if (tc?.Notes?.Note) {
-              const notes = Array.isArray(tc.Notes.Note) ? tc.Notes.Note : [tc.Notes.Note];
-              for (const note of notes) {
-                const noteText = typeof note === 'string' ? note : (note._ || note.text || note);
-                const timestamp = typeof note === 'object' ? (note.$?.timestamp || note.timestamp) : null;
-                if (noteText && typeof noteText === 'string' && noteText.trim()) {
-                  allNotes.push({
-                    testcaseId,
-                    module: moduleName,
-                    category: categoryName,
-                    filename: fileEntry.name,
-                    text: noteText.trim(),
-                    timestamp: timestamp || null
-                  });
-                }
+            for (const note of parseNotes(tc?.Notes)) {
+              if (note.text.trim()) {
+                allNotes.push({
+                  testcaseId,
+                  module: moduleName,
+                  category: categoryName,
+                  filename: fileEntry.name,
+                  noteId: note.id,
+                  text: note.text.trim(),
+                  timestamp: note.editedAt || note.timestamp
+                });
               }
             }
             
@@ -471,10 +422,7 @@ async function getProfilesStructure(rootPath) {
           
           try {
             const filePath = path.join(categoryPath, fileEntry.name);
-            const xmlContent = await fs.readFile(filePath, 'utf-8');
-            const parser = new xml2js.Parser({ explicitArray: false, attrkey: '$' });
-            const result = await parser.parseStringPromise(xmlContent);
-            const tc = result.TestCase;
+            const tc = await readTestcaseNode(filePath);
             
             const tcProfiles = tc?.Profiles?.Profile;
             if (tcProfiles) {
@@ -490,7 +438,7 @@ async function getProfilesStructure(rootPath) {
                   };
                 }
                 
-                const status = tc?.$?.status || 'OPEN';
+                const status = getTestcaseNodeStatus(tc) || 'OPEN';
                 profiles[profile].stats.total++;
                 if (status === 'PASSED') profiles[profile].stats.passed++;
                 else if (status === 'FAILED') profiles[profile].stats.failed++;
@@ -571,10 +519,7 @@ async function getHashtagsStructure(rootPath) {
           
           try {
             const filePath = path.join(categoryPath, fileEntry.name);
-            const xmlContent = await fs.readFile(filePath, 'utf-8');
-            const parser = new xml2js.Parser({ explicitArray: false, attrkey: '$' });
-            const result = await parser.parseStringPromise(xmlContent);
-            const tc = result.TestCase;
+            const tc = await readTestcaseNode(filePath);
             
             // Collect RefFunction and RefUser
             const refFunctions = parseRefArray(tc?.RefFunction);
@@ -588,7 +533,7 @@ async function getHashtagsStructure(rootPath) {
               refUsers.push(...parseRefArray(step?.RefUser));
             }
             
-            const status = tc?.$?.status || 'OPEN';
+            const status = getTestcaseNodeStatus(tc) || 'OPEN';
             const tcInfo = {
               id: tc?.$?.id || fileEntry.name.replace('.xml', ''),
               filename: fileEntry.name,
@@ -659,8 +604,42 @@ async function getHashtagsStructure(rootPath) {
   return hashtags;
 }
 
+/**
+ * Move and/or rename a testcase file
+ * Updates the id attribute and moves the attachments folder, revision history and finding links along.
+ * @param {Object} options
+ * @param {string} options.instancePath - Root path of the instance
+ * @param {string} options.sourcePath - Current XML file path
+ * @param {string} options.targetPath - New XML file path (must not exist)
+ * @param {string} options.oldId - Current testcase ID
+ * @param {string} options.newId - New testcase ID
+ * @param {string} options.author - Recorded in the revision history
+ */
+async function relocateTestcase({ instancePath, sourcePath, targetPath, oldId, newId, author = '' }) {
+  // Write under the new name first (starting from a copy keeps the document as is), then remove the old file
+  const testcase = await parseTestcaseXML(sourcePath);
+  testcase.id = newId;
+  const moved = path.resolve(sourcePath) !== path.resolve(targetPath);
+  if (moved) {
+    await fs.copyFile(sourcePath, targetPath);
+  }
+  await relocateHistory(instancePath, oldId, newId);
+  await relocateFindingLinks(instancePath, oldId, newId);
+  await saveTestcaseXML(targetPath, testcase, { history: { instancePath, author } });
+  if (moved) {
+    await fs.unlink(sourcePath);
+    invalidateTestcaseCache(sourcePath);
+  }
+  
+  const attachmentsDir = path.join(instancePath, '_attachments', oldId);
+  if (newId !== oldId && fsSync.existsSync(attachmentsDir)) {
+    await fs.rename(attachmentsDir, path.join(instancePath, '_attachments', newId));
+  }
+}
+
 module.exports = {
   readFolderStructure,
+  relocateTestcase,
   searchTestcases,
   getDashboardData,
   getProfilesStructure,
@@ -0,0 +1,283 @@
+/**
+ * Findings Utilities
+ * Handles the findings register of an instance (manufacturer defects found during testing)
+ *
+ * A finding documents one defect once and links every testcase, step or expected result it
+ * breaks: { testcaseId, stepId, expectedResultId } (stepId/expectedResultId optional, ids as
+ * returned by parseTestcaseXML). The register is stored in _findings/findings.json.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseTestcaseXML } = require('./xml');
+const { listTestcaseFiles } = require('./upgrade');
+const { resolveAnchor } = require('./notes');
+
+const FINDINGS_DIR = '_findings';
+const FINDINGS_FILE = 'findings.json';
+
+const FINDING_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const FINDING_STATES = ['open', 'fixed', 'verified', 'rejected'];
+
+const SEVERITY_LABELS = {
+  low: 'niedrig',
+  medium: 'mittel',
+  high: 'hoch',
+  critical: 'kritisch'
+};
+
+const FINDING_STATE_LABELS = {
+  open: 'offen',
+  fixed: 'behoben',
+  verified: 'verifiziert',
+  rejected: 'abgelehnt'
+};
+
+// Fields a client may set (id, links and the audit fields are managed here)
+const FINDING_TEXT_FIELDS = ['title', 'description', 'manufacturerResponse'];
+
+/**
+ * Read the findings of an instance
+ * A missing register is empty; an unreadable one is an error, so it is never overwritten.
+ * @param {string} instancePath - Root path of the instance
+ * @returns {Array} Findings in the order they were created
+ */
+async function readFindings(instancePath) {
+  const filePath = path.join(instancePath, FINDINGS_DIR, FINDINGS_FILE);
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const findings = JSON.parse(content);
+  if (!Array.isArray(findings)) {
+    throw new Error(`${FINDINGS_DIR}/${FINDINGS_FILE} enthält keine Befundliste`);
+  }
+  return findings;
+}
+
+/**
+ * Write the findings of an instance
+ * @param {string} instancePath - Root path of the instance
+ * @param {Array} findings - All findings
+ */
+async function writeFindings(instancePath, findings) {
+  const dir = path.join(instancePath, FINDINGS_DIR);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, FINDINGS_FILE), JSON.stringify(findings, null, 2), 'utf-8');
+}
+
+/**
+ * Next free finding id (F-001, F-002, ...)
+ */
+function nextFindingId(findings) {
+  const max = findings.reduce((n, f) => Math.max(n, parseInt(String(f.id).replace(/^F-/, ''), 10) || 0), 0);
+  return `F-${String(max + 1).padStart(3, '0')}`;
+}
+
+/**
+ * Check the fields of a finding
+ * @param {Object} data - Request body
+ * @param {Object} options - { partial: only check the given fields (update) }
+ * @returns {string|null} Error message or null if valid
+ */
+function validateFinding(data, { partial = false } = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return 'Ungültige Anfrage';
+  }
+  if (!partial || data.title !== undefined) {
+    if (typeof data.title !== 'string' || !data.title.trim()) return 'Titel erforderlich';
+  }
+  for (const field of ['description', 'manufacturerResponse']) {
+    if (data[field] !== undefined && typeof data[field] !== 'string') return `${field} muss ein Text sein`;
+  }
+  if (data.severity !== undefined && !FINDING_SEVERITIES.includes(data.severity)) {
+    return `Ungültiger Schweregrad "${data.severity}" (erlaubt: ${FINDING_SEVERITIES.join(', ')})`;
+  }
+  if (data.state !== undefined && !FINDING_STATES.includes(data.state)) {
+    return `Ungültiger Status "${data.state}" (erlaubt: ${FINDING_STATES.join(', ')})`;
+  }
+  if (data.links !== undefined) {
+    if (!Array.isArray(data.links)) return 'links muss eine Liste sein';
+    const invalid = data.links.find(link => !link || typeof link.testcaseId !== 'string' || !link.testcaseId.trim() ||
+      (link.stepId !== undefined && typeof link.stepId !== 'string') ||
+      (link.expectedResultId !== undefined && typeof link.expectedResultId !== 'string'));
+    if (invalid) return 'Jede Verknüpfung benötigt eine testcaseId (stepId und expectedResultId optional)';
+  }
+  return null;
+}
+
+/**
+ * Resolve the links of a finding against the testcases of the instance
+ * An expected result link without stepId gets the step it belongs to, duplicates are dropped.
+ * @param {string} testcasesPath - testcases folder of the instance
+ * @param {Array} links - [{ testcaseId, stepId, expectedResultId }]
+ * @returns {Object} { links, errors: [string] }
+ */
+async function resolveFindingLinks(testcasesPath, links) {
+  const files = new Map();
+  for (const [relPath, filePath] of await listTestcaseFiles(testcasesPath)) {
+    files.set(path.basename(relPath, '.xml'), filePath);
+  }
+
+  const resolved = [];
+  const errors = [];
+  const testcases = new Map();
+
+  for (const link of links) {
+    const testcaseId = link.testcaseId.trim();
+    const stepId = (link.stepId || '').trim();
+    const expectedResultId = (link.expectedResultId || '').trim();
+
+    if (!files.has(testcaseId)) {
+      errors.push(`TestCase ${testcaseId} nicht gefunden`);
+      continue;
+    }
+    if (!testcases.has(testcaseId)) {
+      testcases.set(testcaseId, await parseTestcaseXML(files.get(testcaseId)));
+    }
+    const testcase = testcases.get(testcaseId);
+
+    const anchor = resolveAnchor(testcase, { stepId, expectedResultId });
+    if (anchor.error) {
+      errors.push(`${testcaseId}: ${anchor.error}`);
+      continue;
+    }
+
+    const entry = { testcaseId, stepId: anchor.stepId, expectedResultId };
+    if (!resolved.some(l => l.testcaseId === entry.testcaseId && l.stepId === entry.stepId && l.expectedResultId === entry.expectedResultId)) {
+      resolved.push(entry);
+    }
+  }
+
+  return { links: resolved, errors };
+}
+
+/**
+ * Apply the client fields of a request to a finding
+ */
+function applyFindingFields(finding, data) {
+  for (const field of FINDING_TEXT_FIELDS) {
+    if (data[field] !== undefined) finding[field] = field === 'title' ? data[field].trim() : data[field];
+  }
+  if (data.severity !== undefined) finding.severity = data.severity;
+  if (data.state !== undefined) finding.state = data.state;
+  return finding;
+}
+
+/**
+ * Create a finding
+ * @param {string} instancePath - Root path of the instance
+ * @param {Object} data - Validated fields with resolved links
+ * @param {string} author - Recorded as creator
+ * @returns {Object} The new finding
+ */
+async function createFinding(instancePath, data, author = '') {
+  const findings = await readFindings(instancePath);
+  const now = new Date().toISOString();
+  const finding = applyFindingFields({
+    id: nextFindingId(findings),
+    title: '',
+    severity: 'medium',
+    description: '',
+    manufacturerResponse: '',
+    state: 'open',
+    links: data.links || [],
+    createdAt: now,
+    createdBy: author,
+    updatedAt: now,
+    updatedBy: author
+  }, data);
+
+  await writeFindings(instancePath, [...findings, finding]);
+  return finding;
+}
+
+/**
+ * Update a finding
+ * @param {string} instancePath - Root path of the instance
+ * @param {string} id - Finding id
+ * @param {Object} data - Validated fields (omitted fields are kept, links replace all links)
+ * @param {string} author - Recorded as last editor
+ * @returns {Object|null} The updated finding, null if not found
+ */
+async function updateFinding(instancePath, id, data, author = '') {
+  const findings = await readFindings(instancePath);
+  const finding = findings.find(f => f.id === id);
+  if (!finding) return null;
+
+  applyFindingFields(finding, data);
+  if (data.links !== undefined) finding.links = data.links;
+  finding.updatedAt = new Date().toISOString();
+  finding.updatedBy = author;
+
+  await writeFindings(instancePath, findings);
+  return finding;
+}
+
+/**
+ * Delete a finding
+ * @returns {boolean} Whether the finding existed
+ */
+async function deleteFinding(instancePath, id) {
+  const findings = await readFindings(instancePath);
+  if (!findings.some(f => f.id === id)) return false;
+  await writeFindings(instancePath, findings.filter(f => f.id !== id));
+  return true;
+}
+
+/**
+ * Findings linked to a testcase
+ * @param {Array} findings - All findings
+ * @param {string} testcaseId - Testcase ID
+ * @returns {Array}
+ */
+function getTestcaseFindings(findings, testcaseId) {
+  return findings.filter(f => (f.links || []).some(l => l.testcaseId === testcaseId));
+}
+
+/**
+ * Display text of a finding link (e.g. "SM_TME_01 / step-2 / er-2-1")
+ */
+function formatFindingLink(link) {
+  return [link.testcaseId, link.stepId, link.expectedResultId].filter(Boolean).join(' / ');
+}
+
+/**
+ * Move the finding links of a renamed testcase, or drop them if the testcase was deleted
+ * @param {string} instancePath - Root path of the instance
+ * @param {string} oldId - Current testcase ID
+ * @param {string|null} newId - New testcase ID (null: testcase deleted)
+ */
+async function relocateFindingLinks(instancePath, oldId, newId) {
+  if (newId === oldId) return;
+  const findings = await readFindings(instancePath);
+  if (getTestcaseFindings(findings, oldId).length === 0) return;
+
+  for (const finding of findings) {
+    finding.links = newId
+      ? finding.links.map(l => l.testcaseId === oldId ? { ...l, testcaseId: newId } : l)
+      : finding.links.filter(l => l.testcaseId !== oldId);
+  }
+  await writeFindings(instancePath, findings);
+}
+
+module.exports = {
+  FINDINGS_DIR,
+  FINDING_SEVERITIES,
+  FINDING_STATES,
+  SEVERITY_LABELS,
+  FINDING_STATE_LABELS,
+  readFindings,
+  validateFinding,
+  resolveFindingLinks,
+  createFinding,
+  updateFinding,
+  deleteFinding,
+  getTestcaseFindings,
+  formatFindingLink,
+  relocateFindingLinks
+};
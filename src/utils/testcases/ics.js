@@ -0,0 +1,106 @@
+/**
+ * ICS Document Utilities
+ * Handles the content of the Implementation Conformance Statement exports (PDF/DOCX)
+ *
+ * The document lists the metadata, every question of the checklist with its answer and the
+ * derived profiles. Questions hidden by DependsOn/visibleIf are listed as not applicable, so the
+ * signed document shows the complete checklist the manufacturer filled in.
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+const { resolveChecklist, checkChecklist } = require('./checklist');
+const { calculateDerivedProfiles } = require('./testcase');
+
+const METADATA_LABELS = {
+  manufacturer: 'Hersteller',
+  productName: 'Produkt',
+  productVersion: 'Version',
+  description: 'Beschreibung',
+  testDate: 'Prüfdatum',
+  tester: 'Prüfer'
+};
+
+/**
+ * Resolve the file the profile configuration is read from
+ * Prefers profiles.xml (user data), falls back to the template
+ * @returns {string|null} Absolute path or null if neither exists
+ */
+function resolveProfileConfigPath(testcasesPath) {
+  return [
+    path.join(testcasesPath, 'profiles.xml'),
+    path.join(testcasesPath, 'profiles-template.xml')
+  ].find(p => fsSync.existsSync(p)) || null;
+}
+
+/**
+ * Text of an answer in the document
+ */
+function formatAnswer(question, shown) {
+  if (!shown) return 'nicht zutreffend';
+  const values = question.answer?.answered ? (question.answer.values || []) : [];
+  if (values.length === 0) return 'keine Angabe';
+  if ((question.type || 'boolean') === 'boolean') {
+    return String(values[0]).toLowerCase() === 'true' ? 'Ja' : 'Nein';
+  }
+  return values.join(', ');
+}
+
+/**
+ * Collect the content of the ICS document
+ * @param {Object} profilesData - Profile configuration data (see parseProfilesXML)
+ * @returns {Object} {
+ *   metadata: [{ label, value }] - Metadata block (manufacturer, product and version always listed),
+ *   completed, completeness: see checkChecklist,
+ *   sections: [{ id, title, description, questions: [{ id, text, required, shown, answer }] }],
+ *   profiles: [{ id, name, description, category }] - derived profiles with their definitions
+ * }
+ */
+function collectICSDocument(profilesData) {
+  const { visible } = resolveChecklist(profilesData);
+  const metadata = Object.entries(METADATA_LABELS)
+    .map(([key, label]) => ({ key, label, value: profilesData.metadata?.[key] || '' }))
+    .filter(({ key, value }) => value || ['manufacturer', 'productName', 'productVersion'].includes(key))
+    .map(({ label, value }) => ({ label, value }));
+
+  const sections = (profilesData.sections || []).map(section => ({
+    id: section.id,
+    title: section.title || section.id,
+    description: section.description || '',
+    // Support both 'questions' (new) and 'items' (legacy) field names
+    questions: (section.questions || section.items || []).map(question => {
+      const shown = visible.has(question.id);
+      return {
+        id: question.id,
+        text: question.text || question.label || '',
+        required: Boolean(question.required),
+        shown,
+        answer: formatAnswer(question, shown)
+      };
+    })
+  }));
+
+  const definitions = new Map((profilesData.profileDefinitions || []).map(p => [p.id, p]));
+  const profiles = calculateDerivedProfiles(profilesData).map(id => {
+    const definition = definitions.get(id);
+    return {
+      id,
+      name: definition?.name || id,
+      description: definition?.description || '',
+      category: definition?.category || ''
+    };
+  });
+
+  return {
+    metadata,
+    completed: Boolean(profilesData.completed),
+    completeness: checkChecklist(profilesData),
+    sections,
+    profiles
+  };
+}
+
+module.exports = {
+  resolveProfileConfigPath,
+  collectICSDocument
+};
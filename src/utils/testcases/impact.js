@@ -0,0 +1,128 @@
+/**
+ * ICS Impact Utilities
+ * Handles the preview of a change to the ICS checklist: gained and lost profiles and the
+ * testcases that enter or leave the scope of the profile filter
+ *
+ * The scope follows the instance list and the exports: once the checklist is completed, only
+ * testcases matching the derived profiles (ProfileFilterMode OR/AND) are in scope, testcases
+ * without profiles always are. Testcases leaving the scope are flagged if they hold results,
+ * notes, attachments or linked findings, as these drop out of the reports.
+ */
+
+const path = require('path');
+const { parseTestcaseNode } = require('./xml');
+const { readTestcaseNode } = require('./cache');
+const { listTestcaseFiles } = require('./upgrade');
+const { hasRunResults } = require('./runs');
+const { readFindings, getTestcaseFindings } = require('./findings');
+const { matchesProfileFilter, calculateDerivedProfiles } = require('./testcase');
+
+/**
+ * Profile filter of a checklist
+ * @param {Object} profilesData - Profile configuration data (see parseProfilesXML)
+ * @returns {Object} { completed, profiles: derived profiles, filterMode, filtered: whether the filter applies }
+ */
+function getProfileScope(profilesData) {
+  const profiles = calculateDerivedProfiles(profilesData);
+  const completed = Boolean(profilesData?.completed);
+  return {
+    completed,
+    profiles,
+    filterMode: profilesData?.templateConfiguration?.profileFilterMode || 'OR',
+    filtered: completed && profiles.length > 0
+  };
+}
+
+/**
+ * Check whether a testcase is in the scope of a profile filter
+ */
+function isInScope(profiles, scope) {
+  return !scope.filtered || matchesProfileFilter(profiles, scope.profiles, scope.filterMode);
+}
+
+/**
+ * Analyse the impact of a checklist change
+ * @param {string} testcasesPath - testcases folder of the instance
+ * @param {string} instancePath - Root path of the instance (findings)
+ * @param {Object} currentData - Saved profile configuration
+ * @param {Object} proposedData - Proposed profile configuration
+ * @returns {Object} {
+ *   profiles: { before, after, gained, lost },
+ *   scope: { before: { filtered, count }, after: { filtered, count }, total },
+ *   entering: [testcase], leaving: [testcase] - { id, title, module, category, profiles,
+ *     hasResults, notesCount, attachmentsCount, findings: [finding ids], hasData },
+ *   leavingWithData: number of leaving testcases that hold results, notes, attachments or findings
+ * }
+ */
+async function analyzeProfileImpact(testcasesPath, instancePath, currentData, proposedData) {
+  const before = getProfileScope(currentData);
+  const after = getProfileScope(proposedData);
+  const findings = await readFindings(instancePath);
+
+  const entering = [];
+  const leaving = [];
+  let countBefore = 0;
+  let countAfter = 0;
+  let total = 0;
+
+  for (const [relPath, filePath] of await listTestcaseFiles(testcasesPath)) {
+    const [module, category] = relPath.split(/[\\/]/);
+    const fallbackId = path.basename(filePath, '.xml');
+    let testcase;
+    try {
+      testcase = parseTestcaseNode(await readTestcaseNode(filePath), fallbackId);
+    } catch {
+      // Unreadable testcases have no profiles (always in scope, as in collectAllTestcases)
+      testcase = { id: fallbackId, title: '', profiles: [] };
+    }
+    const profiles = testcase.profiles || [];
+
+    total++;
+    const wasInScope = isInScope(profiles, before);
+    const isNowInScope = isInScope(profiles, after);
+    if (wasInScope) countBefore++;
+    if (isNowInScope) countAfter++;
+    if (wasInScope === isNowInScope) continue;
+
+    const linked = getTestcaseFindings(findings, testcase.id).map(f => f.id);
+    const item = {
+      id: testcase.id,
+      title: testcase.title || '',
+      module,
+      category,
+      profiles,
+      hasResults: hasRunResults(testcase) || (testcase.runs || []).length > 0,
+      notesCount: (testcase.notes || []).length,
+      attachmentsCount: (testcase.attachments || []).length,
+      findings: linked
+    };
+    item.hasData = item.hasResults || item.notesCount > 0 || item.attachmentsCount > 0 || linked.length > 0;
+    (isNowInScope ? entering : leaving).push(item);
+  }
+
+  // Testcases holding data first, as they need attention
+  leaving.sort((a, b) => Number(b.hasData) - Number(a.hasData) || a.id.localeCompare(b.id));
+  entering.sort((a, b) => a.id.localeCompare(b.id));
+
+  return {
+    profiles: {
+      before: before.profiles,
+      after: after.profiles,
+      gained: after.profiles.filter(p => !before.profiles.includes(p)),
+      lost: before.profiles.filter(p => !after.profiles.includes(p))
+    },
+    scope: {
+      before: { filtered: before.filtered, count: countBefore },
+      after: { filtered: after.filtered, count: countAfter },
+      total
+    },
+    entering,
+    leaving,
+    leavingWithData: leaving.filter(t => t.hasData).length
+  };
+}
+
+module.exports = {
+  getProfileScope,
+  analyzeProfileImpact
+};
@@ -5,16 +5,41 @@
 const xml = require('./xml');
 const fileSystem = require('./fileSystem');
 const testcase = require('./testcase');
+const upgrade = require('./upgrade');
+const template = require('./template');
+const structureMeta = require('./structureMeta');
+const schema = require('./schema');
+const revisions = require('./revisions');
+const status = require('./status');
+const bulk = require('./bulk');
+const runs = require('./runs');
+const workflow = require('./workflow');
+const findings = require('./findings');
+const notes = require('./notes');
+const tags = require('./tags');
+const replace = require('./replace');
+const query = require('./query');
+const cache = require('./cache');
+const paging = require('./paging');
+const profileConditions = require('./profileConditions');
+const checklist = require('./checklist');
+const impact = require('./impact');
+const ics = require('./ics');
 
 module.exports = {
   // XML utilities
   parseTestcaseXML: xml.parseTestcaseXML,
+  parseTestcaseContent: xml.parseTestcaseContent,
+  parseTestcaseNode: xml.parseTestcaseNode,
+  renderTestcaseXML: xml.renderTestcaseXML,
+  writeTestcaseXML: xml.writeTestcaseXML,
   saveTestcaseXML: xml.saveTestcaseXML,
   parseProfilesXML: xml.parseProfilesXML,
   buildProfilesXML: xml.buildProfilesXML,
   
   // File system utilities
   readFolderStructure: fileSystem.readFolderStructure,
+  relocateTestcase: fileSystem.relocateTestcase,
   searchTestcases: fileSystem.searchTestcases,
   getDashboardData: fileSystem.getDashboardData,
   getProfilesStructure: fileSystem.getProfilesStructure,
@@ -25,7 +50,162 @@ module.exports = {
   variantToNumber: testcase.variantToNumber,
   numberToVariant: testcase.numberToVariant,
   groupTestcasesWithVariants: testcase.groupTestcasesWithVariants,
+  allocateTestcaseId: testcase.allocateTestcaseId,
+  describeGaps: testcase.describeGaps,
+  findGapsAfterRemoval: testcase.findGapsAfterRemoval,
+  matchesProfileFilter: testcase.matchesProfileFilter,
   collectAllTestcases: testcase.collectAllTestcases,
   collectDetailedTestcases: testcase.collectDetailedTestcases,
-  calculateDerivedProfiles: testcase.calculateDerivedProfiles
+  calculateDerivedProfiles: testcase.calculateDerivedProfiles,
+  
+  // Template upgrade utilities
+  listTestcaseFiles: upgrade.listTestcaseFiles,
+  hasRecordedResults: upgrade.hasRecordedResults,
+  upgradeInstance: upgrade.upgradeInstance,
+  
+  // Template utilities
+  stripTestcaseResults: template.stripTestcaseResults,
+  createTemplateFromInstance: template.createTemplateFromInstance,
+  
+  // Module/category metadata utilities
+  STRUCTURE_META_FILE: structureMeta.STRUCTURE_META_FILE,
+  readStructureMeta: structureMeta.readStructureMeta,
+  writeStructureMeta: structureMeta.writeStructureMeta,
+  
+  // Schema validation utilities
+  TESTCASE_SCHEMA: schema.TESTCASE_SCHEMA,
+  PROFILES_SCHEMA: schema.PROFILES_SCHEMA,
+  validateChange: schema.validateChange,
+  validateInstanceFiles: schema.validateInstanceFiles,
+  
+  // Revision history utilities
+  HISTORY_DIR: revisions.HISTORY_DIR,
+  diffTestcases: revisions.diffTestcases,
+  isEmptyDiff: revisions.isEmptyDiff,
+  summarizeDiff: revisions.summarizeDiff,
+  listRevisions: revisions.listRevisions,
+  getRevisionFile: revisions.getRevisionFile,
+  readRevisionContent: revisions.readRevisionContent,
+  retireHistory: revisions.retireHistory,
+  listDeletedHistories: revisions.listDeletedHistories,
+  readDeletedRevisionContent: revisions.readDeletedRevisionContent,
+  relocateHistory: revisions.relocateHistory,
+  
+  // Status rollup utilities
+  STATUSES: status.STATUSES,
+  normalizeStatus: status.normalizeStatus,
+  deriveStepStatus: status.deriveStepStatus,
+  rollupTestcase: status.rollupTestcase,
+  getTestcaseNodeStatus: status.getTestcaseNodeStatus,
+  applyStatusRollup: status.applyStatusRollup,
+  fillMissingStatuses: status.fillMissingStatuses,
+  findStatusInconsistencies: status.findStatusInconsistencies,
+  
+  // Bulk update utilities
+  BULK_OPERATIONS: bulk.BULK_OPERATIONS,
+  validateBulkTargets: bulk.validateBulkTargets,
+  validateBulkRequest: bulk.validateBulkRequest,
+  runBulkUpdate: bulk.runBulkUpdate,
+  
+  // Execution run utilities
+  LATEST_RUN: runs.LATEST_RUN,
+  UNASSIGNED_RUN: runs.UNASSIGNED_RUN,
+  listRuns: runs.listRuns,
+  registerRun: runs.registerRun,
+  unregisterRun: runs.unregisterRun,
+  getRunName: runs.getRunName,
+  getTestcaseRuns: runs.getTestcaseRuns,
+  selectTestcaseRun: runs.selectTestcaseRun,
+  assignLatestRun: runs.assignLatestRun,
+  
+  // Workflow utilities
+  WORKFLOW_STATES: workflow.WORKFLOW_STATES,
+  WORKFLOW_TRANSITIONS: workflow.WORKFLOW_TRANSITIONS,
+  getWorkflow: workflow.getWorkflow,
+  checkTransition: workflow.checkTransition,
+  applyTransition: workflow.applyTransition,
+  checkAssignment: workflow.checkAssignment,
+  reconcileWorkflow: workflow.reconcileWorkflow,
+  
+  // Findings utilities
+  FINDINGS_DIR: findings.FINDINGS_DIR,
+  FINDING_SEVERITIES: findings.FINDING_SEVERITIES,
+  FINDING_STATES: findings.FINDING_STATES,
+  SEVERITY_LABELS: findings.SEVERITY_LABELS,
+  FINDING_STATE_LABELS: findings.FINDING_STATE_LABELS,
+  readFindings: findings.readFindings,
+  validateFinding: findings.validateFinding,
+  resolveFindingLinks: findings.resolveFindingLinks,
+  createFinding: findings.createFinding,
+  updateFinding: findings.updateFinding,
+  deleteFinding: findings.deleteFinding,
+  getTestcaseFindings: findings.getTestcaseFindings,
+  formatFindingLink: findings.formatFindingLink,
+  relocateFindingLinks: findings.relocateFindingLinks,
+  
+  // Note utilities
+  NOTE_VISIBILITIES: notes.NOTE_VISIBILITIES,
+  parseNotes: notes.parseNotes,
+  createNote: notes.createNote,
+  editNoteText: notes.editNoteText,
+  resolveAnchor: notes.resolveAnchor,
+  describeNoteAnchor: notes.describeNoteAnchor,
+  collectThread: notes.collectThread,
+  getNoteThreads: notes.getNoteThreads,
+  
+  // Tag utilities
+  TAG_TYPES: tags.TAG_TYPES,
+  validateTagRename: tags.validateTagRename,
+  renameTestcaseTag: tags.renameTestcaseTag,
+  listTagRenames: tags.listTagRenames,
+  recordTagRename: tags.recordTagRename,
+  
+  // Find-and-replace utilities
+  REPLACE_FIELDS: replace.REPLACE_FIELDS,
+  REPLACE_FIELD_LABELS: replace.REPLACE_FIELD_LABELS,
+  validateReplaceRequest: replace.validateReplaceRequest,
+  replaceTestcaseText: replace.replaceTestcaseText,
+  listTextReplacements: replace.listTextReplacements,
+  recordTextReplacement: replace.recordTextReplacement,
+  
+  // Query utilities
+  QUERY_QUALIFIERS: query.QUERY_QUALIFIERS,
+  parseQuery: query.parseQuery,
+  queryTestcases: query.queryTestcases,
+  selectTestcaseIds: query.selectTestcaseIds,
+  
+  // Cache utilities
+  readTestcaseNode: cache.readTestcaseNode,
+  invalidateTestcaseCache: cache.invalidateTestcaseCache,
+  
+  // Paging utilities
+  DEFAULT_PAGE_SIZE: paging.DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE: paging.MAX_PAGE_SIZE,
+  STRUCTURE_DEPTHS: paging.STRUCTURE_DEPTHS,
+  STRUCTURE_PAGING: paging.STRUCTURE_PAGING,
+  SEARCH_PAGING: paging.SEARCH_PAGING,
+  parsePageQuery: paging.parsePageQuery,
+  pageStructure: paging.pageStructure,
+  pageSearchResults: paging.pageSearchResults,
+  
+  // Profile condition utilities
+  isSimpleCondition: profileConditions.isSimpleCondition,
+  parseProfileCondition: profileConditions.parseProfileCondition,
+  indexQuestions: profileConditions.indexQuestions,
+  evaluateProfileCondition: profileConditions.evaluateProfileCondition,
+  validateProfileConditions: profileConditions.validateProfileConditions,
+  
+  // Checklist utilities
+  isDependencySatisfied: checklist.isDependencySatisfied,
+  resolveChecklist: checklist.resolveChecklist,
+  getQuestionOptions: checklist.getQuestionOptions,
+  checkChecklist: checklist.checkChecklist,
+  
+  // ICS impact utilities
+  getProfileScope: impact.getProfileScope,
+  analyzeProfileImpact: impact.analyzeProfileImpact,
+  
+  // ICS document utilities
+  resolveProfileConfigPath: ics.resolveProfileConfigPath,
+  collectICSDocument: ics.collectICSDocument
 };
@@ -0,0 +1,208 @@
+/**
+ * Note Utilities
+ * Handles testcase notes: stable ids, edit history, reply threads, anchors and visibility
+ *
+ * Notes are stored in the testcase (<Notes><Note id parent step expectedResult visibility>).
+ * A note that was never edited keeps its text as element content (as in the BSI files); once
+ * edited, the current text moves to <Text> and the earlier texts are kept as <Version> elements.
+ * Notes are internal unless marked as shared with the manufacturer; exports only show shared
+ * notes by default.
+ */
+
+const NOTE_VISIBILITIES = ['internal', 'shared'];
+
+/**
+ * Helper: Text content of an xml2js node (string or { _: text })
+ */
+function nodeText(node) {
+  if (typeof node === 'string') return node;
+  return typeof node?._ === 'string' ? node._ : '';
+}
+
+/**
+ * Parse the notes of a testcase from its xml2js Notes node
+ * Notes without id (written before ids existed) get ids by position (n-1, n-2, ...).
+ * @param {Object|string} notesNode - TestCase.Notes as parsed by xml2js (explicitArray: false, attrkey: '$')
+ * @returns {Array} [{ id, text, timestamp, author, parentId, stepId, expectedResultId, visibility, editedAt, editedBy, versions }]
+ */
+function parseNotes(notesNode) {
+  if (!notesNode) return [];
+  if (typeof notesNode === 'string') {
+    return notesNode.trim()
+      ? [{ ...emptyNote(), id: 'n-1', text: notesNode }]
+      : [];
+  }
+
+  const rawNotes = Array.isArray(notesNode.Note) ? notesNode.Note : (notesNode.Note ? [notesNode.Note] : []);
+  return rawNotes.map((n, i) => {
+    const attrs = (typeof n === 'object' && n.$) || {};
+    const rawVersions = typeof n === 'object' ? n.Version : null;
+    return {
+      id: attrs.id || `n-${i + 1}`,
+      text: typeof n === 'object' && n.Text !== undefined ? nodeText(n.Text) : nodeText(n),
+      timestamp: attrs.timestamp || null,
+      author: attrs.author || '',
+      parentId: attrs.parent || '',
+      stepId: attrs.step || '',
+      expectedResultId: attrs.expectedResult || '',
+      visibility: NOTE_VISIBILITIES.includes(attrs.visibility) ? attrs.visibility : 'internal',
+      editedAt: attrs.edited || null,
+      editedBy: attrs.editedBy || '',
+      versions: (Array.isArray(rawVersions) ? rawVersions : (rawVersions ? [rawVersions] : [])).map(v => ({
+        text: nodeText(v),
+        timestamp: v?.$?.timestamp || null,
+        author: v?.$?.author || ''
+      }))
+    };
+  });
+}
+
+/**
+ * Defaults of a note
+ */
+function emptyNote() {
+  return {
+    id: '',
+    text: '',
+    timestamp: null,
+    author: '',
+    parentId: '',
+    stepId: '',
+    expectedResultId: '',
+    visibility: 'internal',
+    editedAt: null,
+    editedBy: '',
+    versions: []
+  };
+}
+
+/**
+ * Next free note id of a testcase (n-1, n-2, ...)
+ */
+function nextNoteId(notes) {
+  const max = (notes || []).reduce((n, note) => Math.max(n, parseInt(String(note.id).replace(/^n-/, ''), 10) || 0), 0);
+  return `n-${max + 1}`;
+}
+
+/**
+ * Create a note
+ * @param {Array} notes - Existing notes of the testcase (used for the id)
+ * @param {Object} fields - { text, author, parentId, stepId, expectedResultId, visibility }
+ * @returns {Object} The note (not added to the list)
+ */
+function createNote(notes, fields) {
+  return {
+    ...emptyNote(),
+    ...fields,
+    id: nextNoteId(notes),
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Replace the text of a note, keeping the previous text as a version
+ * @param {Object} note - Note (modified in place)
+ * @param {string} text - New text
+ * @param {string} author - Editing user
+ * @returns {Object} The note
+ */
+function editNoteText(note, text, author = '') {
+  if (text === note.text) return note;
+  note.versions = [...(note.versions || []), {
+    text: note.text,
+    timestamp: note.editedAt || note.timestamp,
+    author: note.editedAt ? note.editedBy : note.author
+  }];
+  note.text = text;
+  note.editedAt = new Date().toISOString();
+  note.editedBy = author;
+  return note;
+}
+
+/**
+ * Check and complete the anchor of a note (or finding link) against a parsed testcase
+ * An expected result anchor without stepId gets the step the expected result belongs to.
+ * @param {Object} testcase - Parsed testcase
+ * @param {Object} anchor - { stepId, expectedResultId } (both optional)
+ * @returns {Object} { stepId, expectedResultId, error }
+ */
+function resolveAnchor(testcase, { stepId = '', expectedResultId = '' } = {}) {
+  const steps = testcase.testSteps || [];
+  let step = stepId ? steps.find(s => s.id === stepId) : null;
+  if (stepId && !step) {
+    return { stepId, expectedResultId, error: `Schritt ${stepId} nicht gefunden` };
+  }
+  if (expectedResultId) {
+    const owner = steps.find(s => (s.expectedResults || []).some(er => er.id === expectedResultId));
+    if (!owner || (step && owner !== step)) {
+      return {
+        stepId,
+        expectedResultId,
+        error: `Erwartetes Ergebnis ${expectedResultId} nicht gefunden${step ? ` in Schritt ${stepId}` : ''}`
+      };
+    }
+    step = owner;
+  }
+  return { stepId: step ? step.id : '', expectedResultId, error: null };
+}
+
+/**
+ * Display text of a note anchor (e.g. "Schritt 7, ER 2")
+ */
+function describeNoteAnchor(note) {
+  const er = /^er-(\d+)-(\d+)$/.exec(note.expectedResultId || '');
+  if (er) return `Schritt ${er[1]}, ER ${er[2]}`;
+  if (note.expectedResultId) return note.expectedResultId;
+  const step = /^step-(\d+)$/.exec(note.stepId || '');
+  if (step) return `Schritt ${step[1]}`;
+  return note.stepId || '';
+}
+
+/**
+ * Ids of a note and all replies below it
+ */
+function collectThread(notes, noteId) {
+  const ids = new Set([noteId]);
+  let size;
+  do {
+    size = ids.size;
+    for (const note of notes) {
+      if (note.parentId && ids.has(note.parentId)) ids.add(note.id);
+    }
+  } while (ids.size !== size);
+  return ids;
+}
+
+/**
+ * Notes in thread order (each note followed by its replies) with their depth
+ * @param {Array} notes - Notes of a testcase
+ * @param {Object} options - { includeInternal: also list internal notes (a shared reply to an
+ *   internal note is hidden with it) }
+ * @returns {Array} [{ ...note, depth }]
+ */
+function getNoteThreads(notes, { includeInternal = true } = {}) {
+  const ids = new Set(notes.map(n => n.id));
+  const visible = note => includeInternal || note.visibility === 'shared';
+  const result = [];
+
+  const addThread = (note, depth) => {
+    if (!visible(note)) return;
+    result.push({ ...note, depth });
+    notes.filter(n => n.parentId === note.id).forEach(reply => addThread(reply, depth + 1));
+  };
+  // Replies whose parent was removed are shown as threads of their own
+  notes.filter(n => !n.parentId || !ids.has(n.parentId)).forEach(note => addThread(note, 0));
+  return result;
+}
+
+module.exports = {
+  NOTE_VISIBILITIES,
+  parseNotes,
+  nextNoteId,
+  createNote,
+  editNoteText,
+  resolveAnchor,
+  describeNoteAnchor,
+  collectThread,
+  getNoteThreads
+};
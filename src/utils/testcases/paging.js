@@ -0,0 +1,199 @@
+/**
+ * Paging Utilities
+ * Handles cursor pagination and field projection of the structure and search responses
+ *
+ * A cursor is the position of the last entry of a page (base64url encoded, opaque to clients).
+ * The next page continues after that position, so testcases added or removed between two
+ * requests neither repeat nor skip entries of the remaining pages.
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+const STRUCTURE_DEPTHS = ['module', 'category', 'testcase'];
+
+// Selectable fields per endpoint (id is always included) and the shape of their cursor positions
+const STRUCTURE_PAGING = {
+  fields: ['filename', 'title', 'status', 'profiles', 'refFunctions', 'refUsers', 'notesCount', 'attachmentsCount', 'workflow'],
+  // [module, category, testcase id] - '' for levels below the requested depth
+  isPosition: p => p.length === 3 && p.every(v => typeof v === 'string')
+};
+
+const SEARCH_PAGING = {
+  fields: ['filename', 'title', 'purpose', 'status', 'profiles', 'refFunctions', 'refUsers', 'module', 'category', 'matchType', 'score', 'highlights'],
+  // [score, testcase id] - the order of the search results
+  isPosition: p => p.length === 2 && typeof p[0] === 'number' && typeof p[1] === 'string'
+};
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position), 'utf-8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    return Array.isArray(position) ? position : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check the paging parameters of a request
+ * Paging is active if limit or cursor is given (limit defaults to DEFAULT_PAGE_SIZE).
+ * @param {Object} query - Query string { limit, cursor, fields (comma separated) }
+ * @param {Object} paging - STRUCTURE_PAGING or SEARCH_PAGING
+ * @returns {Object} { page: { limit, after, fields }, error } - limit/after/fields null if not requested
+ */
+function parsePageQuery({ limit, cursor, fields } = {}, paging) {
+  const page = { limit: null, after: null, fields: null };
+
+  if (limit !== undefined) {
+    const n = Number(limit);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_PAGE_SIZE) {
+      return { page: null, error: `limit muss eine Zahl von 1 bis ${MAX_PAGE_SIZE} sein` };
+    }
+    page.limit = n;
+  }
+  if (cursor !== undefined) {
+    page.after = typeof cursor === 'string' ? decodeCursor(cursor) : null;
+    if (!page.after || !paging.isPosition(page.after)) {
+      return { page: null, error: 'Ungültiger cursor' };
+    }
+    page.limit = page.limit || DEFAULT_PAGE_SIZE;
+  }
+  if (fields !== undefined) {
+    const names = String(fields).split(',').map(f => f.trim()).filter(f => f && f !== 'id');
+    const unknown = names.filter(f => !paging.fields.includes(f));
+    if (unknown.length > 0) {
+      return { page: null, error: `Unbekannte Felder: ${unknown.join(', ')} (erlaubt: id, ${paging.fields.join(', ')})` };
+    }
+    page.fields = ['id', ...new Set(names)];
+  }
+
+  return { page, error: null };
+}
+
+/**
+ * Keep the selected fields of an entry (unreadable testcases keep their error flag)
+ */
+function projectFields(entry, fields) {
+  if (!fields) return entry;
+  const projected = {};
+  for (const field of fields) {
+    if (entry[field] !== undefined) projected[field] = entry[field];
+  }
+  if (entry.error) projected.error = true;
+  return projected;
+}
+
+/**
+ * Select the entries of a page
+ * @param {Array} entries - [{ position, ... }] in page order
+ * @param {Object} page - As returned by parsePageQuery
+ * @param {Function} compare - Order of two positions (same order as entries)
+ * @returns {Object} { entries, nextCursor } - nextCursor null on the last page
+ */
+function selectPage(entries, { limit, after }, compare) {
+  const remaining = after ? entries.filter(e => compare(e.position, after) > 0) : entries;
+  const selected = remaining.slice(0, limit);
+  const more = remaining.length > selected.length && selected.length > 0;
+  return { entries: selected, nextCursor: more ? encodeCursor(selected[selected.length - 1].position) : null };
+}
+
+const compareStructurePositions = (a, b) =>
+  a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]) || a[2].localeCompare(b[2]);
+
+const compareSearchPositions = (a, b) => b[0] - a[0] || a[1].localeCompare(b[1]);
+
+/**
+ * Apply paging and field projection to a folder structure (see readFolderStructure)
+ * A page holds up to limit entries of the deepest level read (testcases, categories or modules);
+ * empty categories count as one entry so that they are part of exactly one page.
+ * @param {Object} structure - { modules } as returned by readFolderStructure
+ * @param {Object} page - As returned by parsePageQuery
+ * @returns {Object} { modules } plus { total, nextCursor } when paging
+ */
+function pageStructure(structure, page) {
+  const project = testcase => projectFields(testcase, page.fields);
+  if (!page.limit) {
+    return {
+      modules: structure.modules.map(module => !module.categories ? module : {
+        ...module,
+        categories: module.categories.map(category => !category.testcases ? category : {
+          ...category,
+          testcases: category.testcases.map(project)
+        })
+      })
+    };
+  }
+
+  const entries = [];
+  for (const module of structure.modules) {
+    if (!module.categories) {
+      entries.push({ position: [module.name, '', ''], module });
+      continue;
+    }
+    for (const category of module.categories) {
+      if (!category.testcases || category.testcases.length === 0) {
+        entries.push({ position: [module.name, category.name, ''], module, category });
+        continue;
+      }
+      for (const testcase of category.testcases) {
+        entries.push({ position: [module.name, category.name, testcase.id], module, category, testcase });
+      }
+    }
+  }
+
+  const { entries: selected, nextCursor } = selectPage(entries, page, compareStructurePositions);
+
+  // Rebuild the tree from the entries of the page
+  const modules = [];
+  for (const { module, category, testcase } of selected) {
+    let pageModule = modules[modules.length - 1];
+    if (pageModule?.id !== module.id) {
+      pageModule = module.categories ? { ...module, categories: [] } : module;
+      modules.push(pageModule);
+    }
+    if (!category) continue;
+
+    let pageCategory = pageModule.categories[pageModule.categories.length - 1];
+    if (pageCategory?.id !== category.id) {
+      pageCategory = category.testcases ? { ...category, testcases: [] } : category;
+      pageModule.categories.push(pageCategory);
+    }
+    if (testcase) pageCategory.testcases.push(project(testcase));
+  }
+
+  return { modules, total: entries.length, nextCursor };
+}
+
+/**
+ * Apply paging and field projection to search results (see searchTestcases)
+ * @param {Array} results - Search results ordered by relevance
+ * @param {Object} page - As returned by parsePageQuery
+ * @returns {Object} { results, total, nextCursor } - nextCursor null on the last page or without paging
+ */
+function pageSearchResults(results, page) {
+  const entries = results.map(result => ({ position: [result.score, result.id], result }));
+  const { entries: selected, nextCursor } = page.limit
+    ? selectPage(entries, page, compareSearchPositions)
+    : { entries, nextCursor: null };
+
+  return {
+    results: selected.map(({ result }) => projectFields(result, page.fields)),
+    total: results.length,
+    nextCursor
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  STRUCTURE_DEPTHS,
+  STRUCTURE_PAGING,
+  SEARCH_PAGING,
+  parsePageQuery,
+  pageStructure,
+  pageSearchResults
+};
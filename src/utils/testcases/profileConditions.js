@@ -0,0 +1,307 @@
+/**
+ * Profile Condition Utilities
+ * Handles the conditions of ICS profile mappings (ProfileMapping@condition)
+ *
+ * A condition is either
+ * - a single value, compared with the answer of the question the mapping belongs to
+ *   ("true"/"false" for boolean questions, an option such as "agg" for choice questions), or
+ * - an expression over the answers of any questions of the checklist:
+ *     sm_remote and not csp_light
+ *     sm_aggregation = agg or (multi_client = yes and client_tracking != 'unlimited_not_tracked')
+ *   A bare question ID is true if the (boolean) question is answered with "true",
+ *   "=" and "!=" compare an answer with a value (true/false or a choice option, quotes optional).
+ *   Unanswered questions have no value: "=" is false, "!=" is true.
+ *   Operators: not, and, or (in this order of precedence, case-insensitive) and parentheses.
+ * Question visibility (Question@visibleIf, see checklist.js) is always an expression, so there a
+ * single word is a question ID.
+ */
+
+const KEYWORDS = ['and', 'or', 'not'];
+
+/**
+ * Check whether a condition is a single value (compared with the own answer)
+ * @param {string} condition - ProfileMapping@condition
+ * @returns {boolean}
+ */
+function isSimpleCondition(condition) {
+  const value = String(condition ?? '').trim();
+  return /^[^\s()=!'"]+$/.test(value) && !KEYWORDS.includes(value.toLowerCase());
+}
+
+function conditionError(message) {
+  const error = new Error(message);
+  error.code = 'ECONDITION';
+  return error;
+}
+
+/**
+ * Split an expression into tokens
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch });
+      i++;
+    } else if (ch === '!' && text[i + 1] === '=') {
+      tokens.push({ type: 'op', value: '!=' });
+      i += 2;
+    } else if (ch === '=') {
+      tokens.push({ type: 'op', value: '=' });
+      i += text[i + 1] === '=' ? 2 : 1;
+    } else if (ch === '"' || ch === "'") {
+      const end = text.indexOf(ch, i + 1);
+      if (end === -1) throw conditionError(`Fehlendes schließendes ${ch}`);
+      tokens.push({ type: 'value', value: text.slice(i + 1, end) });
+      i = end + 1;
+    } else {
+      const match = /^[^\s()=!'"]+/.exec(text.slice(i));
+      if (!match) throw conditionError(`Unerwartetes Zeichen "${ch}"`);
+      const word = match[0];
+      tokens.push(KEYWORDS.includes(word.toLowerCase())
+        ? { type: word.toLowerCase() }
+        : { type: 'word', value: word });
+      i += word.length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a profile condition
+ * @param {string} condition - ProfileMapping@condition or Question@visibleIf
+ * @param {Object} options - { expression: parse a single word as question ID (visibleIf) }
+ * @returns {Object} Syntax tree: { type: 'answer', value } for single values, otherwise
+ *   { type: 'and'|'or', children } | { type: 'not', child } | { type: 'ref', questionId }
+ *   | { type: 'compare', questionId, op: '='|'!=', value }
+ * @throws Error with code 'ECONDITION' on syntax errors
+ */
+function parseProfileCondition(condition, { expression = false } = {}) {
+  const text = String(condition ?? '').trim();
+  if (!text) throw conditionError('Bedingung ist leer');
+  if (!expression && isSimpleCondition(text)) return { type: 'answer', value: text };
+
+  const tokens = tokenize(text);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const describe = token => token ? (token.value ?? token.type) : 'Ende';
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'or') {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseNot()];
+    while (peek()?.type === 'and') {
+      pos++;
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseNot = () => {
+    if (peek()?.type === 'not') {
+      pos++;
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (token?.type === '(') {
+      const node = parseOr();
+      if (peek()?.type !== ')') throw conditionError(`")" erwartet, gefunden: ${describe(peek())}`);
+      pos++;
+      return node;
+    }
+    if (token?.type !== 'word') {
+      throw conditionError(`Frage-ID erwartet, gefunden: ${describe(token)}`);
+    }
+    if (peek()?.type !== 'op') {
+      return { type: 'ref', questionId: token.value };
+    }
+    const op = tokens[pos++].value;
+    const value = tokens[pos++];
+    if (value?.type !== 'word' && value?.type !== 'value') {
+      throw conditionError(`Wert nach "${token.value} ${op}" erwartet, gefunden: ${describe(value)}`);
+    }
+    return { type: 'compare', questionId: token.value, op, value: value.value };
+  };
+
+  const tree = parseOr();
+  if (pos < tokens.length) {
+    throw conditionError(`Unerwartet: ${describe(peek())}`);
+  }
+  return tree;
+}
+
+/**
+ * Index the questions of a profile configuration by ID
+ * @param {Object} profilesData - Profile configuration data (see parseProfilesXML)
+ * @returns {Map} questionId -> question
+ */
+function indexQuestions(profilesData) {
+  const questions = new Map();
+  for (const section of profilesData?.sections || []) {
+    // Support both 'questions' (new) and 'items' (legacy) field names
+    for (const question of section.questions || section.items || []) {
+      if (question.id) questions.set(question.id, question);
+    }
+  }
+  return questions;
+}
+
+/**
+ * Options of a choice question (the single-value conditions of its mappings)
+ */
+function choiceOptions(question) {
+  return (question.profileMappings || []).map(m => m.condition).filter(isSimpleCondition);
+}
+
+/**
+ * Answer values of a question ([] if unanswered)
+ */
+function answerValues(question) {
+  return question?.answer?.answered ? (question.answer.values || []) : [];
+}
+
+/**
+ * Evaluate a parsed condition
+ * @param {Object} tree - As returned by parseProfileCondition
+ * @param {Object} question - Question the mapping belongs to
+ * @param {Map} questions - All questions (see indexQuestions)
+ * @returns {boolean}
+ */
+function evaluateConditionTree(tree, question, questions) {
+  switch (tree.type) {
+    case 'answer': {
+      const values = answerValues(question);
+      if (question.type === 'boolean') {
+        const boolValue = values[0]?.toLowerCase() === 'true';
+        return (tree.value === 'true' && boolValue) || (tree.value === 'false' && !boolValue);
+      }
+      return values.includes(tree.value);
+    }
+    case 'and':
+      return tree.children.every(child => evaluateConditionTree(child, question, questions));
+    case 'or':
+      return tree.children.some(child => evaluateConditionTree(child, question, questions));
+    case 'not':
+      return !evaluateConditionTree(tree.child, question, questions);
+    case 'ref':
+      return answerValues(questions.get(tree.questionId))[0]?.toLowerCase() === 'true';
+    case 'compare': {
+      const target = questions.get(tree.questionId);
+      const values = answerValues(target).map(v => target?.type === 'boolean' ? v.toLowerCase() : v);
+      const matches = values.includes(target?.type === 'boolean' ? tree.value.toLowerCase() : tree.value);
+      return tree.op === '=' ? matches : !matches;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether the condition of a profile mapping is met
+ * Invalid conditions are never met (see validateProfileConditions).
+ * @param {string} condition - ProfileMapping@condition or Question@visibleIf
+ * @param {Object} question - Question the mapping belongs to
+ * @param {Map} questions - All questions (see indexQuestions)
+ * @param {Object} options - { expression: see parseProfileCondition }
+ * @returns {boolean}
+ */
+function evaluateProfileCondition(condition, question, questions, options = {}) {
+  try {
+    return evaluateConditionTree(parseProfileCondition(condition, options), question, questions);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check the references of a parsed condition against the questions
+ * @returns {string|null} Error message or null
+ */
+function checkConditionTree(tree, questions) {
+  switch (tree.type) {
+    case 'and':
+    case 'or':
+      for (const child of tree.children) {
+        const error = checkConditionTree(child, questions);
+        if (error) return error;
+      }
+      return null;
+    case 'not':
+      return checkConditionTree(tree.child, questions);
+    case 'ref':
+    case 'compare': {
+      const target = questions.get(tree.questionId);
+      if (!target) return `Unbekannte Frage "${tree.questionId}"`;
+      const type = target.type || 'boolean';
+      if (tree.type === 'ref') {
+        return type === 'boolean'
+          ? null
+          : `Auswahlfrage "${tree.questionId}" benötigt einen Vergleich (${tree.questionId} = <Option>)`;
+      }
+      if (type === 'boolean') {
+        return ['true', 'false'].includes(tree.value.toLowerCase())
+          ? null
+          : `Ja/Nein-Frage "${tree.questionId}" kann nur mit true oder false verglichen werden`;
+      }
+      const options = choiceOptions(target);
+      return options.length === 0 || options.includes(tree.value)
+        ? null
+        : `"${tree.value}" ist keine Option von "${tree.questionId}" (${options.join(', ')})`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check all conditions of a profile configuration (profile mappings and visibleIf)
+ * @param {Object} profilesData - Profile configuration data (see parseProfilesXML)
+ * @returns {Array} [{ questionId, field: 'condition'|'visibleIf', condition, error }] - empty if all are valid
+ */
+function validateProfileConditions(profilesData) {
+  const questions = indexQuestions(profilesData);
+  const errors = [];
+  const check = (question, field, condition, options) => {
+    let error;
+    try {
+      error = checkConditionTree(parseProfileCondition(condition, options), questions);
+    } catch (parseError) {
+      if (parseError.code !== 'ECONDITION') throw parseError;
+      error = parseError.message;
+    }
+    if (error) errors.push({ questionId: question.id, field, condition, error });
+  };
+
+  for (const question of questions.values()) {
+    if (question.visibleIf) {
+      check(question, 'visibleIf', question.visibleIf, { expression: true });
+    }
+    for (const mapping of question.profileMappings || []) {
+      check(question, 'condition', mapping.condition ?? 'true');
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  isSimpleCondition,
+  parseProfileCondition,
+  indexQuestions,
+  evaluateProfileCondition,
+  validateProfileConditions
+};
@@ -0,0 +1,462 @@
+/**
+ * Query Utilities
+ * Handles the search query language used by search, dashboard and exports
+ *
+ * Syntax:
+ *   Zeitstempel                  free text (id, title, purpose, preconditions, steps, expected
+ *                                results, notes, functions, users)
+ *   "Zeitstempel prüfen"         phrase
+ *   status:FAILED                qualifier (see QUERY_QUALIFIERS), value may be quoted
+ *   id:SM_TME_0*                 * and ? are wildcards for the exact-match qualifiers
+ *   a b, a AND b, a OR b, NOT a, -a, ( ... )   (operators in capitals)
+ * NOT binds strongest, then AND (also implicit), then OR. Matching is case-insensitive and folds
+ * German umlauts and ß (ä = ae, ß = ss).
+ */
+
+const { parseTestcaseNode } = require('./xml');
+const { readTestcaseNode } = require('./cache');
+const { listTestcaseFiles } = require('./upgrade');
+const { rollupTestcase } = require('./status');
+const { readFindings } = require('./findings');
+
+// Qualifier -> how its value is matched ('exact': whole value, wildcards allowed; 'text': substring)
+const QUERY_QUALIFIERS = {
+  id: 'exact',
+  status: 'exact',
+  profile: 'exact',
+  function: 'exact',
+  user: 'exact',
+  module: 'exact',
+  category: 'exact',
+  workflow: 'exact',
+  assignee: 'exact',
+  reviewer: 'exact',
+  has: 'exact',
+  title: 'text',
+  purpose: 'text',
+  note: 'text',
+  text: 'text'
+};
+
+const HAS_VALUES = ['attachment', 'note', 'finding', 'result'];
+
+// Relevance weight of a free-text hit per field
+const FIELD_WEIGHTS = {
+  id: 8,
+  title: 5,
+  function: 3,
+  user: 3,
+  purpose: 2,
+  preconditions: 1,
+  command: 1,
+  expectedResult: 1,
+  note: 1
+};
+
+// Characters of context around a highlighted hit in a long text
+const SNIPPET_CONTEXT = 40;
+const MAX_HIGHLIGHTS = 5;
+
+// Search documents per cached TestCase node (dropped together with the node, see cache.js)
+const searchDocuments = new WeakMap();
+
+const FOLDINGS = { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'ß': 'ss', 'Ä': 'ae', 'Ö': 'oe', 'Ü': 'ue', 'ẞ': 'ss' };
+
+/**
+ * Fold a text for matching (lowercase, umlauts and ß transliterated)
+ * @returns {Object} { folded, map } - map[i] is the index in text of folded[i]
+ */
+function foldText(text) {
+  let folded = '';
+  const map = [];
+  for (let i = 0; i < text.length; i++) {
+    const f = FOLDINGS[text[i]] ?? text[i].toLowerCase();
+    for (let k = 0; k < f.length; k++) map.push(i);
+    folded += f;
+  }
+  map.push(text.length);
+  return { folded, map };
+}
+
+const fold = text => foldText(String(text ?? '')).folded;
+
+/**
+ * Create a query syntax error (reported as 400 by the routes)
+ */
+function queryError(message) {
+  const error = new Error(message);
+  error.code = 'EQUERY';
+  return error;
+}
+
+/**
+ * Split a query into tokens
+ * @returns {Array} [{ type: 'op'|'(' |')'|'term', value, field, negated }]
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = () => {
+    const end = query.indexOf('"', i + 1);
+    if (end === -1) throw queryError('Nicht geschlossenes Anführungszeichen');
+    const value = query.slice(i + 1, end);
+    i = end + 1;
+    return value;
+  };
+
+  while (i < query.length) {
+    const c = query[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === '(' || c === ')') {
+      tokens.push({ type: c });
+      i++;
+    } else {
+      // A leading "-" negates the following term
+      const negated = c === '-' && i + 1 < query.length && !/[\s()]/.test(query[i + 1]);
+      if (negated) i++;
+
+      let field = null;
+      const qualifier = /^([a-zA-Z]+):/.exec(query.slice(i));
+      if (qualifier && QUERY_QUALIFIERS[qualifier[1].toLowerCase()]) {
+        field = qualifier[1].toLowerCase();
+        i += qualifier[0].length;
+      } else if (qualifier) {
+        throw queryError(`Unbekanntes Suchfeld "${qualifier[1]}" (erlaubt: ${Object.keys(QUERY_QUALIFIERS).join(', ')})`);
+      }
+
+      let value;
+      if (query[i] === '"') {
+        value = readQuoted();
+      } else {
+        const start = i;
+        while (i < query.length && !/[\s()]/.test(query[i])) i++;
+        value = query.slice(start, i);
+      }
+
+      if (!field && !negated && ['AND', 'OR', 'NOT'].includes(value)) {
+        tokens.push({ type: 'op', value });
+      } else if (!value) {
+        throw queryError(field ? `Wert für ${field}: fehlt` : 'Leerer Suchbegriff');
+      } else {
+        tokens.push({ type: 'term', field, value, negated });
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a query into a tree
+ * @param {string} query - Query text
+ * @returns {Object|null} { type: 'and'|'or', children } | { type: 'not', child } |
+ *   { type: 'term', field, value } - null for an empty query
+ * @throws Error with code 'EQUERY' on syntax errors
+ */
+function parseQuery(query) {
+  const tokens = tokenize(String(query || ''));
+  if (tokens.length === 0) return null;
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'op' && peek().value === 'OR') {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+  const parseAnd = () => {
+    const children = [parseNot()];
+    while (peek() && peek().type !== ')' && !(peek().type === 'op' && peek().value === 'OR')) {
+      if (peek().type === 'op' && peek().value === 'AND') pos++;
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+  const parseNot = () => {
+    if (peek()?.type === 'op' && peek().value === 'NOT') {
+      pos++;
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary();
+  };
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (!token) throw queryError('Unvollständige Suchanfrage');
+    if (token.type === '(') {
+      const node = parseOr();
+      if (tokens[pos++]?.type !== ')') throw queryError('Fehlende schließende Klammer');
+      return node;
+    }
+    if (token.type === 'term') {
+      const term = { type: 'term', field: token.field, value: token.value };
+      if (term.field === 'has' && !HAS_VALUES.includes(term.value.toLowerCase())) {
+        throw queryError(`has: erlaubt ${HAS_VALUES.join(', ')}`);
+      }
+      return token.negated ? { type: 'not', child: term } : term;
+    }
+    throw queryError(token.type === ')' ? 'Unerwartete schließende Klammer' : `Unerwarteter Operator ${token.value}`);
+  };
+
+  const tree = parseOr();
+  if (pos < tokens.length) throw queryError('Unerwartete schließende Klammer');
+  return tree;
+}
+
+/**
+ * Build the searchable fields of a parsed testcase
+ * @param {Object} testcase - Parsed testcase
+ * @param {Object} location - { module, category }
+ * @returns {Object} { testcase, texts, values, has } (has.finding is set per query)
+ */
+function buildSearchDocument(testcase, { module, category }) {
+  const steps = testcase.testSteps || [];
+  const texts = [
+    { field: 'id', text: testcase.id },
+    { field: 'title', text: testcase.title },
+    { field: 'purpose', text: testcase.purpose },
+    ...(testcase.preconditions || []).map(text => ({ field: 'preconditions', text })),
+    ...steps.map(step => ({ field: 'command', stepId: step.id, text: step.command })),
+    ...steps.flatMap(step => (step.expectedResults || []).map(er => ({
+      field: 'expectedResult', stepId: step.id, expectedResultId: er.id, text: er.text
+    }))),
+    ...(testcase.notes || []).map(note => ({ field: 'note', noteId: note.id, text: note.text }))
+  ].filter(entry => typeof entry.text === 'string' && entry.text);
+
+  const tags = field => [...new Set([...(testcase[field] || []), ...steps.flatMap(step => step[field] || [])])];
+  const functions = tags('refFunctions');
+  const users = tags('refUsers');
+  texts.push(
+    ...functions.map(text => ({ field: 'function', text })),
+    ...users.map(text => ({ field: 'user', text }))
+  );
+
+  return {
+    testcase,
+    texts: texts.map(entry => ({ ...entry, ...foldText(entry.text) })),
+    values: {
+      id: [testcase.id],
+      status: [rollupTestcase(testcase).status || 'OPEN'],
+      profile: testcase.profiles || [],
+      function: functions,
+      user: users,
+      module: [module],
+      category: [category],
+      workflow: [testcase.workflow?.state || 'open'],
+      assignee: [testcase.workflow?.assignee || ''],
+      reviewer: [testcase.workflow?.reviewer || '']
+    },
+    has: {
+      attachment: (testcase.attachments || []).length > 0,
+      note: (testcase.notes || []).length > 0,
+      finding: false,
+      result: steps.some(step => (step.expectedResults || []).some(er => er.status))
+    }
+  };
+}
+
+/**
+ * Compile a value with * and ? wildcards to a matcher on folded values
+ */
+function valueMatcher(value) {
+  const folded = fold(value);
+  if (!/[*?]/.test(folded)) return candidate => fold(candidate) === folded;
+  const source = folded.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  const regex = new RegExp(`^${source}$`);
+  return candidate => regex.test(fold(candidate));
+}
+
+/**
+ * Fields a text term is matched against
+ */
+function textFields(field) {
+  if (field === 'title' || field === 'purpose' || field === 'note') return [field];
+  return null;
+}
+
+/**
+ * Evaluate a query tree against a search document
+ * @returns {Object} { match, score, hits: [{ entry, start, end }] } - hits only for positive text terms
+ */
+function evaluate(node, doc) {
+  switch (node.type) {
+    case 'and': {
+      const results = node.children.map(child => evaluate(child, doc));
+      const match = results.every(r => r.match);
+      return {
+        match,
+        score: match ? results.reduce((n, r) => n + r.score, 0) : 0,
+        hits: match ? results.flatMap(r => r.hits) : []
+      };
+    }
+    case 'or': {
+      const results = node.children.map(child => evaluate(child, doc)).filter(r => r.match);
+      return {
+        match: results.length > 0,
+        score: results.reduce((n, r) => n + r.score, 0),
+        hits: results.flatMap(r => r.hits)
+      };
+    }
+    case 'not':
+      return { match: !evaluate(node.child, doc).match, score: 0, hits: [] };
+    default:
+      return evaluateTerm(node, doc);
+  }
+}
+
+/**
+ * Evaluate a single term
+ */
+function evaluateTerm({ field, value }, doc) {
+  if (field === 'has') {
+    return { match: doc.has[value.toLowerCase()], score: 1, hits: [] };
+  }
+  if (field && QUERY_QUALIFIERS[field] === 'exact') {
+    const matches = valueMatcher(value);
+    return { match: doc.values[field].some(matches), score: 1, hits: [] };
+  }
+
+  // Free text and text qualifiers: substring match with relevance by field
+  const needle = fold(value);
+  const fields = textFields(field);
+  const hits = [];
+  let score = 0;
+  for (const entry of doc.texts) {
+    if (fields && !fields.includes(entry.field)) continue;
+    let count = 0;
+    for (let at = entry.folded.indexOf(needle); at !== -1; at = entry.folded.indexOf(needle, at + needle.length)) {
+      hits.push({ entry, start: entry.map[at], end: entry.map[at + needle.length - 1] + 1 });
+      count++;
+    }
+    if (count > 0) {
+      // Exact id/tag hits rank above partial ones
+      const exact = entry.folded === needle ? 2 : 1;
+      score += FIELD_WEIGHTS[entry.field] * exact * Math.min(count, 3);
+    }
+  }
+  return { match: hits.length > 0, score, hits };
+}
+
+/**
+ * Merge overlapping ranges
+ */
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
+
+/**
+ * Build the highlights of a result from its hits
+ * Title and purpose are returned in full, other texts as a snippet around the first hit.
+ * @returns {Array} [{ field, stepId, expectedResultId, noteId, text, ranges: [[start, end]] }]
+ */
+function buildHighlights(hits) {
+  const byEntry = new Map();
+  for (const hit of hits) {
+    if (!byEntry.has(hit.entry)) byEntry.set(hit.entry, []);
+    byEntry.get(hit.entry).push([hit.start, hit.end]);
+  }
+
+  const highlights = [];
+  for (const [entry, ranges] of byEntry) {
+    const merged = mergeRanges(ranges);
+    const location = {
+      field: entry.field,
+      ...(entry.stepId ? { stepId: entry.stepId } : {}),
+      ...(entry.expectedResultId ? { expectedResultId: entry.expectedResultId } : {}),
+      ...(entry.noteId ? { noteId: entry.noteId } : {})
+    };
+    if (['id', 'title', 'purpose', 'function', 'user'].includes(entry.field)) {
+      highlights.push({ ...location, text: entry.text, ranges: merged });
+      continue;
+    }
+    const from = Math.max(0, merged[0][0] - SNIPPET_CONTEXT);
+    const to = Math.min(entry.text.length, merged[0][1] + SNIPPET_CONTEXT);
+    highlights.push({
+      ...location,
+      text: `${from > 0 ? '…' : ''}${entry.text.slice(from, to)}${to < entry.text.length ? '…' : ''}`,
+      ranges: merged
+        .filter(([start, end]) => start >= from && end <= to)
+        .map(([start, end]) => [start - from + (from > 0 ? 1 : 0), end - from + (from > 0 ? 1 : 0)])
+    });
+  }
+  // Most relevant fields first
+  return highlights
+    .sort((a, b) => FIELD_WEIGHTS[b.field] - FIELD_WEIGHTS[a.field])
+    .slice(0, MAX_HIGHLIGHTS);
+}
+
+/**
+ * Run a query over the testcases of an instance
+ * @param {string} testcasesPath - testcases folder of the instance
+ * @param {string} query - Query text
+ * @param {Object} options - { instancePath: needed for has:finding }
+ * @returns {Array} Matches ordered by relevance, then id:
+ *   [{ testcase, module, category, filename, score, highlights }]
+ * @throws Error with code 'EQUERY' on syntax errors
+ */
+async function queryTestcases(testcasesPath, query, { instancePath = null } = {}) {
+  const tree = parseQuery(query);
+  if (!tree) return [];
+
+  const findings = instancePath ? await readFindings(instancePath) : [];
+  const findingIds = new Set(findings.flatMap(f => (f.links || []).map(l => l.testcaseId)));
+
+  const results = [];
+  for (const [relPath, filePath] of await listTestcaseFiles(testcasesPath)) {
+    const [module, category, filename] = relPath.split('/');
+    let doc;
+    try {
+      const node = await readTestcaseNode(filePath);
+      doc = searchDocuments.get(node);
+      if (!doc) {
+        doc = buildSearchDocument(parseTestcaseNode(node, filename.replace(/\.xml$/, '')), { module, category });
+        searchDocuments.set(node, doc);
+      }
+    } catch {
+      // Skip files that can't be parsed
+      continue;
+    }
+
+    const result = evaluate(tree, { ...doc, has: { ...doc.has, finding: findingIds.has(doc.testcase.id) } });
+    if (!result.match) continue;
+    results.push({
+      testcase: doc.testcase,
+      module,
+      category,
+      filename,
+      score: result.score,
+      highlights: buildHighlights(result.hits)
+    });
+  }
+
+  return results.sort((a, b) => b.score - a.score || a.testcase.id.localeCompare(b.testcase.id));
+}
+
+/**
+ * Ids of the testcases matching a query (filter for dashboard and exports)
+ * @returns {Set|null} Testcase ids, null for an empty query (no filter)
+ * @throws Error with code 'EQUERY' on syntax errors
+ */
+async function selectTestcaseIds(testcasesPath, query, options = {}) {
+  if (!parseQuery(query)) return null;
+  const results = await queryTestcases(testcasesPath, query, options);
+  return new Set(results.map(r => r.testcase.id));
+}
+
+module.exports = {
+  QUERY_QUALIFIERS,
+  HAS_VALUES,
+  foldText,
+  parseQuery,
+  queryTestcases,
+  selectTestcaseIds
+};
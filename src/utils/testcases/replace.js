@@ -0,0 +1,168 @@
+/**
+ * Find-and-Replace Utilities
+ * Handles search and replace over the text of testcases (title, purpose, preconditions,
+ * step commands and expected results)
+ *
+ * The search is a literal text or a regular expression (replacement with $1, $<name>, $&, $$).
+ * Every replacement over an instance is logged in instance.json (textReplacements).
+ */
+
+const { readInstanceMeta, updateInstanceMeta } = require('../global/instanceMeta');
+
+const REPLACE_FIELDS = ['title', 'purpose', 'preconditions', 'command', 'expectedResult'];
+
+const REPLACE_FIELD_LABELS = {
+  title: 'Titel',
+  purpose: 'Zweck',
+  preconditions: 'Vorbedingung',
+  command: 'Aktion',
+  expectedResult: 'Erwartetes Ergebnis'
+};
+
+/**
+ * Check a find-and-replace request and build the search pattern
+ * @param {Object} data - { search, replace, regex, caseSensitive, fields }
+ * @returns {Object} { replace: { search, pattern, replacement, literal, caseSensitive, fields }, error }
+ */
+function validateReplaceRequest(data) {
+  const { search, replace = '', regex = false, caseSensitive = false, fields = REPLACE_FIELDS } = data || {};
+  if (typeof search !== 'string' || !search) {
+    return { replace: null, error: 'search erforderlich' };
+  }
+  if (typeof replace !== 'string') {
+    return { replace: null, error: 'replace muss ein Text sein' };
+  }
+  if (!Array.isArray(fields) || fields.length === 0 || fields.some(f => !REPLACE_FIELDS.includes(f))) {
+    return { replace: null, error: `fields muss eine Liste aus ${REPLACE_FIELDS.join(', ')} sein` };
+  }
+
+  let pattern;
+  try {
+    const source = regex ? search : search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    pattern = new RegExp(source, caseSensitive ? 'g' : 'gi');
+  } catch (error) {
+    return { replace: null, error: `Ungültiger regulärer Ausdruck: ${error.message}` };
+  }
+  if (new RegExp(pattern.source, pattern.flags.replace('g', '')).test('')) {
+    return { replace: null, error: 'Suchmuster darf nicht auf leeren Text passen' };
+  }
+
+  return {
+    replace: {
+      search,
+      pattern,
+      replacement: replace,
+      literal: !regex,
+      caseSensitive: Boolean(caseSensitive),
+      fields: [...new Set(fields)]
+    },
+    error: null
+  };
+}
+
+/**
+ * Expand $1, $<name>, $& and $$ in a regex replacement
+ */
+function expandReplacement(replacement, match, captures, namedGroups) {
+  return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, key, name) => {
+    if (key === '$') return '$';
+    if (key === '&') return match;
+    if (name !== undefined) return namedGroups?.[name] ?? '';
+    const n = parseInt(key, 10);
+    return n >= 1 && n <= captures.length ? (captures[n - 1] ?? '') : token;
+  });
+}
+
+/**
+ * Replace all matches in a text
+ * @returns {Object} { text, matches: [{ index, match, replacement }] }
+ */
+function replaceInText(text, { pattern, replacement, literal }) {
+  const matches = [];
+  let result = '';
+  let last = 0;
+  for (const m of text.matchAll(pattern)) {
+    const value = literal ? replacement : expandReplacement(replacement, m[0], m.slice(1), m.groups);
+    matches.push({ index: m.index, match: m[0], replacement: value });
+    result += text.slice(last, m.index) + value;
+    last = m.index + m[0].length;
+  }
+  return { text: result + text.slice(last), matches };
+}
+
+/**
+ * Replace the matches in the text fields of a parsed testcase
+ * @param {Object} testcase - Parsed testcase (modified in place)
+ * @param {Object} replace - Request as returned by validateReplaceRequest
+ * @param {Object} options - { contextLength: characters of context reported around each match }
+ * @returns {Array} [{ field, stepId, expectedResultId, index, match, replacement, before, after }]
+ */
+function replaceTestcaseText(testcase, replace, { contextLength = 0 } = {}) {
+  const matches = [];
+  const replaceField = (text, location) => {
+    if (typeof text !== 'string' || !text) return text;
+    const result = replaceInText(text, replace);
+    for (const m of result.matches) {
+      const end = m.index + m.match.length;
+      matches.push({
+        ...location,
+        match: m.match,
+        replacement: m.replacement,
+        before: text.slice(Math.max(0, m.index - contextLength), m.index),
+        after: text.slice(end, end + contextLength)
+      });
+    }
+    return result.text;
+  };
+  const fields = new Set(replace.fields);
+
+  if (fields.has('title')) testcase.title = replaceField(testcase.title, { field: 'title' });
+  if (fields.has('purpose')) testcase.purpose = replaceField(testcase.purpose, { field: 'purpose' });
+  if (fields.has('preconditions')) {
+    testcase.preconditions = (testcase.preconditions || []).map((text, index) =>
+      replaceField(text, { field: 'preconditions', index })
+    );
+  }
+  for (const step of testcase.testSteps || []) {
+    if (fields.has('command')) {
+      step.command = replaceField(step.command, { field: 'command', stepId: step.id });
+    }
+    if (fields.has('expectedResult')) {
+      for (const er of step.expectedResults || []) {
+        er.text = replaceField(er.text, { field: 'expectedResult', stepId: step.id, expectedResultId: er.id });
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * List the find-and-replace operations of an instance (oldest first)
+ * @param {string} instancePath - Root path of the instance
+ * @returns {Array} [{ search, replace, regex, caseSensitive, fields, targets, testcases, matches, timestamp, author }]
+ */
+async function listTextReplacements(instancePath) {
+  const meta = await readInstanceMeta(instancePath);
+  return Array.isArray(meta.textReplacements) ? meta.textReplacements : [];
+}
+
+/**
+ * Log a find-and-replace operation
+ * @param {string} instancePath - Root path of the instance
+ * @param {Object} entry - { search, replace, regex, caseSensitive, fields, targets, testcases, matches, author }
+ * @returns {Object} The logged entry
+ */
+async function recordTextReplacement(instancePath, { author = '', ...entry }) {
+  const logged = { ...entry, timestamp: new Date().toISOString(), author };
+  await updateInstanceMeta(instancePath, { textReplacements: [...await listTextReplacements(instancePath), logged] });
+  return logged;
+}
+
+module.exports = {
+  REPLACE_FIELDS,
+  REPLACE_FIELD_LABELS,
+  validateReplaceRequest,
+  replaceTestcaseText,
+  listTextReplacements,
+  recordTextReplacement
+};
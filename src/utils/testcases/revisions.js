@@ -0,0 +1,477 @@
+/**
+ * Revision History Utilities
+ * Records every saved version of a testcase (snapshot, timestamp, author, change summary)
+ * and computes structured diffs between versions
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+// History lives in the instance root next to _attachments: _history/<testcaseId>/
+const HISTORY_DIR = '_history';
+const REVISIONS_INDEX = 'revisions.json';
+
+// History of deleted testcases: _history/.deleted/<testcaseId>/<deletion timestamp>/
+// (not a valid testcase ID, so it never clashes with a live history)
+const DELETED_DIR = '.deleted';
+const DELETED_SUMMARY = 'Gelöscht';
+
+// Summary shown for the version that existed before the history was recorded
+const BASELINE_SUMMARY = 'Ausgangsstand';
+const MAX_SUMMARY_ENTRIES = 6;
+
+const FIELD_LABELS = {
+  id: 'ID',
+  status: 'Status',
+  version: 'Version',
+  title: 'Titel',
+  purpose: 'Zweck',
+  run: 'Prüfrunde',
+  tester: 'Prüfer',
+  testDate: 'Prüfdatum',
+  'workflow.state': 'Workflow',
+  'workflow.assignee': 'Tester',
+  'workflow.reviewer': 'Reviewer',
+  preconditions: 'Vorbedingungen',
+  profiles: 'Profile',
+  references: 'Referenzen',
+  refFunctions: 'Funktionen',
+  refUsers: 'Benutzer',
+  alternativeTestProcedures: 'Alternative Testverfahren',
+  command: 'Aktion',
+  errorMessage: 'Fehlermeldung',
+  text: 'Text',
+  actualResult: 'Tatsächliches Ergebnis',
+  variables: 'Variablen',
+  'result.Status': 'Ergebnis-Status',
+  'result.Summary': 'Ergebnis-Zusammenfassung',
+  'result.TestedBy': 'Getestet von',
+  'result.TestedDate': 'Testdatum',
+  'result.Comments': 'Ergebnis-Kommentar'
+};
+
+const TESTCASE_FIELDS = ['id', 'status', 'version', 'title', 'purpose', 'run', 'tester', 'testDate'];
+const TESTCASE_LIST_FIELDS = ['preconditions', 'profiles', 'references', 'refFunctions', 'refUsers', 'alternativeTestProcedures'];
+const RESULT_FIELDS = ['Status', 'Summary', 'TestedBy', 'TestedDate', 'Comments'];
+const STEP_FIELDS = ['command', 'status', 'errorMessage'];
+const EXPECTED_RESULT_FIELDS = ['text', 'status', 'actualResult', 'variables'];
+const WORKFLOW_FIELDS = ['state', 'assignee', 'reviewer'];
+
+/**
+ * Get the history folder of a testcase
+ */
+function getHistoryPath(instancePath, testcaseId) {
+  return path.join(instancePath, HISTORY_DIR, testcaseId);
+}
+
+/**
+ * Normalize a parsed value for comparison (xml2js text nodes, null, objects)
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    if (typeof value._ === 'string') return value._;
+    const keys = Object.keys(value).sort();
+    return keys.length === 0 ? '' : keys.map(k => `${k}=${normalizeValue(value[k])}`).join(',');
+  }
+  return String(value);
+}
+
+/**
+ * Normalize a list of parsed values
+ */
+function normalizeList(values) {
+  return (values || []).map(normalizeValue);
+}
+
+/**
+ * Compare fields of two objects
+ * @returns {Array} [{ field, from, to }]
+ */
+function diffFields(before, after, fields) {
+  const changes = [];
+  for (const field of fields) {
+    const from = normalizeValue(before?.[field]);
+    const to = normalizeValue(after?.[field]);
+    if (from !== to) {
+      changes.push({ field, from: from || null, to: to || null });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Compare two lists by value
+ * @returns {Object|null} { field, added, removed } or null if equal
+ */
+function diffList(field, before, after) {
+  const from = normalizeList(before);
+  const to = normalizeList(after);
+  const added = to.filter(v => !from.includes(v));
+  const removed = from.filter(v => !to.includes(v));
+  if (added.length === 0 && removed.length === 0 && from.join('\n') === to.join('\n')) return null;
+  return { field, added, removed };
+}
+
+/**
+ * Compare entries identified by a key (notes by id, attachments by filename)
+ */
+function diffEntries(before, after, key) {
+  const fromKeys = new Set((before || []).map(key));
+  const toKeys = new Set((after || []).map(key));
+  return {
+    added: (after || []).filter(e => !fromKeys.has(key(e))),
+    removed: (before || []).filter(e => !toKeys.has(key(e)))
+  };
+}
+
+/**
+ * Compare notes by id (edits, visibility and anchor changes are reported as changed)
+ */
+function diffNotes(before, after) {
+  const diff = diffEntries(before, after, n => n.id);
+  const previous = new Map((before || []).map(n => [n.id, n]));
+  diff.changed = (after || []).filter(n => {
+    const from = previous.get(n.id);
+    return from && ['text', 'visibility', 'stepId', 'expectedResultId'].some(f => (from[f] || '') !== (n[f] || ''));
+  });
+  return diff;
+}
+
+/**
+ * Structured diff between two parsed testcases
+ * Steps and expected results are matched by position.
+ * @param {Object|null} before - Parsed testcase (null if it did not exist)
+ * @param {Object} after - Parsed testcase
+ * @returns {Object} { fields, lists, result, steps, notes, attachments, runs }
+ */
+function diffTestcases(before, after) {
+  const diff = {
+    fields: [
+      ...diffFields(before, after, TESTCASE_FIELDS),
+      ...diffFields(before?.workflow, after?.workflow, WORKFLOW_FIELDS).map(c => ({ ...c, field: `workflow.${c.field}` }))
+    ],
+    lists: TESTCASE_LIST_FIELDS.map(f => diffList(f, before?.[f], after?.[f])).filter(Boolean),
+    result: diffFields(before?.result, after?.result, RESULT_FIELDS)
+      .map(c => ({ ...c, field: `result.${c.field}` })),
+    steps: [],
+    notes: diffNotes(before?.notes, after?.notes),
+    attachments: diffEntries(before?.attachments, after?.attachments, a => a.filename),
+    // Archived runs are only added or dropped as a whole
+    runs: diffEntries(before?.runs, after?.runs, r => `${r.id}|${JSON.stringify(r)}`)
+  };
+
+  const beforeSteps = before?.testSteps || [];
+  const afterSteps = after?.testSteps || [];
+  for (let i = 0; i < Math.max(beforeSteps.length, afterSteps.length); i++) {
+    const from = beforeSteps[i];
+    const to = afterSteps[i];
+    if (!from || !to) {
+      diff.steps.push({ step: i + 1, change: from ? 'removed' : 'added', command: (to || from).command });
+      continue;
+    }
+
+    const fromResults = from.expectedResults || [];
+    const toResults = to.expectedResults || [];
+    const expectedResults = [];
+    for (let j = 0; j < Math.max(fromResults.length, toResults.length); j++) {
+      if (!fromResults[j] || !toResults[j]) {
+        expectedResults.push({ expectedResult: j + 1, change: fromResults[j] ? 'removed' : 'added' });
+        continue;
+      }
+      const fields = diffFields(fromResults[j], toResults[j], EXPECTED_RESULT_FIELDS);
+      if (fields.length > 0) {
+        expectedResults.push({ expectedResult: j + 1, change: 'changed', fields });
+      }
+    }
+
+    const fields = [
+      ...diffFields(from, to, STEP_FIELDS),
+      ...['refFunctions', 'refUsers'].map(f => diffList(f, from[f], to[f])).filter(Boolean)
+    ];
+    if (fields.length > 0 || expectedResults.length > 0) {
+      diff.steps.push({ step: i + 1, change: 'changed', fields, expectedResults });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Check whether a diff contains any change
+ */
+function isEmptyDiff(diff) {
+  return diff.fields.length === 0 && diff.lists.length === 0 && diff.result.length === 0 &&
+    diff.steps.length === 0 && diff.notes.added.length === 0 && diff.notes.removed.length === 0 &&
+    (diff.notes.changed || []).length === 0 &&
+    diff.attachments.added.length === 0 && diff.attachments.removed.length === 0 &&
+    (!diff.runs || (diff.runs.added.length === 0 && diff.runs.removed.length === 0));
+}
+
+/**
+ * Describe a single field change (ID and status changes with old and new value, text changes by label only)
+ */
+function describeFieldChange(change) {
+  const label = FIELD_LABELS[change.field] || change.field;
+  if (change.field === 'id' || change.field === 'run' || change.field.startsWith('workflow.')) {
+    return `${label}: ${change.from || '-'} → ${change.to || '-'}`;
+  }
+  if (change.field === 'status' || change.field.endsWith('Status')) {
+    return `${label}: ${change.from || 'offen'} → ${change.to || 'offen'}`;
+  }
+  return `${label} geändert`;
+}
+
+/**
+ * Create a one-line change summary from a diff
+ * @param {Object} diff - Result of diffTestcases
+ * @returns {string} Summary (empty if nothing changed)
+ */
+function summarizeDiff(diff) {
+  const entries = [
+    ...diff.fields.map(describeFieldChange),
+    ...diff.result.map(describeFieldChange),
+    ...diff.lists.map(l => `${FIELD_LABELS[l.field] || l.field} geändert`)
+  ];
+
+  for (const step of diff.steps) {
+    if (step.change !== 'changed') {
+      entries.push(`Schritt ${step.step} ${step.change === 'added' ? 'hinzugefügt' : 'entfernt'}`);
+      continue;
+    }
+    for (const change of step.fields) {
+      entries.push(`Schritt ${step.step}: ${describeFieldChange(change)}`);
+    }
+    for (const er of step.expectedResults) {
+      const prefix = `Schritt ${step.step}, Erwartetes Ergebnis ${er.expectedResult}`;
+      if (er.change !== 'changed') {
+        entries.push(`${prefix} ${er.change === 'added' ? 'hinzugefügt' : 'entfernt'}`);
+      } else {
+        entries.push(...er.fields.map(change => `${prefix}: ${describeFieldChange(change)}`));
+      }
+    }
+  }
+
+  if (diff.notes.added.length) entries.push(`${diff.notes.added.length} Notiz(en) hinzugefügt`);
+  if (diff.notes.removed.length) entries.push(`${diff.notes.removed.length} Notiz(en) entfernt`);
+  if ((diff.notes.changed || []).length) entries.push(`${diff.notes.changed.length} Notiz(en) bearbeitet`);
+  for (const a of diff.attachments.added) entries.push(`Anhang hinzugefügt: ${a.originalName || a.filename}`);
+  for (const a of diff.attachments.removed) entries.push(`Anhang entfernt: ${a.originalName || a.filename}`);
+  for (const r of diff.runs?.added || []) entries.push(`Prüfrunde archiviert: ${r.id}`);
+  for (const r of diff.runs?.removed || []) entries.push(`Archivierte Prüfrunde entfernt: ${r.id}`);
+
+  if (entries.length > MAX_SUMMARY_ENTRIES) {
+    const rest = entries.length - MAX_SUMMARY_ENTRIES;
+    return [...entries.slice(0, MAX_SUMMARY_ENTRIES), `${rest} weitere Änderung(en)`].join('; ');
+  }
+  return entries.join('; ');
+}
+
+/**
+ * List the revisions of a testcase (oldest first)
+ * @returns {Array} [{ revision, timestamp, author, summary }]
+ */
+async function listRevisions(instancePath, testcaseId) {
+  try {
+    const content = await fs.readFile(path.join(getHistoryPath(instancePath, testcaseId), REVISIONS_INDEX), 'utf-8');
+    return JSON.parse(content).revisions || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Get the XML snapshot file of a revision
+ * @param {number} revision - Revision number
+ * @returns {string} Absolute path (the file may not exist)
+ */
+function getRevisionFile(instancePath, testcaseId, revision) {
+  return path.join(getHistoryPath(instancePath, testcaseId), `${parseInt(revision, 10)}.xml`);
+}
+
+/**
+ * Read the XML snapshot of a revision
+ * @returns {string|null} XML content or null if the revision does not exist
+ */
+async function readRevisionContent(instancePath, testcaseId, revision) {
+  try {
+    return await fs.readFile(getRevisionFile(instancePath, testcaseId, revision), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Record a saved testcase version
+ * The first recorded save also stores the version it replaced as baseline, so the very first
+ * change stays traceable. Saves that do not change the document are not recorded.
+ * @param {Object} options
+ * @param {string} options.instancePath - Root path of the instance
+ * @param {string} options.testcaseId - Testcase ID (history folder name)
+ * @param {string|null} options.previousXml - Document before the save (null for new testcases)
+ * @param {string} options.xml - Saved document
+ * @param {Object|null} options.previous - previousXml parsed (null if new or unreadable)
+ * @param {Object} options.current - xml parsed
+ * @param {string} options.author - Who saved
+ * @param {string} options.summary - Change summary (default: generated from the diff)
+ * @returns {Object|null} The recorded revision or null if nothing changed
+ */
+async function recordRevision({ instancePath, testcaseId, previousXml, xml, previous, current, author = '', summary = '' }) {
+  if (previousXml === xml) return null;
+
+  const historyPath = getHistoryPath(instancePath, testcaseId);
+  await fs.mkdir(historyPath, { recursive: true });
+
+  const revisions = await listRevisions(instancePath, testcaseId);
+  const timestamp = new Date().toISOString();
+
+  if (revisions.length === 0 && previousXml !== null) {
+    await fs.writeFile(path.join(historyPath, '1.xml'), previousXml, 'utf-8');
+    revisions.push({ revision: 1, timestamp, author: '', summary: BASELINE_SUMMARY });
+  }
+
+  const generated = previousXml === null ? 'Erstellt' : summarizeDiff(diffTestcases(previous, current));
+  const entry = {
+    revision: revisions.length > 0 ? revisions[revisions.length - 1].revision + 1 : 1,
+    timestamp,
+    author: author || '',
+    summary: [summary, generated].filter(Boolean).join(': ') || 'Formatierung geändert'
+  };
+
+  await fs.writeFile(path.join(historyPath, `${entry.revision}.xml`), xml, 'utf-8');
+  revisions.push(entry);
+  await fs.writeFile(
+    path.join(historyPath, REVISIONS_INDEX),
+    JSON.stringify({ testcaseId, revisions }, null, 2),
+    'utf-8'
+  );
+
+  return entry;
+}
+
+/**
+ * Keep the history of a deleted testcase
+ * Records a "Gelöscht" revision with the last state of the testcase and moves the history to
+ * _history/.deleted/<testcaseId>/<timestamp>/, so it stays available for audits and a later
+ * testcase with the same ID starts a history of its own.
+ * @param {Object} options
+ * @param {string} options.instancePath - Root path of the instance
+ * @param {string} options.testcaseId - Testcase ID (history folder name)
+ * @param {string|null} options.xml - Last state of the testcase (null if unknown)
+ * @param {string} options.author - Who deleted
+ * @param {string} options.location - module/category the testcase was deleted from
+ * @returns {string|null} Path of the retired history relative to _history, null if there was nothing to keep
+ */
+async function retireHistory({ instancePath, testcaseId, xml = null, author = '', location = '' }) {
+  const historyPath = getHistoryPath(instancePath, testcaseId);
+  const revisions = await listRevisions(instancePath, testcaseId);
+  if (revisions.length === 0 && xml === null) return null;
+
+  await fs.mkdir(historyPath, { recursive: true });
+  const timestamp = new Date().toISOString();
+
+  if (xml !== null) {
+    const entry = {
+      revision: revisions.length > 0 ? revisions[revisions.length - 1].revision + 1 : 1,
+      timestamp,
+      author: author || '',
+      summary: location ? `${DELETED_SUMMARY} (${location})` : DELETED_SUMMARY
+    };
+    await fs.writeFile(path.join(historyPath, `${entry.revision}.xml`), xml, 'utf-8');
+    revisions.push(entry);
+  }
+  await fs.writeFile(
+    path.join(historyPath, REVISIONS_INDEX),
+    JSON.stringify({ testcaseId, deleted: { timestamp, author: author || '', location }, revisions }, null, 2),
+    'utf-8'
+  );
+
+  const retired = path.join(DELETED_DIR, testcaseId, timestamp.replace(/[:.]/g, '-'));
+  await fs.mkdir(path.dirname(path.join(instancePath, HISTORY_DIR, retired)), { recursive: true });
+  await fs.rename(historyPath, path.join(instancePath, HISTORY_DIR, retired));
+  return retired.split(path.sep).join('/');
+}
+
+/**
+ * List the histories of deleted testcases (newest deletion first)
+ * @returns {Array} [{ testcaseId, key: folder of the deletion, deleted: { timestamp, author, location }, revisions }]
+ */
+async function listDeletedHistories(instancePath) {
+  const deletedPath = path.join(instancePath, HISTORY_DIR, DELETED_DIR);
+  const histories = [];
+  let ids;
+  try {
+    ids = await fs.readdir(deletedPath, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  for (const idEntry of ids.filter(e => e.isDirectory())) {
+    for (const key of await fs.readdir(path.join(deletedPath, idEntry.name))) {
+      try {
+        const content = await fs.readFile(path.join(deletedPath, idEntry.name, key, REVISIONS_INDEX), 'utf-8');
+        const { deleted = null, revisions = [] } = JSON.parse(content);
+        histories.push({ testcaseId: idEntry.name, key, deleted, revisions });
+      } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+      }
+    }
+  }
+
+  return histories.sort((a, b) => (b.deleted?.timestamp || '').localeCompare(a.deleted?.timestamp || ''));
+}
+
+/**
+ * Read the XML snapshot of a revision of a deleted testcase
+ * @param {string} key - Folder of the deletion (see listDeletedHistories)
+ * @returns {string|null} XML content or null if the revision does not exist
+ */
+async function readDeletedRevisionContent(instancePath, testcaseId, key, revision) {
+  try {
+    return await fs.readFile(
+      path.join(instancePath, HISTORY_DIR, DELETED_DIR, testcaseId, key, `${parseInt(revision, 10)}.xml`),
+      'utf-8'
+    );
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Move the history of a testcase to a new ID (rename)
+ * A leftover history under the new ID is retired instead of overwritten (see retireHistory).
+ */
+async function relocateHistory(instancePath, oldId, newId) {
+  if (!newId || newId === oldId) return;
+
+  const source = getHistoryPath(instancePath, oldId);
+  const target = getHistoryPath(instancePath, newId);
+  if (fsSync.existsSync(target)) {
+    await retireHistory({ instancePath, testcaseId: newId });
+  }
+  try {
+    await fs.rename(source, target);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+module.exports = {
+  HISTORY_DIR,
+  diffTestcases,
+  isEmptyDiff,
+  summarizeDiff,
+  listRevisions,
+  getRevisionFile,
+  readRevisionContent,
+  recordRevision,
+  retireHistory,
+  listDeletedHistories,
+  readDeletedRevisionContent,
+  relocateHistory
+};
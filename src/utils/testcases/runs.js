@@ -0,0 +1,351 @@
+/**
+ * Execution Run Utilities
+ * Handles named test rounds (e.g. "Erstprüfung", "Nachprüfung 1") of an instance
+ *
+ * The specification (steps, expected results) is shared by all runs of a testcase. The results
+ * held in the TestCase/TestStep/ExpectedResult attributes belong to the testcase's latest run
+ * (TestCase@run); results of earlier runs are archived in <Runs>. Starting a new run for a
+ * testcase archives its current results and starts with empty ones. Testcases without results
+ * are not touched by starting a run: they count as open in every run and their first results
+ * belong to the run started last.
+ * The runs of an instance (id, name, order) are registered in instance.json.
+ */
+
+const { readInstanceMeta, updateInstanceMeta } = require('../global/instanceMeta');
+const { rollupTestcase, normalizeStatus } = require('./status');
+
+// Selects the latest run of every testcase (the results currently held in the testcase)
+const LATEST_RUN = 'latest';
+
+// Results recorded before any run was started are archived under this run
+const UNASSIGNED_RUN = { id: 'ohne-pruefrunde', name: 'Ohne Prüfrunde' };
+
+/**
+ * List the registered runs of an instance (in the order they were started)
+ * @param {string} instancePath - Root path of the instance
+ * @returns {Array} [{ id, name, description, createdAt, createdBy }]
+ */
+async function listRuns(instancePath) {
+  const meta = await readInstanceMeta(instancePath);
+  return Array.isArray(meta.runs) ? meta.runs : [];
+}
+
+/**
+ * Derive a run id from its name (lowercase, umlauts transliterated)
+ */
+function slugifyRunName(name) {
+  return name
+    .toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .replace(/[^a-z0-9.]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'run';
+}
+
+/**
+ * Register a new run
+ * @param {string} instancePath - Root path of the instance
+ * @param {Object} run - { name, description, author }
+ * @returns {Object} The registered run
+ */
+async function registerRun(instancePath, { name, description = '', author = '' }) {
+  const runs = await listRuns(instancePath);
+  if (runs.some(r => r.name === name)) {
+    throw new Error(`Prüfrunde "${name}" existiert bereits`);
+  }
+
+  const baseId = slugifyRunName(name);
+  let id = baseId;
+  for (let n = 2; id === UNASSIGNED_RUN.id || runs.some(r => r.id === id); n++) {
+    id = `${baseId}-${n}`;
+  }
+
+  const run = { id, name, description, createdAt: new Date().toISOString(), createdBy: author };
+  await updateInstanceMeta(instancePath, { runs: [...runs, run] });
+  return run;
+}
+
+/**
+ * Remove a run from the registry (results recorded for it in testcases are not touched)
+ * @param {string} instancePath - Root path of the instance
+ * @param {string} runId - Run id
+ */
+async function unregisterRun(instancePath, runId) {
+  const runs = await listRuns(instancePath);
+  await updateInstanceMeta(instancePath, { runs: runs.filter(r => r.id !== runId) });
+}
+
+/**
+ * Resolve the display name of a run id
+ * @param {Array} runs - Registered runs (see listRuns)
+ * @param {string} runId - Run id
+ * @returns {string}
+ */
+function getRunName(runs, runId) {
+  if (!runId) return '';
+  if (runId === UNASSIGNED_RUN.id) return UNASSIGNED_RUN.name;
+  return runs.find(r => r.id === runId)?.name || runId;
+}
+
+/**
+ * Helper: Sort key of a run id (unassigned results first, unregistered runs last)
+ */
+function runOrder(registered) {
+  return id => {
+    const index = registered.findIndex(r => r.id === id);
+    return id === UNASSIGNED_RUN.id ? -1 : (index === -1 ? registered.length : index);
+  };
+}
+
+/**
+ * Check whether the current results of a testcase contain anything
+ */
+function hasRunResults(testcase) {
+  return Boolean(testcase.tester || testcase.testDate) || (testcase.testSteps || []).some(step =>
+    step.status || step.errorMessage ||
+    (step.expectedResults || []).some(er =>
+      er.status || er.actualResult || Object.values(er.variables || {}).some(Boolean)
+    )
+  );
+}
+
+/**
+ * Copy the current results of a testcase into an archived run
+ * @param {Object} testcase - Parsed testcase
+ * @returns {Object} { id, tester, testDate, status, steps: [{ status, errorMessage, expectedResults }] }
+ */
+function captureRun(testcase) {
+  return {
+    id: testcase.run || UNASSIGNED_RUN.id,
+    tester: testcase.tester || '',
+    testDate: testcase.testDate || '',
+    status: rollupTestcase(testcase).status,
+    steps: (testcase.testSteps || []).map(step => ({
+      status: step.status || null,
+      errorMessage: step.errorMessage || '',
+      expectedResults: (step.expectedResults || []).map(er => ({
+        status: er.status || null,
+        actualResult: er.actualResult || '',
+        variables: { ...(er.variables || {}) }
+      }))
+    }))
+  };
+}
+
+/**
+ * Start a run for a testcase
+ * The current results are archived and cleared. With keepResults, a testcase without a run
+ * keeps its results and they are assigned to the new run instead (used when results recorded
+ * before runs existed belong to the first run). A testcase without results is left unchanged
+ * (see assignLatestRun), so starting a run only rewrites testcases that hold results.
+ * @param {Object} testcase - Parsed testcase (modified in place)
+ * @param {string} runId - Run to start
+ * @param {Object} options - { tester, keepResults }
+ * @returns {Object} The testcase
+ */
+function startRun(testcase, runId, { tester = '', keepResults = false } = {}) {
+  if (testcase.run === runId || !hasRunResults(testcase)) return testcase;
+  if (keepResults && !testcase.run) {
+    testcase.run = runId;
+    if (tester) testcase.tester = tester;
+    return testcase;
+  }
+
+  const archived = captureRun(testcase);
+  testcase.runs = [...(testcase.runs || []).filter(r => r.id !== runId && r.id !== archived.id), archived];
+
+  for (const step of testcase.testSteps || []) {
+    step.status = null;
+    step.errorMessage = '';
+    for (const er of step.expectedResults || []) {
+      er.status = null;
+      er.actualResult = '';
+      er.variables = {};
+    }
+  }
+  testcase.status = null;
+  testcase.run = runId;
+  testcase.tester = tester;
+  testcase.testDate = '';
+  return testcase;
+}
+
+/**
+ * Assign the first results of a testcase to the run started last
+ * Starting a run leaves testcases without results untouched, so results recorded on a testcase
+ * that had none belong to the latest registered run.
+ * @param {Object|null} previous - Parsed testcase before the change
+ * @param {Object} current - Parsed testcase after the change (its run is replaced if needed)
+ * @param {Array} registered - Registered runs (see listRuns)
+ * @returns {boolean} Whether the run was changed
+ */
+function assignLatestRun(previous, current, registered = []) {
+  const latest = registered[registered.length - 1];
+  if (!latest || !previous || hasRunResults(previous) || !hasRunResults(current)) return false;
+  if (current.run === latest.id) return false;
+
+  current.run = latest.id;
+  return true;
+}
+
+/**
+ * All runs of a testcase, oldest first, the current results last
+ * @param {Object} testcase - Parsed testcase
+ * @param {Array} registered - Registered runs (see listRuns), used for names and order
+ * @returns {Array} [{ id, name, tester, testDate, status, current }]
+ */
+function getTestcaseRuns(testcase, registered = []) {
+  const order = runOrder(registered);
+  const archived = (testcase.runs || [])
+    .map(run => ({
+      id: run.id,
+      name: getRunName(registered, run.id),
+      tester: run.tester || '',
+      testDate: run.testDate || '',
+      status: rollupTestcase({ status: run.status, testSteps: run.steps }).status,
+      current: false
+    }))
+    .sort((a, b) => order(a.id) - order(b.id));
+
+  if (!testcase.run && !hasRunResults(testcase) && archived.length > 0) return archived;
+  return [...archived, {
+    id: testcase.run || '',
+    name: getRunName(registered, testcase.run),
+    tester: testcase.tester || '',
+    testDate: testcase.testDate || '',
+    status: rollupTestcase(testcase).status,
+    current: true
+  }];
+}
+
+/**
+ * Get a testcase with the results of one of its runs in place of the current results
+ * @param {Object} testcase - Parsed testcase
+ * @param {string} runId - Run id (LATEST_RUN or empty for the current results)
+ * @returns {Object|null} Copy of the testcase, null if the testcase has no results in that run
+ */
+function selectTestcaseRun(testcase, runId) {
+  if (!runId || runId === LATEST_RUN || testcase.run === runId) return testcase;
+
+  const run = (testcase.runs || []).find(r => r.id === runId);
+  // Without results the testcase is open in every run
+  if (!run) return hasRunResults(testcase) ? null : testcase;
+
+  const selected = structuredClone(testcase);
+  selected.run = run.id;
+  selected.tester = run.tester;
+  selected.testDate = run.testDate;
+  selected.testSteps.forEach((step, i) => {
+    const stepResult = run.steps[i] || { status: null, errorMessage: '', expectedResults: [] };
+    step.status = stepResult.status;
+    step.errorMessage = stepResult.errorMessage;
+    step.expectedResults.forEach((er, j) => {
+      const outcome = stepResult.expectedResults[j] || {};
+      er.status = outcome.status || null;
+      er.actualResult = outcome.actualResult || '';
+      er.variables = outcome.variables || {};
+    });
+  });
+  selected.status = rollupTestcase(selected).status;
+  return selected;
+}
+
+/**
+ * Check whether the current results of a raw xml2js TestCase node contain anything (see hasRunResults)
+ */
+function hasNodeResults(node) {
+  const toArray = value => Array.isArray(value) ? value : (value ? [value] : []);
+  if (node?.$?.tester || node?.$?.testDate) return true;
+
+  return toArray(node?.TestSteps?.TestStep).some(step =>
+    step?.$?.status || step?.ErrorMessage ||
+    toArray(step?.ExpectedResults?.ExpectedResult).some(er =>
+      typeof er === 'object' && (er.$?.status || er.$?.actualResult || er.$?.variables)
+    )
+  );
+}
+
+/**
+ * Run status of a raw xml2js TestCase node (for the list, statistics and export readers)
+ * @param {Object} node - TestCase element as parsed by xml2js (explicitArray: false, attrkey: '$')
+ * @param {string} runId - Run id (LATEST_RUN or empty for the current results)
+ * @returns {Object|null} { run, tester, testDate, status } or null if the testcase is not part of the run
+ */
+function getNodeRun(node, runId) {
+  const toArray = value => Array.isArray(value) ? value : (value ? [value] : []);
+  const steps = toArray(node?.TestSteps?.TestStep);
+
+  if (!runId || runId === LATEST_RUN || node?.$?.run === runId) {
+    return {
+      run: node?.$?.run || '',
+      tester: node?.$?.tester || '',
+      testDate: node?.$?.testDate || '',
+      status: rollupTestcase({
+        status: node?.$?.status,
+        testSteps: steps.map(step => ({
+          status: step?.$?.status,
+          expectedResults: toArray(step?.ExpectedResults?.ExpectedResult)
+            .map(er => ({ status: typeof er === 'object' ? er.$?.status : null }))
+        }))
+      }).status
+    };
+  }
+
+  const run = toArray(node?.Runs?.Run).find(r => r?.$?.id === runId);
+  if (!run) {
+    // Without results the testcase is open in every run
+    return hasNodeResults(node) ? null : { run: runId, tester: '', testDate: '', status: null };
+  }
+
+  const stepResults = toArray(run.StepResult);
+  return {
+    run: runId,
+    tester: run.$.tester || '',
+    testDate: run.$.testDate || '',
+    status: rollupTestcase({
+      status: run.$.status,
+      // Steps added to the specification after the run count as open
+      testSteps: steps.map((step, i) => ({
+        status: stepResults[i]?.$?.status,
+        expectedResults: toArray(step?.ExpectedResults?.ExpectedResult).map((er, j) => ({
+          status: normalizeStatus(toArray(stepResults[i]?.Outcome)[j]?.$?.status)
+        }))
+      }))
+    }).status
+  };
+}
+
+/**
+ * Run history of a raw xml2js TestCase node, oldest first
+ * @param {Object} node - TestCase element as parsed by xml2js
+ * @param {Array} registered - Registered runs (see listRuns)
+ * @returns {Array} [{ id, name, tester, testDate, status }]
+ */
+function getNodeRunHistory(node, registered = []) {
+  const toArray = value => Array.isArray(value) ? value : (value ? [value] : []);
+  const ids = toArray(node?.Runs?.Run).map(r => r?.$?.id).filter(Boolean);
+  const order = runOrder(registered);
+  ids.sort((a, b) => order(a) - order(b));
+  if (node?.$?.run) ids.push(node.$.run);
+
+  return ids.map(id => {
+    const run = getNodeRun(node, id);
+    return { id, name: getRunName(registered, id), tester: run.tester, testDate: run.testDate, status: run.status };
+  });
+}
+
+module.exports = {
+  LATEST_RUN,
+  UNASSIGNED_RUN,
+  listRuns,
+  registerRun,
+  unregisterRun,
+  getRunName,
+  hasRunResults,
+  captureRun,
+  startRun,
+  assignLatestRun,
+  getTestcaseRuns,
+  selectTestcaseRun,
+  getNodeRun,
+  getNodeRunHistory
+};
@@ -0,0 +1,182 @@
+/**
+ * Schema Validation Utilities
+ * Validates testcase and profile XML files against the XSD files of an instance (testcases/_schema)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const xml2js = require('xml2js');
+const { validateXML } = require('xmllint-wasm');
+const { listTestcaseFiles } = require('./upgrade');
+
+const SCHEMA_DIR = '_schema';
+const TESTCASE_SCHEMA = 'testcase.xsd';
+const PROFILES_SCHEMA = 'profiles.xsd';
+const PROFILE_FILES = ['profiles.xml', 'profiles-template.xml'];
+
+// xmllint runs with a fixed argument buffer: validate in batches and with short file names
+const VALIDATION_BATCH_SIZE = 200;
+
+/**
+ * Load an XSD file of an instance
+ * @param {string} testcasesPath - testcases folder of the instance
+ * @param {string} schemaFile - TESTCASE_SCHEMA or PROFILES_SCHEMA
+ * @returns {string|null} Schema content or null if the instance has no such schema
+ */
+async function loadSchema(testcasesPath, schemaFile) {
+  try {
+    return await fs.readFile(path.join(testcasesPath, SCHEMA_DIR, schemaFile), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Validate documents against a schema
+ * @param {string} schema - XSD content
+ * @param {Array} contents - XML documents as strings
+ * @returns {Array} One error list per document: [{ line, message }] (empty if valid)
+ */
+async function validateDocuments(schema, contents) {
+  const results = contents.map(() => []);
+
+  for (let start = 0; start < contents.length; start += VALIDATION_BATCH_SIZE) {
+    const batch = contents.slice(start, start + VALIDATION_BATCH_SIZE);
+    let result;
+    try {
+      result = await validateXML({
+        xml: batch.map((content, i) => ({ fileName: `doc${start + i}.xml`, contents: content })),
+        schema: [schema]
+      });
+    } catch (error) {
+      throw new Error(`Schema could not be compiled: ${error.message.split('\n')[0]}`);
+    }
+
+    // Context lines of parser errors (source excerpt, caret) carry no location and are skipped
+    for (const error of result.errors) {
+      const index = error.loc ? parseInt(error.loc.fileName.replace(/^doc|\.xml$/g, ''), 10) : NaN;
+      if (Number.isNaN(index)) continue;
+      results[index].push({
+        line: error.loc.lineNumber,
+        message: error.message.replace(/\{https?:\/\/[^}]*\}/g, '')
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Validate a changed document, reporting only errors the change introduces
+ * Files shipped with schema violations stay editable as long as a save does not add new ones.
+ * @param {string} testcasesPath - testcases folder of the instance
+ * @param {string} schemaFile - TESTCASE_SCHEMA or PROFILES_SCHEMA
+ * @param {string} content - New XML document
+ * @param {string|null} previousContent - Current XML document (null for new files)
+ * @returns {Object} { valid, errors: [{ line, message }] }
+ */
+async function validateChange(testcasesPath, schemaFile, content, previousContent = null) {
+  const schema = await loadSchema(testcasesPath, schemaFile);
+  if (!schema) return { valid: true, errors: [] };
+
+  const [errors, previousErrors = []] = await validateDocuments(
+    schema,
+    previousContent ? [content, previousContent] : [content]
+  );
+
+  // Compare by message only, line numbers shift with every edit
+  const known = previousErrors.map(e => e.message);
+  const introduced = errors.filter(e => {
+    const index = known.indexOf(e.message);
+    if (index === -1) return true;
+    known.splice(index, 1);
+    return false;
+  });
+
+  return { valid: introduced.length === 0, errors: introduced };
+}
+
+/**
+ * Check well-formedness of a document (used when no schema is available)
+ * @returns {Array} [{ line, message }]
+ */
+async function checkWellFormed(content) {
+  try {
+    await new xml2js.Parser().parseStringPromise(content);
+    return [];
+  } catch (error) {
+    const lineMatch = error.message.match(/Line:\s*(\d+)/);
+    return [{ line: lineMatch ? parseInt(lineMatch[1], 10) + 1 : null, message: error.message.split('\n')[0] }];
+  }
+}
+
+/**
+ * Validate all XML files of an instance
+ * Testcases are validated against testcase.xsd, profiles.xml/profiles-template.xml against profiles.xsd.
+ * Without a schema only well-formedness is checked.
+ * @param {string} testcasesPath - testcases folder of the instance
+ * @returns {Object} { valid, checked, invalidCount, schemas: { testcase, profiles }, files: [{ path, type, errors }] }
+ */
+async function validateInstanceFiles(testcasesPath) {
+  const groups = [
+    {
+      type: 'testcase',
+      schema: await loadSchema(testcasesPath, TESTCASE_SCHEMA),
+      files: [...(await listTestcaseFiles(testcasesPath)).entries()]
+    },
+    {
+      type: 'profiles',
+      schema: await loadSchema(testcasesPath, PROFILES_SCHEMA),
+      files: PROFILE_FILES.map(name => [name, path.join(testcasesPath, name)])
+    }
+  ];
+
+  const files = [];
+  let checked = 0;
+
+  for (const group of groups) {
+    const documents = [];
+    for (const [relPath, filePath] of group.files) {
+      try {
+        documents.push({ relPath, content: await fs.readFile(filePath, 'utf-8') });
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          files.push({ path: relPath, type: group.type, errors: [{ line: null, message: error.message }] });
+        }
+      }
+    }
+    checked += documents.length;
+
+    const results = group.schema
+      ? await validateDocuments(group.schema, documents.map(d => d.content))
+      : await Promise.all(documents.map(d => checkWellFormed(d.content)));
+
+    documents.forEach((doc, i) => {
+      if (results[i].length > 0) {
+        files.push({ path: doc.relPath, type: group.type, errors: results[i] });
+      }
+    });
+  }
+
+  files.sort((a, b) => a.path.localeCompare(b.path));
+
+  return {
+    valid: files.length === 0,
+    checked,
+    invalidCount: files.length,
+    schemas: {
+      testcase: Boolean(groups[0].schema),
+      profiles: Boolean(groups[1].schema)
+    },
+    files
+  };
+}
+
+module.exports = {
+  SCHEMA_DIR,
+  TESTCASE_SCHEMA,
+  PROFILES_SCHEMA,
+  validateChange,
+  validateInstanceFiles
+};
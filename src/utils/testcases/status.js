@@ -0,0 +1,184 @@
+/**
+ * Status Rollup Utilities
+ * Derives step and testcase status from the ExpectedResult statuses
+ *
+ * Rules (ExpectedResult statuses are the only statuses set by hand):
+ * - A status is PASSED, FAILED, SKIPPED or none (open); any other value counts as open
+ * - Step: FAILED if any expected result failed, otherwise open if any expected result is open,
+ *   SKIPPED if all expected results were skipped, otherwise PASSED
+ * - Testcase: the same rules applied to its step statuses
+ * - A step without expected results (or a testcase without steps) has nothing to derive
+ *   from and keeps its recorded status
+ *
+ * The status attributes of TestStep and TestCase only cache this rollup. Lists, dashboard,
+ * profile/hashtag views and exports read the rollup, never a stored status.
+ * This file is shared with the UI and must not require other modules.
+ */
+
+const STATUSES = ['PASSED', 'FAILED', 'SKIPPED'];
+
+/**
+ * Normalize a status value (unknown values and empty strings count as open)
+ * @returns {string|null} PASSED, FAILED, SKIPPED or null
+ */
+function normalizeStatus(status) {
+  return STATUSES.includes(status) ? status : null;
+}
+
+/**
+ * Combine child statuses into one status (see rules above)
+ * @param {Array} statuses - Normalized child statuses
+ * @returns {string|null}
+ */
+function combineStatuses(statuses) {
+  if (statuses.includes('FAILED')) return 'FAILED';
+  if (statuses.some(status => !status)) return null;
+  if (statuses.every(status => status === 'SKIPPED')) return 'SKIPPED';
+  return 'PASSED';
+}
+
+/**
+ * Derive the status of a test step
+ * @param {Object} step - Parsed step ({ status, expectedResults: [{ status }] })
+ * @returns {string|null}
+ */
+function deriveStepStatus(step) {
+  const expectedResults = step.expectedResults || [];
+  if (expectedResults.length === 0) return normalizeStatus(step.status);
+  return combineStatuses(expectedResults.map(er => normalizeStatus(er.status)));
+}
+
+/**
+ * Derive step and testcase statuses of a parsed testcase
+ * @param {Object} testcase - Parsed testcase (see parseTestcaseXML)
+ * @returns {Object} { status, steps: [status per step] }
+ */
+function rollupTestcase(testcase) {
+  const steps = (testcase.testSteps || []).map(deriveStepStatus);
+  return {
+    status: steps.length > 0 ? combineStatuses(steps) : normalizeStatus(testcase.status),
+    steps
+  };
+}
+
+/**
+ * Derive the testcase status from a raw xml2js TestCase node
+ * Used by the list and statistics readers that do not run the full parser.
+ * @param {Object} node - TestCase element as parsed by xml2js (explicitArray: false, attrkey: '$')
+ * @returns {string|null}
+ */
+function getTestcaseNodeStatus(node) {
+  const toArray = value => Array.isArray(value) ? value : (value ? [value] : []);
+  return rollupTestcase({
+    status: node?.$?.status,
+    testSteps: toArray(node?.TestSteps?.TestStep).map(step => ({
+      status: step?.$?.status,
+      expectedResults: toArray(step?.ExpectedResults?.ExpectedResult)
+        .map(er => ({ status: typeof er === 'object' ? er.$?.status : null }))
+    }))
+  }).status;
+}
+
+/**
+ * Write the derived statuses into a parsed testcase
+ * @param {Object} testcase - Parsed testcase (modified in place)
+ * @returns {Object} The testcase
+ */
+function applyStatusRollup(testcase) {
+  const rollup = rollupTestcase(testcase);
+  (testcase.testSteps || []).forEach((step, i) => {
+    step.status = rollup.steps[i];
+  });
+  testcase.status = rollup.status;
+  return testcase;
+}
+
+/**
+ * Fill in the step and testcase statuses that are not recorded
+ * Recorded statuses are kept, so contradictions still show up in findStatusInconsistencies.
+ * @param {Object} testcase - Parsed testcase (modified in place)
+ * @returns {boolean} Whether a status was filled in
+ */
+function fillMissingStatuses(testcase) {
+  const rollup = rollupTestcase(testcase);
+  let filled = false;
+  (testcase.testSteps || []).forEach((step, i) => {
+    if (!step.status && rollup.steps[i]) {
+      step.status = rollup.steps[i];
+      filled = true;
+    }
+  });
+  if (!testcase.status && rollup.status) {
+    testcase.status = rollup.status;
+    filled = true;
+  }
+  return filled;
+}
+
+/**
+ * Find recorded statuses that contradict the rollup or are not valid status values
+ * @param {Object} testcase - Parsed testcase
+ * @param {Object|null} previous - Previous version: inconsistencies it already had are not reported
+ * @returns {Array} [{ field, recorded, derived, message }]
+ */
+function findStatusInconsistencies(testcase, previous = null) {
+  const collect = tc => {
+    const rollup = rollupTestcase(tc);
+    const issues = [];
+    const label = status => status || 'offen';
+
+    (tc.testSteps || []).forEach((step, i) => {
+      (step.expectedResults || []).forEach((er, j) => {
+        if (er.status && !normalizeStatus(er.status)) {
+          issues.push({
+            field: `testSteps[${i}].expectedResults[${j}].status`,
+            recorded: er.status,
+            derived: null,
+            message: `Schritt ${i + 1}, Erwartetes Ergebnis ${j + 1}: ungültiger Status "${er.status}"`
+          });
+        }
+      });
+      if ((step.status || null) !== rollup.steps[i]) {
+        issues.push({
+          field: `testSteps[${i}].status`,
+          recorded: step.status || null,
+          derived: rollup.steps[i],
+          message: `Schritt ${i + 1}: Status ${label(step.status)} passt nicht zu den erwarteten Ergebnissen (${label(rollup.steps[i])})`
+        });
+      }
+    });
+
+    if ((tc.status || null) !== rollup.status) {
+      issues.push({
+        field: 'status',
+        recorded: tc.status || null,
+        derived: rollup.status,
+        message: `Testcase-Status ${label(tc.status)} passt nicht zu den Schritten (${label(rollup.status)})`
+      });
+    }
+    return issues;
+  };
+
+  const known = previous ? collect(previous) : [];
+  return collect(testcase).filter(issue => !known.some(k =>
+    k.field === issue.field && k.recorded === issue.recorded && k.derived === issue.derived
+  ));
+}
+
+const statusRollup = {
+  STATUSES,
+  normalizeStatus,
+  deriveStepStatus,
+  rollupTestcase,
+  getTestcaseNodeStatus,
+  applyStatusRollup,
+  fillMissingStatuses,
+  findStatusInconsistencies
+};
+
+// The UI loads this file as a plain script (/js/status-rollup.js), so the rules exist only once
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = statusRollup;
+} else {
+  window.StatusRollup = statusRollup;
+}
@@ -0,0 +1,39 @@
+/**
+ * Structure Metadata Utilities
+ * Handles display titles and descriptions of modules and categories (testcases/_structure.json)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const STRUCTURE_META_FILE = '_structure.json';
+
+/**
+ * Read module/category metadata
+ * @param {string} rootPath - testcases folder of the instance
+ * @returns {Object} { modules: { [moduleId]: { title, description, categories: { [categoryId]: { title, description } } } } }
+ */
+async function readStructureMeta(rootPath) {
+  try {
+    const content = await fs.readFile(path.join(rootPath, STRUCTURE_META_FILE), 'utf-8');
+    const meta = JSON.parse(content);
+    return { modules: meta.modules || {} };
+  } catch {
+    return { modules: {} };
+  }
+}
+
+/**
+ * Write module/category metadata
+ * @param {string} rootPath - testcases folder of the instance
+ * @param {Object} meta - Metadata as returned by readStructureMeta
+ */
+async function writeStructureMeta(rootPath, meta) {
+  await fs.writeFile(path.join(rootPath, STRUCTURE_META_FILE), JSON.stringify(meta, null, 2), 'utf-8');
+}
+
+module.exports = {
+  STRUCTURE_META_FILE,
+  readStructureMeta,
+  writeStructureMeta
+};
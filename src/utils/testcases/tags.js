@@ -0,0 +1,94 @@
+/**
+ * Tag Utilities
+ * Handles renaming and merging of function/user tags (RefFunction, RefUser)
+ *
+ * Tags are used on testcase and step level. A rename replaces the old names on both levels;
+ * renaming to a name that is already in use merges the tags (duplicates are dropped).
+ * Every rename is logged in instance.json (tagRenames) with its author and the affected testcases.
+ */
+
+const { readInstanceMeta, updateInstanceMeta } = require('../global/instanceMeta');
+
+const TAG_TYPES = {
+  function: { field: 'refFunctions', element: 'RefFunction' },
+  user: { field: 'refUsers', element: 'RefUser' }
+};
+
+/**
+ * Check a rename request and normalise it
+ * @param {Object} data - { type: 'function'|'user', from: string|string[], to: string }
+ * @returns {Object} { rename: { type, from: [string], to }, error }
+ */
+function validateTagRename(data) {
+  const { type, from, to } = data || {};
+  if (!TAG_TYPES[type]) {
+    return { rename: null, error: `type muss einer der Werte ${Object.keys(TAG_TYPES).join(', ')} sein` };
+  }
+  const names = (Array.isArray(from) ? from : [from]).map(name => typeof name === 'string' ? name.trim() : '');
+  if (names.length === 0 || names.some(name => !name)) {
+    return { rename: null, error: 'from erforderlich (Name oder Liste von Namen)' };
+  }
+  if (typeof to !== 'string' || !to.trim()) {
+    return { rename: null, error: 'to erforderlich' };
+  }
+  if (/\s/.test(to.trim())) {
+    return { rename: null, error: 'to darf keine Leerzeichen enthalten' };
+  }
+
+  const target = to.trim();
+  const sources = [...new Set(names)].filter(name => name !== target);
+  if (sources.length === 0) {
+    return { rename: null, error: 'from und to sind identisch' };
+  }
+  return { rename: { type, from: sources, to: target }, error: null };
+}
+
+/**
+ * Rename the tags of a parsed testcase on testcase and step level
+ * Lists without one of the old names are left untouched.
+ * @param {Object} testcase - Parsed testcase (modified in place)
+ * @param {Object} rename - { type, from: [string], to } (see validateTagRename)
+ * @returns {Object} The testcase
+ */
+function renameTestcaseTag(testcase, { type, from, to }) {
+  const { field } = TAG_TYPES[type];
+  const rename = tags => (tags || []).some(tag => from.includes(tag))
+    ? [...new Set(tags.map(tag => from.includes(tag) ? to : tag))]
+    : tags;
+
+  testcase[field] = rename(testcase[field]);
+  for (const step of testcase.testSteps || []) {
+    step[field] = rename(step[field]);
+  }
+  return testcase;
+}
+
+/**
+ * List the tag renames of an instance (oldest first)
+ * @param {string} instancePath - Root path of the instance
+ * @returns {Array} [{ type, from, to, merged, testcases, timestamp, author }]
+ */
+async function listTagRenames(instancePath) {
+  const meta = await readInstanceMeta(instancePath);
+  return Array.isArray(meta.tagRenames) ? meta.tagRenames : [];
+}
+
+/**
+ * Log a tag rename
+ * @param {string} instancePath - Root path of the instance
+ * @param {Object} entry - { type, from, to, merged, testcases: [testcase ids], author }
+ * @returns {Object} The logged entry
+ */
+async function recordTagRename(instancePath, { type, from, to, merged = false, testcases = [], author = '' }) {
+  const entry = { type, from, to, merged, testcases, timestamp: new Date().toISOString(), author };
+  await updateInstanceMeta(instancePath, { tagRenames: [...await listTagRenames(instancePath), entry] });
+  return entry;
+}
+
+module.exports = {
+  TAG_TYPES,
+  validateTagRename,
+  renameTestcaseTag,
+  listTagRenames,
+  recordTagRename
+};
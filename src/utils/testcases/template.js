@@ -0,0 +1,143 @@
+/**
+ * Template Utilities
+ * Creates reusable templates from existing instances
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { parseTestcaseXML, saveTestcaseXML, parseProfilesXML, buildProfilesXML } = require('./xml');
+const { listTestcaseFiles } = require('./upgrade');
+const { STRUCTURE_META_FILE } = require('./structureMeta');
+const { copyDirectory } = require('../global');
+
+/**
+ * Remove all recorded results from a parsed testcase
+ * Keeps the specification (title, purpose, preconditions, steps, expected results, profiles, references).
+ * @param {Object} testcase - Parsed testcase (modified in place)
+ * @returns {Object} The cleaned testcase
+ */
+function stripTestcaseResults(testcase) {
+  testcase.status = null;
+  testcase.notes = [];
+  testcase.attachments = [];
+  testcase.result = null;
+  testcase.run = '';
+  testcase.tester = '';
+  testcase.testDate = '';
+  testcase.runs = [];
+  testcase.workflow = null;
+
+  for (const step of testcase.testSteps || []) {
+    step.status = null;
+    step.errorMessage = '';
+    for (const er of step.expectedResults || []) {
+      er.status = null;
+      er.actualResult = '';
+      er.variables = {};
+    }
+  }
+
+  return testcase;
+}
+
+/**
+ * Reset all answers and product metadata of a profile configuration
+ * @param {Object} profilesData - Parsed profile configuration (modified in place)
+ * @returns {Object} The cleaned profile configuration
+ */
+function resetProfileAnswers(profilesData) {
+  profilesData.completed = false;
+  profilesData.metadata = {
+    ...profilesData.metadata,
+    productName: '',
+    manufacturer: '',
+    productVersion: '',
+    testDate: '',
+    tester: ''
+  };
+
+  for (const section of profilesData.sections || []) {
+    for (const question of section.questions || []) {
+      question.answer = { answered: false, values: [] };
+    }
+  }
+
+  return profilesData;
+}
+
+/**
+ * Create a template from an instance
+ * @param {Object} options
+ * @param {string} options.instancePath - Root path of the instance
+ * @param {string} options.templatePath - Root path of the new template (must not exist)
+ * @param {Object} options.templateInfo - { id, name, description } for the TemplateInfo block
+ * @returns {Object} { testcaseCount, errors: [{ path, error }] }
+ */
+async function createTemplateFromInstance({ instancePath, templatePath, templateInfo }) {
+  const sourceTestcases = path.join(instancePath, 'testcases');
+  const targetTestcases = path.join(templatePath, 'testcases');
+  const errors = [];
+  let testcaseCount = 0;
+
+  await fs.mkdir(targetTestcases, { recursive: true });
+
+  // Testcases without results, notes and attachments
+  const files = await listTestcaseFiles(sourceTestcases);
+  for (const [relPath, sourceFile] of files) {
+    try {
+      const testcase = stripTestcaseResults(await parseTestcaseXML(sourceFile));
+      const targetFile = path.join(targetTestcases, ...relPath.split('/'));
+      await fs.mkdir(path.dirname(targetFile), { recursive: true });
+      await fs.copyFile(sourceFile, targetFile);
+      await saveTestcaseXML(targetFile, testcase);
+      testcaseCount++;
+    } catch (error) {
+      errors.push({ path: relPath, error: error.message });
+    }
+  }
+
+  // Schemas
+  const schemaDir = path.join(sourceTestcases, '_schema');
+  if (fsSync.existsSync(schemaDir)) {
+    await copyDirectory(schemaDir, path.join(targetTestcases, '_schema'));
+  }
+
+  // Module and category titles
+  const structureFile = path.join(sourceTestcases, STRUCTURE_META_FILE);
+  if (fsSync.existsSync(structureFile)) {
+    await fs.copyFile(structureFile, path.join(targetTestcases, STRUCTURE_META_FILE));
+  }
+
+  // Report templates are reusable as well
+  const reportTemplatesDir = path.join(instancePath, '_templates');
+  if (fsSync.existsSync(reportTemplatesDir)) {
+    await copyDirectory(reportTemplatesDir, path.join(templatePath, '_templates'));
+  }
+
+  // ICS checklist: prefer the instance's template, fall back to the filled-in profiles.xml
+  const profilesSource = [
+    path.join(sourceTestcases, 'profiles-template.xml'),
+    path.join(sourceTestcases, 'profiles.xml')
+  ].find(p => fsSync.existsSync(p));
+
+  if (profilesSource) {
+    const profilesData = resetProfileAnswers(await parseProfilesXML(await fs.readFile(profilesSource, 'utf-8')));
+    profilesData.templateInfo = templateInfo;
+    await fs.writeFile(path.join(targetTestcases, 'profiles-template.xml'), buildProfilesXML(profilesData), 'utf-8');
+  } else {
+    await fs.writeFile(
+      path.join(targetTestcases, 'profiles-template.xml'),
+      buildProfilesXML({ templateInfo, metadata: {}, sections: [] }),
+      'utf-8'
+    );
+  }
+
+  return { testcaseCount, errors };
+}
+
+module.exports = {
+  stripTestcaseResults,
+  resetProfileAnswers,
+  createTemplateFromInstance
+};
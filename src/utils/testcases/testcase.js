@@ -5,7 +5,12 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const xml2js = require('xml2js');
+const { getNodeRun, getNodeRunHistory } = require('./runs');
+const { isNodeRunApproved } = require('./workflow');
+const { parseNotes, getNoteThreads } = require('./notes');
+const { readTestcaseNode } = require('./cache');
+const { evaluateProfileCondition } = require('./profileConditions');
+const { resolveChecklist } = require('./checklist');
 
 /**
  * Parse testcase ID into components
@@ -212,14 +217,97 @@ function groupTestcasesWithVariants(testcases) {
   return result;
 }
 
+/**
+ * Allocate the next free testcase ID in a category
+ * @param {Array} existingIds - IDs of the testcases already in the category
+ * @param {string} prefix - ID prefix including trailing underscore (e.g. "II_EXF_")
+ * @param {string|null} variantOf - Allocate the next variant of this ID instead of a new number
+ * @returns {string} New testcase ID (e.g. "II_EXF_05" or "II_EXF_01_C")
+ */
+function allocateTestcaseId(existingIds, prefix, variantOf = null) {
+  if (variantOf) {
+    const base = parseTestcaseId(variantOf);
+    const maxVariant = existingIds
+      .map(parseTestcaseId)
+      .filter(p => p.prefix === base.prefix && p.number === base.number && p.hasVariant)
+      .reduce((max, p) => Math.max(max, variantToNumber(p.variant)), 0);
+    return `${base.baseId}_${numberToVariant(maxVariant + 1)}`;
+  }
+  
+  let maxNumber = 0;
+  let digits = 2;
+  for (const id of existingIds) {
+    const match = id.match(/^(.+_)(\d+)(?:_[A-Z]+)?$/);
+    if (match && match[1] === prefix) {
+      maxNumber = Math.max(maxNumber, parseInt(match[2], 10));
+      digits = Math.max(digits, match[2].length);
+    }
+  }
+  return prefix + String(maxNumber + 1).padStart(digits, '0');
+}
+
+/**
+ * Describe all numbering gaps in a list of testcase IDs
+ * @param {Array} ids - Testcase IDs
+ * @returns {Array} Gap descriptions (e.g. "II_EXF_03 - II_EXF_05", "II_EXF_01_B - II_EXF_01_D")
+ */
+function describeGaps(ids) {
+  const gaps = [];
+  let currentBaseId = null;
+  
+  for (const item of groupTestcasesWithVariants(ids.map(id => ({ id })))) {
+    if (item.type === 'group-start') {
+      currentBaseId = item.baseId;
+    } else if (item.type === 'group-end') {
+      currentBaseId = null;
+    } else if (item.type === 'base-gap') {
+      gaps.push(`${item.fromId} - ${item.toId}`);
+    } else if (item.type === 'variant-gap') {
+      gaps.push(`${currentBaseId}_${item.from} - ${currentBaseId}_${item.to}`);
+    }
+  }
+  
+  return gaps;
+}
+
+/**
+ * Find numbering gaps that would be created by removing a testcase
+ * @param {Array} ids - Current testcase IDs in the category
+ * @param {string} removedId - ID of the testcase to remove
+ * @returns {Array} New gap descriptions (empty if the numbering stays contiguous)
+ */
+function findGapsAfterRemoval(ids, removedId) {
+  const before = new Set(describeGaps(ids));
+  return describeGaps(ids.filter(id => id !== removedId)).filter(gap => !before.has(gap));
+}
+
+/**
+ * Check a testcase against the profile filter
+ * Testcases without profiles always match, as does every testcase while no profile is active.
+ * @param {Array} profiles - Profiles of the testcase
+ * @param {Array|null} activeProfiles - Active profile filter
+ * @param {string} filterMode - 'OR' (one profile active) or 'AND' (all profiles active)
+ * @returns {boolean}
+ */
+function matchesProfileFilter(profiles, activeProfiles, filterMode = 'OR') {
+  if (!activeProfiles || activeProfiles.length === 0 || profiles.length === 0) return true;
+  return filterMode === 'AND'
+    ? profiles.every(p => activeProfiles.includes(p))
+    : profiles.some(p => activeProfiles.includes(p));
+}
+
 /**
  * Collect all testcases for PDF export
  * @param {string} rootPath - Root path of the instance
  * @param {Array|null} activeProfiles - Active profile filter
  * @param {string} filterMode - 'OR' or 'AND'
+ * @param {Object} options - { run: run id (default: latest run per testcase), registeredRuns: see listRuns,
+ *   approvedOnly: report results without four-eyes approval (see workflow.js) as open,
+ *   includeInternalNotes: also list internal notes (default: only notes shared with the manufacturer),
+ *   ids: only include these testcase ids (Set, see selectTestcaseIds) }
  * @returns {Array} Modules with categories and testcases
  */
-async function collectAllTestcases(rootPath, activeProfiles = null, filterMode = 'OR') {
+async function collectAllTestcases(rootPath, activeProfiles = null, filterMode = 'OR', { run = null, registeredRuns = [], approvedOnly = false, includeInternalNotes = false, ids = null } = {}) {
   const modules = [];
   
   try {
@@ -258,39 +346,43 @@ async function collectAllTestcases(rootPath, activeProfiles = null, filterMode =
           
           const filePath = path.join(categoryPath, fileEntry.name);
           try {
-            const content = await fs.readFile(filePath, 'utf-8');
-            const parser = new xml2js.Parser({ explicitArray: false });
-            const parsed = await parser.parseStringPromise(content);
-            const tc = parsed.TestCase;
+            const tc = await readTestcaseNode(filePath);
+            
+            if (ids && !ids.has(tc.$?.id || fileEntry.name.replace('.xml', ''))) continue;
             
             const profiles = tc.Profiles?.Profile 
               ? (Array.isArray(tc.Profiles.Profile) ? tc.Profiles.Profile : [tc.Profiles.Profile])
               : [];
             
             // Apply profile filter if active
-            if (activeProfiles && activeProfiles.length > 0) {
-              if (profiles.length > 0) {
-                const isActive = filterMode === 'AND'
-                  ? profiles.every(p => activeProfiles.includes(p))
-                  : profiles.some(p => activeProfiles.includes(p));
-                if (!isActive) continue;
-              }
-            }
+            if (!matchesProfileFilter(profiles, activeProfiles, filterMode)) continue;
             
-            // Get status from Result if available
-            let status = 'OPEN';
-            if (tc.Result?.Status) {
-              status = tc.Result.Status;
-            }
+            // Rolled up from the ExpectedResult statuses of the selected run (see status.js, runs.js)
+            const runResult = getNodeRun(tc, run);
+            if (!runResult) continue;
+            const approved = isNodeRunApproved(tc, runResult.run);
+            const status = (approvedOnly && !approved ? null : runResult.status) || 'OPEN';
             
             categoryData.testcases.push({
               id: tc.$.id,
               title: tc.Title || '',
               profiles: profiles,
-              status: status
+              status: status,
+              approved: approved,
+              run: runResult.run,
+              runs: getNodeRunHistory(tc, registeredRuns),
+              notes: getNoteThreads(parseNotes(tc.Notes), { includeInternal: includeInternalNotes })
             });
           } catch (parseError) {
+            // Keep unreadable testcases in the report instead of silently dropping them
             console.warn(`Warning: Could not parse ${filePath}`);
+            categoryData.testcases.push({
+              id: fileEntry.name.replace('.xml', ''),
+              title: `Nicht lesbar: ${parseError.message.split('\n')[0]}`,
+              profiles: [],
+              status: 'OPEN',
+              parseError: parseError.message
+            });
           }
         }
         
@@ -319,9 +411,13 @@ async function collectAllTestcases(rootPath, activeProfiles = null, filterMode =
  * @param {string} rootPath - Root path of the instance
  * @param {Array|null} activeProfiles - Active profile filter
  * @param {string} filterMode - 'OR' or 'AND'
+ * @param {Object} options - { run: run id (default: latest run per testcase), registeredRuns: see listRuns,
+ *   approvedOnly: report results without four-eyes approval (see workflow.js) as open,
+ *   includeInternalNotes: also list internal notes (default: only notes shared with the manufacturer),
+ *   ids: only include these testcase ids (Set, see selectTestcaseIds) }
  * @returns {Object} Modules, testcases, and statistics
  */
-async function collectDetailedTestcases(rootPath, activeProfiles = null, filterMode = 'OR') {
+async function collectDetailedTestcases(rootPath, activeProfiles = null, filterMode = 'OR', { run = null, registeredRuns = [], approvedOnly = false, includeInternalNotes = false, ids = null } = {}) {
   const modules = [];
   let totalTestcases = 0;
   let statusCounts = { passed: 0, failed: 0, skipped: 0, open: 0 };
@@ -372,34 +468,26 @@ async function collectDetailedTestcases(rootPath, activeProfiles = null, filterM
           
           const filePath = path.join(categoryPath, fileEntry.name);
           try {
-            const content = await fs.readFile(filePath, 'utf-8');
-            const parser = new xml2js.Parser({ explicitArray: false });
-            const parsed = await parser.parseStringPromise(content);
-            const tc = parsed.TestCase;
+            const tc = await readTestcaseNode(filePath);
+            
+            if (ids && !ids.has(tc.$?.id || fileEntry.name.replace('.xml', ''))) continue;
             
             const profiles = tc.Profiles?.Profile 
               ? (Array.isArray(tc.Profiles.Profile) ? tc.Profiles.Profile : [tc.Profiles.Profile])
               : [];
             
             // Apply profile filter
-            if (activeProfiles && activeProfiles.length > 0) {
-              if (profiles.length > 0) {
-                const isActive = filterMode === 'AND'
-                  ? profiles.every(p => activeProfiles.includes(p))
-                  : profiles.some(p => activeProfiles.includes(p));
-                if (!isActive) continue;
-              }
-            }
+            if (!matchesProfileFilter(profiles, activeProfiles, filterMode)) continue;
             
-            // Get status
-            let status = 'OPEN';
+            // Get status (rolled up from the ExpectedResult statuses of the selected run, see status.js, runs.js)
+            const runResult = getNodeRun(tc, run);
+            if (!runResult) continue;
+            const approved = isNodeRunApproved(tc, runResult.run);
+            const status = (approvedOnly && !approved ? null : runResult.status) || 'OPEN';
             let statusText = 'Offen';
-            if (tc.Result?.Status) {
-              status = tc.Result.Status;
-              if (status === 'PASSED') statusText = 'Bestanden';
-              else if (status === 'FAILED') statusText = 'Fehlgeschlagen';
-              else if (status === 'SKIPPED') statusText = 'Übersprungen';
-            }
+            if (status === 'PASSED') statusText = 'Bestanden';
+            else if (status === 'FAILED') statusText = 'Fehlgeschlagen';
+            else if (status === 'SKIPPED') statusText = 'Übersprungen';
             
             // Update counts
             totalTestcases++;
@@ -436,10 +524,39 @@ async function collectDetailedTestcases(rootPath, activeProfiles = null, filterM
               isPassed: status === 'PASSED',
               isFailed: status === 'FAILED',
               isSkipped: status === 'SKIPPED',
-              isOpen: status === 'OPEN'
+              isOpen: status === 'OPEN',
+              approved: approved,
+              run: runResult.run,
+              tester: runResult.tester,
+              testDate: runResult.testDate,
+              runs: getNodeRunHistory(tc, registeredRuns),
+              notes: getNoteThreads(parseNotes(tc.Notes), { includeInternal: includeInternalNotes })
             });
           } catch (parseError) {
+            // Keep unreadable testcases in the report (counted as open) instead of silently dropping them
             console.warn(`Warning: Could not parse ${filePath}`);
+            totalTestcases++;
+            categoryData.testcaseCount++;
+            moduleData.testcaseCount++;
+            statusCounts.open++;
+            categoryData.openCount++;
+            moduleData.openCount++;
+            
+            categoryData.testcases.push({
+              id: fileEntry.name.replace('.xml', ''),
+              title: `Nicht lesbar: ${parseError.message.split('\n')[0]}`,
+              description: '',
+              purpose: '',
+              profiles: [],
+              profilesText: '-',
+              status: 'OPEN',
+              statusText: 'Offen',
+              isPassed: false,
+              isFailed: false,
+              isSkipped: false,
+              isOpen: true,
+              parseError: parseError.message
+            });
           }
         }
         
@@ -479,6 +596,8 @@ async function collectDetailedTestcases(rootPath, activeProfiles = null, filterM
 
 /**
  * Calculate derived profiles from checklist selections
+ * Mapping conditions may be expressions over other questions (see profileConditions.js),
+ * hidden questions (DependsOn/visibleIf, see checklist.js) derive no profiles
  * @param {Object} profilesData - Profile configuration data
  * @returns {Array} Active profile names
  */
@@ -489,6 +608,8 @@ function calculateDerivedProfiles(profilesData) {
     return [];
   }
   
+  const { questions: questionIndex, visible } = resolveChecklist(profilesData);
+  
   for (const section of profilesData.sections) {
     // Support both 'questions' (new) and 'items' (legacy) field names
     const questions = section.questions || section.items || [];
@@ -496,19 +617,9 @@ function calculateDerivedProfiles(profilesData) {
     for (const question of questions) {
       // New format: answer.answered and profileMappings
       if (question.answer && question.profileMappings) {
-        if (question.answer.answered) {
-          const values = question.answer.values || [];
-          
+        if (question.answer.answered && visible.has(question.id)) {
           for (const mapping of question.profileMappings) {
-            let matches = false;
-            
-            if (question.type === 'boolean') {
-              const boolValue = values[0]?.toLowerCase() === 'true';
-              matches = (mapping.condition === 'true' && boolValue) ||
-                       (mapping.condition === 'false' && !boolValue);
-            } else if (question.type === 'choice' || question.type === 'multi-choice') {
-              matches = values.includes(mapping.condition);
-            }
+            const matches = evaluateProfileCondition(mapping.condition, question, questionIndex);
             
             if (matches && mapping.profiles) {
               for (const profile of mapping.profiles) {
@@ -535,6 +646,10 @@ module.exports = {
   variantToNumber,
   numberToVariant,
   groupTestcasesWithVariants,
+  allocateTestcaseId,
+  describeGaps,
+  findGapsAfterRemoval,
+  matchesProfileFilter,
   collectAllTestcases,
   collectDetailedTestcases,
   calculateDerivedProfiles
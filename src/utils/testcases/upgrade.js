@@ -0,0 +1,345 @@
+/**
+ * Template Upgrade Utilities
+ * Three-way merge of a newer template version into an existing instance
+ * (original template = base, new template = theirs, instance = ours)
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { parseTestcaseXML, saveTestcaseXML } = require('./xml');
+const { copyDirectory, acquireLocks } = require('../global');
+
+// Testcase-level fields taken over from the template if the tester did not change them
+const TEXT_FIELDS = ['title', 'purpose'];
+const LIST_FIELDS = ['preconditions', 'profiles', 'references', 'refFunctions', 'refUsers'];
+
+/**
+ * List all testcase XML files below a testcases folder
+ * @param {string} rootPath - testcases folder of a template or instance
+ * @returns {Map} Relative path (module/category/file.xml) -> absolute path
+ */
+async function listTestcaseFiles(rootPath) {
+  const files = new Map();
+  if (!rootPath || !fsSync.existsSync(rootPath)) return files;
+
+  const moduleEntries = await fs.readdir(rootPath, { withFileTypes: true });
+  for (const moduleEntry of moduleEntries) {
+    if (!moduleEntry.isDirectory() || moduleEntry.name.startsWith('.') || moduleEntry.name.startsWith('_')) {
+      continue;
+    }
+
+    const modulePath = path.join(rootPath, moduleEntry.name);
+    const categoryEntries = await fs.readdir(modulePath, { withFileTypes: true });
+
+    for (const categoryEntry of categoryEntries) {
+      if (!categoryEntry.isDirectory() || categoryEntry.name.startsWith('.') || categoryEntry.name.startsWith('_')) {
+        continue;
+      }
+
+      const categoryPath = path.join(modulePath, categoryEntry.name);
+      const fileEntries = await fs.readdir(categoryPath, { withFileTypes: true });
+
+      for (const fileEntry of fileEntries) {
+        if (!fileEntry.isFile() || !fileEntry.name.endsWith('.xml')) {
+          continue;
+        }
+        files.set(
+          [moduleEntry.name, categoryEntry.name, fileEntry.name].join('/'),
+          path.join(categoryPath, fileEntry.name)
+        );
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Normalize a value for comparison (whitespace differences are not treated as changes)
+ */
+function normalize(value) {
+  if (Array.isArray(value)) return JSON.stringify(value.map(normalize));
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Three-way merge of a single value
+ * @param {*} base - Value in the original template (undefined if unknown)
+ * @param {*} theirs - Value in the new template
+ * @param {*} ours - Value in the instance
+ * @returns {string} 'none' (keep instance), 'update' (take template) or 'conflict'
+ */
+function mergeValue(base, theirs, ours) {
+  const t = normalize(theirs);
+  const o = normalize(ours);
+  if (t === o) return 'none';
+
+  if (base !== undefined) {
+    const b = normalize(base);
+    if (t === b) return 'none';      // Only changed locally
+    if (o === b) return 'update';    // Only changed in template
+  }
+
+  return 'conflict';
+}
+
+/**
+ * Describe the step structure (step count and ExpectedResult count per step)
+ */
+function stepShape(testcase) {
+  return (testcase?.testSteps || []).map(s => (s.expectedResults || []).length).join(',');
+}
+
+/**
+ * Check whether a testcase holds recorded results
+ */
+function hasRecordedResults(testcase) {
+  if (testcase.status) return true;
+  if ((testcase.notes || []).length > 0 || (testcase.attachments || []).length > 0) return true;
+  if ((testcase.runs || []).length > 0) return true;
+
+  return (testcase.testSteps || []).some(step =>
+    step.status || step.errorMessage ||
+    (step.expectedResults || []).some(er =>
+      er.status || er.actualResult || Object.values(er.variables || {}).some(Boolean)
+    )
+  );
+}
+
+/**
+ * Check whether the steps of a testcase hold recorded results
+ */
+function hasStepResults(testcase) {
+  return hasRecordedResults({ testSteps: testcase.testSteps });
+}
+
+/**
+ * Merge a template testcase into an instance testcase
+ * Statuses, actual results, variables, notes and attachments of the instance are always kept.
+ * @param {Object|null} base - Parsed testcase from the original template (null if unknown)
+ * @param {Object} theirs - Parsed testcase from the new template
+ * @param {Object} ours - Parsed testcase from the instance (modified in place)
+ * @param {string} resolve - Conflict resolution: 'local' (keep instance text) or 'template'
+ * @returns {Object} { updated: [field], conflicts: [{ field, base, template, local, resolution }] }
+ */
+function mergeTestcase(base, theirs, ours, resolve = 'local') {
+  const updated = [];
+  const conflicts = [];
+
+  const apply = (field, baseValue, theirValue, ourValue, setValue) => {
+    const result = mergeValue(baseValue, theirValue, ourValue);
+    if (result === 'update') {
+      setValue(theirValue);
+      updated.push(field);
+    } else if (result === 'conflict') {
+      conflicts.push({
+        field,
+        base: baseValue === undefined ? null : baseValue,
+        template: theirValue,
+        local: ourValue,
+        resolution: resolve === 'template' ? 'template' : 'local'
+      });
+      if (resolve === 'template') {
+        setValue(theirValue);
+        updated.push(field);
+      }
+    }
+  };
+
+  for (const field of TEXT_FIELDS) {
+    apply(field, base ? base[field] : undefined, theirs[field], ours[field], v => { ours[field] = v; });
+  }
+  for (const field of LIST_FIELDS) {
+    apply(field, base ? base[field] : undefined, theirs[field] || [], ours[field] || [], v => { ours[field] = [...v]; });
+  }
+
+  // Steps: text can be merged field by field as long as the step structure is unchanged
+  const templateShape = stepShape(theirs);
+  const localShape = stepShape(ours);
+  const baseShape = base ? stepShape(base) : null;
+
+  if (templateShape === localShape) {
+    theirs.testSteps.forEach((theirStep, i) => {
+      const ourStep = ours.testSteps[i];
+      const baseStep = baseShape === templateShape ? base.testSteps[i] : undefined;
+
+      apply(`step-${i + 1}.command`, baseStep?.command, theirStep.command, ourStep.command, v => { ourStep.command = v; });
+
+      theirStep.expectedResults.forEach((theirEr, j) => {
+        const ourEr = ourStep.expectedResults[j];
+        const baseEr = baseStep?.expectedResults[j];
+        apply(`er-${i + 1}-${j + 1}`, baseEr?.text, theirEr.text, ourEr.text, v => { ourEr.text = v; });
+      });
+    });
+  } else if (templateShape !== baseShape) {
+    // Steps or ExpectedResults were added/removed in the template.
+    // Take the new steps only if the tester neither restructured nor executed them.
+    if (localShape === baseShape && !hasStepResults(ours)) {
+      ours.testSteps = theirs.testSteps.map(step => ({ ...step }));
+      updated.push('testSteps');
+    } else {
+      conflicts.push({
+        field: 'testSteps',
+        base: base ? base.testSteps.map(s => s.command) : null,
+        template: theirs.testSteps.map(s => s.command),
+        local: ours.testSteps.map(s => s.command),
+        resolution: 'local'
+      });
+    }
+  }
+
+  if (updated.length > 0 && theirs.version) {
+    ours.version = theirs.version;
+  }
+
+  return { updated, conflicts };
+}
+
+/**
+ * Upgrade an instance to a newer template version
+ * @param {Object} options
+ * @param {string} options.testcasesPath - testcases folder of the instance
+ * @param {string|null} options.baseTestcasesPath - testcases folder of the original template (null if unknown)
+ * @param {string} options.templateTestcasesPath - testcases folder of the new template
+ * @param {string} options.resolve - Conflict resolution: 'local' or 'template'
+ * @param {boolean} options.dryRun - Only report, do not write anything
+ * @param {Object} options.history - { instancePath, author, summary } to record merged testcases in the revision history
+ * Without the original template, testcases that exist only in the new template or only in the instance
+ * are reported as conflicts (field 'testcase'); missing ones are only added with resolve 'template'.
+ * @returns {Object} Upgrade report
+ */
+async function upgradeInstance({ testcasesPath, baseTestcasesPath, templateTestcasesPath, resolve = 'local', dryRun = false, history = null }) {
+  const report = {
+    baseAvailable: Boolean(baseTestcasesPath),
+    added: [],
+    removed: [],
+    deletedLocally: [],
+    updated: [],
+    conflicts: [],
+    unchanged: 0,
+    filesUpdated: [],
+    errors: []
+  };
+
+  const baseFiles = await listTestcaseFiles(baseTestcasesPath);
+  const templateFiles = await listTestcaseFiles(templateTestcasesPath);
+  const localFiles = await listTestcaseFiles(testcasesPath);
+
+  const idFromPath = relPath => path.basename(relPath, '.xml');
+
+  // Holds off single saves (If-Match) of every testcase the merge may write until it is done
+  const release = dryRun ? () => {} : await acquireLocks([
+    ...localFiles.values(),
+    ...[...templateFiles.keys()].map(relPath => path.join(testcasesPath, ...relPath.split('/')))
+  ]);
+  try {
+    for (const [relPath, templateFile] of templateFiles) {
+      const localFile = localFiles.get(relPath);
+
+      if (!localFile) {
+        if (baseFiles.has(relPath)) {
+          // Existed in the original template but was deleted in the instance
+          report.deletedLocally.push({ id: idFromPath(relPath), path: relPath });
+          continue;
+        }
+        if (!report.baseAvailable) {
+          // Without the original template a new testcase cannot be told apart from a local deletion
+          report.conflicts.push({
+            id: idFromPath(relPath),
+            path: relPath,
+            field: 'testcase',
+            base: null,
+            template: relPath,
+            local: null,
+            resolution: resolve === 'template' ? 'template' : 'local'
+          });
+          if (resolve !== 'template') continue;
+        }
+
+        report.added.push({ id: idFromPath(relPath), path: relPath });
+        if (!dryRun) {
+          const targetFile = path.join(testcasesPath, ...relPath.split('/'));
+          await fs.mkdir(path.dirname(targetFile), { recursive: true });
+          await fs.copyFile(templateFile, targetFile);
+        }
+        continue;
+      }
+
+      try {
+        const theirs = await parseTestcaseXML(templateFile);
+        const ours = await parseTestcaseXML(localFile);
+        const base = baseFiles.has(relPath) ? await parseTestcaseXML(baseFiles.get(relPath)) : null;
+
+        const { updated, conflicts } = mergeTestcase(base, theirs, ours, resolve);
+
+        for (const conflict of conflicts) {
+          report.conflicts.push({ id: ours.id, path: relPath, ...conflict });
+        }
+
+        if (updated.length > 0) {
+          report.updated.push({ id: ours.id, path: relPath, fields: updated });
+          if (!dryRun) {
+            await saveTestcaseXML(localFile, ours, { history });
+          }
+        } else if (conflicts.length === 0) {
+          report.unchanged++;
+        }
+      } catch (error) {
+        report.errors.push({ id: idFromPath(relPath), path: relPath, error: error.message });
+      }
+    }
+  } finally {
+    release();
+  }
+
+  // Testcases that were dropped from the template are only flagged, never deleted
+  for (const [relPath, localFile] of localFiles) {
+    if (templateFiles.has(relPath)) continue;
+    // Added in the instance
+    if (report.baseAvailable && !baseFiles.has(relPath)) continue;
+
+    let hasResults = false;
+    try {
+      hasResults = hasRecordedResults(await parseTestcaseXML(localFile));
+    } catch {}
+
+    if (report.baseAvailable) {
+      report.removed.push({ id: idFromPath(relPath), path: relPath, hasResults });
+    } else {
+      // Without the original template a removal cannot be told apart from a local addition
+      report.conflicts.push({
+        id: idFromPath(relPath),
+        path: relPath,
+        field: 'testcase',
+        base: null,
+        template: null,
+        local: relPath,
+        hasResults,
+        resolution: 'local'
+      });
+    }
+  }
+
+  // Schema and profile template are taken over from the new template (profiles.xml keeps the answers)
+  const schemaDir = path.join(templateTestcasesPath, '_schema');
+  if (fsSync.existsSync(schemaDir)) {
+    report.filesUpdated.push('_schema');
+    if (!dryRun) await copyDirectory(schemaDir, path.join(testcasesPath, '_schema'));
+  }
+  const profilesTemplate = path.join(templateTestcasesPath, 'profiles-template.xml');
+  if (fsSync.existsSync(profilesTemplate)) {
+    report.filesUpdated.push('profiles-template.xml');
+    if (!dryRun) await fs.copyFile(profilesTemplate, path.join(testcasesPath, 'profiles-template.xml'));
+  }
+
+  return report;
+}
+
+module.exports = {
+  listTestcaseFiles,
+  mergeTestcase,
+  hasRecordedResults,
+  upgradeInstance
+};
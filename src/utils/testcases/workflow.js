@@ -0,0 +1,231 @@
+/**
+ * Workflow Utilities
+ * Handles assignment and the review workflow of testcases (four-eyes approval)
+ *
+ * States: open → in_progress → executed → in_review → approved
+ * - in_progress: requires an assignee (the acting user is assigned if there is none)
+ * - executed: only by the assignee, every expected result needs a status
+ * - in_review: only by the assignee, requires a reviewer other than the assignee
+ * - approved: only by the reviewer, who must not be the assignee or have executed the testcase
+ * - Back to in_progress: the assignee from executed, the reviewer from in_review (rejection,
+ *   with comment), anyone from approved (reopening, with comment); in_progress → open unassigns
+ * Changing results of a testcase in review or approved sends it back to in_progress, starting
+ * a new run resets it to open. Every transition is logged in the testcase (<Workflow>).
+ */
+
+const { normalizeStatus } = require('./status');
+const { captureRun } = require('./runs');
+
+const WORKFLOW_STATES = ['open', 'in_progress', 'executed', 'in_review', 'approved'];
+
+const WORKFLOW_TRANSITIONS = {
+  open: ['in_progress'],
+  in_progress: ['executed', 'open'],
+  executed: ['in_review', 'in_progress'],
+  in_review: ['approved', 'in_progress'],
+  approved: ['in_progress']
+};
+
+const STATE_LABELS = {
+  open: 'offen',
+  in_progress: 'in Bearbeitung',
+  executed: 'durchgeführt',
+  in_review: 'im Review',
+  approved: 'freigegeben'
+};
+
+/**
+ * Workflow of a testcase without workflow metadata
+ */
+function emptyWorkflow() {
+  return { state: 'open', assignee: '', reviewer: '', transitions: [] };
+}
+
+/**
+ * Get the workflow of a parsed testcase (defaults for testcases without one)
+ */
+function getWorkflow(testcase) {
+  return { ...emptyWorkflow(), ...(testcase.workflow || {}) };
+}
+
+/**
+ * Find the user who executed the current results (last transition to executed)
+ */
+function getExecutor(workflow) {
+  return [...workflow.transitions].reverse().find(t => t.to === 'executed')?.by || '';
+}
+
+/**
+ * Check whether every expected result of every step has a status (steps without expected
+ * results need their own status); a FAILED result already fails the rollup, so it does not tell
+ */
+function hasAllResultStatuses(testcase) {
+  const steps = testcase.testSteps || [];
+  return steps.length > 0 && steps.every(step => {
+    const expectedResults = step.expectedResults || [];
+    if (expectedResults.length === 0) return normalizeStatus(step.status) !== null;
+    return expectedResults.every(er => normalizeStatus(er.status) !== null);
+  });
+}
+
+/**
+ * Check a transition
+ * @param {Object} testcase - Parsed testcase
+ * @param {string} to - Target state
+ * @param {Object} context - { actor, comment }
+ * @returns {string|null} Error message or null if the transition is allowed
+ */
+function checkTransition(testcase, to, { actor = '', comment = '' } = {}) {
+  const workflow = getWorkflow(testcase);
+  const from = workflow.state;
+
+  if (!WORKFLOW_STATES.includes(to)) {
+    return `Unbekannter Workflow-Status "${to}" (erlaubt: ${WORKFLOW_STATES.join(', ')})`;
+  }
+  if (!(WORKFLOW_TRANSITIONS[from] || []).includes(to)) {
+    return `Übergang von "${STATE_LABELS[from] || from}" nach "${STATE_LABELS[to]}" ist nicht erlaubt`;
+  }
+  if (!actor) {
+    return 'Bearbeiter erforderlich (X-Author)';
+  }
+
+  switch (to) {
+    case 'executed':
+      if (actor !== workflow.assignee) return `Nur ${workflow.assignee || 'der zugewiesene Tester'} kann die Durchführung abschließen`;
+      if (!hasAllResultStatuses(testcase)) {
+        return 'Alle erwarteten Ergebnisse benötigen einen Status';
+      }
+      break;
+    case 'in_review':
+      if (actor !== workflow.assignee) return `Nur ${workflow.assignee || 'der zugewiesene Tester'} kann das Review anfordern`;
+      if (!workflow.reviewer) return 'Kein Reviewer zugewiesen';
+      if (workflow.reviewer === workflow.assignee) return 'Reviewer und Tester müssen verschiedene Personen sein';
+      break;
+    case 'approved':
+      if (actor !== workflow.reviewer) return `Nur der Reviewer (${workflow.reviewer}) kann freigeben`;
+      if (actor === workflow.assignee || actor === getExecutor(workflow)) {
+        return 'Vier-Augen-Prinzip: Freigabe durch den Tester nicht möglich';
+      }
+      break;
+    case 'in_progress':
+      if (from === 'executed' && actor !== workflow.assignee) return `Nur ${workflow.assignee} kann die Durchführung wieder aufnehmen`;
+      if (from === 'in_review' && actor !== workflow.reviewer) return `Nur der Reviewer (${workflow.reviewer}) kann zurückweisen`;
+      if ((from === 'in_review' || from === 'approved') && !comment.trim()) return 'Begründung erforderlich';
+      break;
+  }
+  return null;
+}
+
+/**
+ * Append a transition to a workflow
+ * @returns {Object} New workflow
+ */
+function addTransition(workflow, testcase, to, { actor = '', comment = '', timestamp = new Date().toISOString() } = {}) {
+  return {
+    ...workflow,
+    state: to,
+    transitions: [...workflow.transitions, {
+      from: workflow.state,
+      to,
+      by: actor,
+      timestamp,
+      run: testcase.run || '',
+      comment
+    }]
+  };
+}
+
+/**
+ * Apply a checked transition to a parsed testcase
+ * @param {Object} testcase - Parsed testcase (modified in place)
+ * @param {string} to - Target state
+ * @param {Object} context - { actor, comment, timestamp }
+ * @returns {Object} The testcase
+ */
+function applyTransition(testcase, to, context) {
+  let workflow = getWorkflow(testcase);
+  if (to === 'in_progress' && !workflow.assignee) workflow = { ...workflow, assignee: context.actor };
+  if (to === 'open') workflow = { ...workflow, assignee: '' };
+  testcase.workflow = addTransition(workflow, testcase, to, context);
+  return testcase;
+}
+
+/**
+ * Check a change of assignee/reviewer
+ * @returns {string|null} Error message or null if allowed
+ */
+function checkAssignment(testcase, { assignee, reviewer }) {
+  const workflow = getWorkflow(testcase);
+  const nextAssignee = assignee !== undefined ? assignee : workflow.assignee;
+  const nextReviewer = reviewer !== undefined ? reviewer : workflow.reviewer;
+
+  if (assignee !== undefined && assignee !== workflow.assignee && !['open', 'in_progress'].includes(workflow.state)) {
+    return `Tester kann im Status "${STATE_LABELS[workflow.state]}" nicht geändert werden`;
+  }
+  if (reviewer !== undefined && reviewer !== workflow.reviewer && workflow.state === 'approved') {
+    return 'Reviewer einer freigegebenen Prüfung kann nicht geändert werden';
+  }
+  if (nextReviewer && nextReviewer === nextAssignee) {
+    return 'Reviewer und Tester müssen verschiedene Personen sein';
+  }
+  if (workflow.state === 'in_review' && !nextReviewer) {
+    return 'Ein Testcase im Review benötigt einen Reviewer';
+  }
+  if (workflow.state === 'in_progress' && !nextAssignee) {
+    return 'Ein Testcase in Bearbeitung benötigt einen Tester';
+  }
+  return null;
+}
+
+/**
+ * Keep the workflow consistent with a change of the testcase content
+ * Result changes in review or after approval send the testcase back to in_progress,
+ * a new run resets it to open (assignee and reviewer are kept).
+ * @param {Object|null} previous - Parsed testcase before the change
+ * @param {Object} current - Parsed testcase after the change (its workflow is replaced if needed)
+ * @param {Object} context - { actor, timestamp }
+ * @returns {boolean} Whether the workflow was changed
+ */
+function reconcileWorkflow(previous, current, context = {}) {
+  if (!previous) return false;
+  const workflow = getWorkflow(previous);
+  current.workflow = workflow;
+
+  if ((previous.run || '') !== (current.run || '')) {
+    if (workflow.state === 'open') return false;
+    current.workflow = addTransition(workflow, current, 'open', { ...context, comment: 'Neue Prüfrunde' });
+    return true;
+  }
+
+  if (['in_review', 'approved'].includes(workflow.state) &&
+      JSON.stringify(captureRun(previous)) !== JSON.stringify(captureRun(current))) {
+    current.workflow = addTransition(workflow, current, 'in_progress', { ...context, comment: 'Ergebnisse geändert' });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Check whether the results of a run were approved, from a raw xml2js TestCase node
+ * The last logged transition of the run decides (for the current run: the workflow state).
+ * @param {Object} node - TestCase element as parsed by xml2js
+ * @param {string} runId - Run id ('' for results recorded without a run)
+ * @returns {boolean}
+ */
+function isNodeRunApproved(node, runId) {
+  const toArray = value => Array.isArray(value) ? value : (value ? [value] : []);
+  const transitions = toArray(node?.Workflow?.Transition).filter(t => (t?.$?.run || '') === (runId || ''));
+  return transitions.length > 0 && transitions[transitions.length - 1].$.to === 'approved';
+}
+
+module.exports = {
+  WORKFLOW_STATES,
+  WORKFLOW_TRANSITIONS,
+  emptyWorkflow,
+  getWorkflow,
+  checkTransition,
+  applyTransition,
+  checkAssignment,
+  reconcileWorkflow,
+  isNodeRunApproved
+};
@@ -6,6 +6,10 @@
 const fs = require('fs').promises;
 const path = require('path');
 const xml2js = require('xml2js');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const { recordRevision } = require('./revisions');
+const { parseNotes } = require('./notes');
+const { invalidateTestcaseCache } = require('./cache');
 
 /**
  * Helper to parse RefFunction/RefUser arrays
@@ -16,6 +20,32 @@ function parseRefArray(raw) {
   return arr.map(r => typeof r === 'string' ? r : (r._ || r)).filter(Boolean);
 }
 
+/**
+ * Helper to parse a variables attribute (format: "var1=value1,var2=value2")
+ */
+function parseVariables(variablesStr) {
+  const variables = {};
+  if (variablesStr) {
+    variablesStr.split(',').forEach(pair => {
+      const [key, value] = pair.split('=');
+      if (key) variables[key.trim()] = value || '';
+    });
+  }
+  return variables;
+}
+
+/**
+ * Helper to format variables as attribute value (only variables with values are kept)
+ */
+function formatVariables(variables) {
+  return variables ?
+    Object.entries(variables)
+      .filter(([k, v]) => v)
+      .map(([k, v]) => `${k}=${v}`)
+      .join(',')
+    : '';
+}
+
 /**
  * Parse a TestCase XML file
  * @param {string} filePath - Path to the XML file
@@ -23,11 +53,30 @@ function parseRefArray(raw) {
  */
 async function parseTestcaseXML(filePath) {
   const xmlContent = await fs.readFile(filePath, 'utf-8');
+  return parseTestcaseContent(xmlContent, path.basename(filePath, '.xml'));
+}
+
+/**
+ * Parse a TestCase XML document
+ * @param {string} xmlContent - XML content string
+ * @param {string} fallbackId - ID used if the document has no id attribute
+ * @returns {Object} Parsed testcase data
+ */
+async function parseTestcaseContent(xmlContent, fallbackId) {
   const parser = new xml2js.Parser({ explicitArray: false, attrkey: '$', charkey: '_' });
   
   const result = await parser.parseStringPromise(xmlContent);
-  const tc = result.TestCase;
-  
+  return parseTestcaseNode(result.TestCase, fallbackId);
+}
+
+/**
+ * Convert a TestCase node parsed by xml2js (e.g. from the testcase cache) into testcase data
+ * Lists may be shared with the node; copy the result before modifying a cached node's data.
+ * @param {Object} tc - TestCase node
+ * @param {string} fallbackId - ID used if the document has no id attribute
+ * @returns {Object} Parsed testcase data
+ */
+function parseTestcaseNode(tc, fallbackId) {
   // Parse RefFunction and RefUser on TestCase level
   const refFunctions = parseRefArray(tc.RefFunction);
   const refUsers = parseRefArray(tc.RefUser);
@@ -48,21 +97,12 @@ async function parseTestcaseXML(filePath) {
     for (let j = 0; j < resultsArray.length; j++) {
       const er = resultsArray[j];
       const text = typeof er === 'string' ? er : (er._ || er);
-      // Parse variables attribute (format: "var1=value1,var2=value2")
-      const variablesStr = (typeof er === 'object' ? er.$?.variables : '') || '';
-      const variables = {};
-      if (variablesStr) {
-        variablesStr.split(',').forEach(pair => {
-          const [key, value] = pair.split('=');
-          if (key) variables[key.trim()] = value || '';
-        });
-      }
       expectedResults.push({
         id: `er-${i + 1}-${j + 1}`,
         text: text,
         status: (typeof er === 'object' ? er.$?.status : null) || null,
         actualResult: (typeof er === 'object' ? er.$?.actualResult : '') || '',
-        variables: variables
+        variables: parseVariables(typeof er === 'object' ? er.$?.variables : '')
       });
     }
     
@@ -99,22 +139,13 @@ async function parseTestcaseXML(filePath) {
     }
   }
   
-  // Parse Notes
-  let notes = [];
-  if (tc.Notes) {
-    if (typeof tc.Notes === 'string') {
-      if (tc.Notes.trim()) {
-        notes = [{ text: tc.Notes, timestamp: null, author: '' }];
-      }
-    } else if (tc.Notes.Note) {
-      const rawNotes = Array.isArray(tc.Notes.Note) ? tc.Notes.Note : [tc.Notes.Note];
-      notes = rawNotes.map(n => ({
-        text: typeof n === 'string' ? n : (n._ || n),
-        timestamp: (typeof n === 'object' ? n.$?.timestamp : null) || null,
-        author: (typeof n === 'object' ? n.$?.author : '') || ''
-      }));
-    }
-  }
+  // Parse AlternativeTestProcedures
+  const rawAlternatives = tc.AlternativeTestProcedures?.AlternativeTestProcedure;
+  const alternativeTestProcedures = (Array.isArray(rawAlternatives) ? rawAlternatives : (rawAlternatives ? [rawAlternatives] : []))
+    .map(a => typeof a === 'string' ? a : (a._ || ''));
+  
+  // Parse Notes (ids, threads, anchors and edit history, see notes.js)
+  const notes = parseNotes(tc.Notes);
   
   // Parse Attachments
   let attachments = [];
@@ -132,10 +163,46 @@ async function parseTestcaseXML(filePath) {
     }));
   }
   
+  // Parse Runs (results of earlier execution runs, see runs.js)
+  const toArray = value => Array.isArray(value) ? value : (value ? [value] : []);
+  const runs = toArray(tc.Runs?.Run).map(run => ({
+    id: run.$?.id || '',
+    tester: run.$?.tester || '',
+    testDate: run.$?.testDate || '',
+    status: run.$?.status || null,
+    steps: toArray(run.StepResult).map(stepResult => ({
+      status: stepResult.$?.status || null,
+      errorMessage: stepResult.ErrorMessage || '',
+      expectedResults: toArray(stepResult.Outcome).map(outcome => ({
+        status: outcome.$?.status || null,
+        actualResult: outcome.$?.actualResult || '',
+        variables: parseVariables(outcome.$?.variables)
+      }))
+    }))
+  }));
+  
+  // Parse Workflow (assignment and review state, see workflow.js)
+  const workflow = {
+    state: tc.Workflow?.$?.state || 'open',
+    assignee: tc.Workflow?.$?.assignee || '',
+    reviewer: tc.Workflow?.$?.reviewer || '',
+    transitions: toArray(tc.Workflow?.Transition).map(t => ({
+      from: t.$?.from || '',
+      to: t.$?.to || '',
+      by: t.$?.by || '',
+      timestamp: t.$?.timestamp || null,
+      run: t.$?.run || '',
+      comment: typeof t === 'string' ? t : (t._ || '')
+    }))
+  };
+  
   return {
-    id: tc.$?.id || path.basename(filePath, '.xml'),
+    id: tc.$?.id || fallbackId,
     version: tc.Version || '1.0',
     status: tc.$?.status || null,
+    run: tc.$?.run || '',
+    tester: tc.$?.tester || '',
+    testDate: tc.$?.testDate || '',
     title: tc.Title || '',
     purpose: tc.Purpose || '',
     preconditions: preconditions,
@@ -147,143 +214,526 @@ async function parseTestcaseXML(filePath) {
     notes: notes,
     attachments: attachments,
     result: tc.Result || { summary: '', testedBy: '', testedDate: '', comments: '' },
-    alternativeTestProcedures: []
+    alternativeTestProcedures: alternativeTestProcedures,
+    runs: runs,
+    workflow: workflow
   };
 }
 
+// Default namespace of TR-03153 testcase documents
+const TESTCASE_NAMESPACE = 'http://bsi.bund.de/TR03153';
+
+// Document used when a testcase file is written for the first time
+const TESTCASE_SKELETON = [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  `<TestCase id="" xmlns="${TESTCASE_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">`,
+  '</TestCase>',
+  ''
+].join('\n');
+
+// Child element order as defined in testcase.xsd (new elements are inserted accordingly)
+const TESTCASE_ELEMENT_ORDER = [
+  'Title', 'Version', 'Purpose', 'RefFunction', 'RefUser', 'Profiles', 'References', 'Preconditions',
+  'TestSteps', 'AlternativeTestProcedures', 'Result', 'Notes', 'Attachments', 'Runs', 'Workflow'
+];
+const TESTSTEP_ELEMENT_ORDER = ['Command', 'RefFunction', 'RefUser', 'ExpectedResults', 'ErrorMessage'];
+const STEPRESULT_ELEMENT_ORDER = ['ErrorMessage', 'Outcome'];
+const NOTE_ELEMENT_ORDER = ['Text', 'Version'];
+const RESULT_FIELDS = ['Status', 'Summary', 'TestedBy', 'TestedDate', 'Comments'];
+
 /**
- * Save TestCase data to XML file
- * @param {string} filePath - Path to save the XML file
- * @param {Object} testcaseData - Testcase data to save
+ * Helper: Get text of a value coming from the parser or the editor
  */
-async function saveTestcaseXML(filePath, testcaseData) {
-  const testSteps = (testcaseData.testSteps || []).map((step, index) => {
-    const expectedResults = (step.expectedResults || []).map(er => {
-      // Convert variables object to string format "var1=value1,var2=value2"
-      const variablesStr = er.variables ? 
-        Object.entries(er.variables)
-          .filter(([k, v]) => v) // Only include variables with values
-          .map(([k, v]) => `${k}=${v}`)
-          .join(',') 
-        : '';
-      
-      if (er.status || er.actualResult || variablesStr) {
-        const attrs = { 
-          status: er.status || '',
-          actualResult: er.actualResult || ''
-        };
-        if (variablesStr) {
-          attrs.variables = variablesStr;
-        }
-        return {
-          $: attrs,
-          _: er.text || ''
-        };
-      }
-      return er.text || '';
-    });
-    
-    const stepObj = {
-      $: { id: step.id || `step-${index + 1}` },
-      Command: step.command || '',
-      ExpectedResults: { ExpectedResult: expectedResults }
-    };
-    
-    // Add RefFunction and RefUser on step level
-    if (step.refFunctions && step.refFunctions.length > 0) {
-      stepObj.RefFunction = step.refFunctions;
+function textValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return value._ || '';
+  return String(value).replace(/\r\n/g, '\n');
+}
+
+/**
+ * Helper: Direct child elements of a DOM node (optionally filtered by name)
+ */
+function childElements(parent, name = null) {
+  return Array.from(parent.childNodes).filter(n => n.nodeType === 1 && (!name || n.localName === name));
+}
+
+function isWhitespaceText(node) {
+  return node && node.nodeType === 3 && !/\S/.test(node.data);
+}
+
+/**
+ * Helper: Indentation of an element, taken from the whitespace in front of it
+ */
+function indentOf(el) {
+  const prev = el.previousSibling;
+  if (prev && prev.nodeType === 3 && prev.data.includes('\n')) {
+    return prev.data.slice(prev.data.lastIndexOf('\n') + 1);
+  }
+  return '';
+}
+
+/**
+ * Helper: Indentation for children of an element (follows existing children if present)
+ */
+function childIndent(ctx, parent) {
+  const first = childElements(parent)[0];
+  if (first && first.previousSibling?.nodeType === 3 && first.previousSibling.data.includes('\n')) {
+    return indentOf(first);
+  }
+  return (parent === ctx.doc.documentElement ? '' : indentOf(parent)) + ctx.indent;
+}
+
+/**
+ * Helper: Insert an element before refNode (or at the end) keeping the surrounding indentation
+ */
+function insertElement(ctx, parent, el, refNode) {
+  const indent = childIndent(ctx, parent);
+  const newline = () => ctx.doc.createTextNode('\n' + indent);
+  
+  if (refNode) {
+    parent.insertBefore(el, refNode);
+    parent.insertBefore(newline(), refNode);
+    return el;
+  }
+  
+  if (childElements(parent).length === 0) {
+    // Empty parent: drop whitespace-only content and indent the closing tag
+    for (const node of Array.from(parent.childNodes)) {
+      if (isWhitespaceText(node)) parent.removeChild(node);
     }
-    if (step.refUsers && step.refUsers.length > 0) {
-      stepObj.RefUser = step.refUsers;
+    parent.appendChild(newline());
+    parent.appendChild(el);
+    const closingIndent = parent === ctx.doc.documentElement ? '' : indentOf(parent);
+    parent.appendChild(ctx.doc.createTextNode('\n' + closingIndent));
+    return el;
+  }
+  
+  const last = parent.lastChild;
+  if (isWhitespaceText(last)) {
+    parent.insertBefore(newline(), last);
+    parent.insertBefore(el, last);
+  } else {
+    parent.appendChild(newline());
+    parent.appendChild(el);
+  }
+  return el;
+}
+
+/**
+ * Helper: Insert an element at the position defined by the schema order
+ */
+function insertOrdered(ctx, parent, el, order) {
+  const index = order.indexOf(el.localName);
+  const refNode = childElements(parent).find(c => order.indexOf(c.localName) > index) || null;
+  return insertElement(ctx, parent, el, refNode);
+}
+
+/**
+ * Helper: Remove an element together with the whitespace in front of it
+ */
+function removeElement(el) {
+  const prev = el.previousSibling;
+  if (isWhitespaceText(prev)) el.parentNode.removeChild(prev);
+  el.parentNode.removeChild(el);
+}
+
+function createElement(ctx, name) {
+  return ctx.doc.createElementNS(ctx.namespace, name);
+}
+
+/**
+ * Helper: Replace the content of an element with text (only if it changed)
+ */
+function setText(el, value) {
+  const text = textValue(value);
+  if (el.textContent === text) return;
+  while (el.firstChild) el.removeChild(el.firstChild);
+  if (text) el.appendChild(el.ownerDocument.createTextNode(text));
+}
+
+/**
+ * Helper: Set an attribute, or remove it when the value is empty
+ */
+function setAttribute(el, name, value) {
+  if (value === null || value === undefined || value === '') {
+    if (el.hasAttribute(name)) el.removeAttribute(name);
+  } else if (el.getAttribute(name) !== String(value)) {
+    el.setAttribute(name, String(value));
+  }
+}
+
+/**
+ * Helper: Get the first child element by name, creating it at its schema position if missing
+ */
+function ensureChild(ctx, parent, name, order) {
+  return childElements(parent, name)[0] || insertOrdered(ctx, parent, createElement(ctx, name), order);
+}
+
+/**
+ * Helper: Synchronise repeated child elements with a list of values
+ * Existing elements are updated in place, surplus elements removed and missing ones appended.
+ * @param {Object} ctx - Document context
+ * @param {Element} parent - Parent element
+ * @param {string} name - Name of the repeated element
+ * @param {Array} values - Values to write
+ * @param {Array|null} order - Schema order of the parent's children (null: append at the end)
+ * @param {Function} apply - (element, value, index) => void, defaults to setting the text
+ */
+function syncElements(ctx, parent, name, values, order, apply = (el, value) => setText(el, value)) {
+  const existing = childElements(parent, name);
+  let last = existing[existing.length - 1] || null;
+  
+  values.forEach((value, index) => {
+    let el = existing[index];
+    if (!el) {
+      el = createElement(ctx, name);
+      if (last) {
+        let next = last.nextSibling;
+        while (next && next.nodeType !== 1) next = next.nextSibling;
+        insertElement(ctx, parent, el, next);
+      } else if (order) {
+        insertOrdered(ctx, parent, el, order);
+      } else {
+        insertElement(ctx, parent, el, null);
+      }
+      last = el;
     }
+    apply(el, value, index);
+  });
+  
+  existing.slice(values.length).forEach(removeElement);
+}
+
+/**
+ * Helper: Synchronise a list container (e.g. Profiles/Profile)
+ * Optional containers are removed when the list is empty.
+ */
+function syncList(ctx, parent, containerName, itemName, values, order, { required = false, apply } = {}) {
+  let container = childElements(parent, containerName)[0];
+  
+  if (values.length === 0 && !required) {
+    if (container) removeElement(container);
+    return;
+  }
+  
+  if (!container) {
+    container = insertOrdered(ctx, parent, createElement(ctx, containerName), order);
+  } else if (childElements(container).length === 0 && values.length > 0) {
+    // Legacy plain-text content (e.g. <Notes>text</Notes>) is replaced by list items
+    while (container.firstChild) container.removeChild(container.firstChild);
+  }
+  
+  syncElements(ctx, container, itemName, values, null, apply);
+}
+
+/**
+ * Helper: Write a test step into its TestStep element
+ */
+function applyTestStep(ctx, stepEl, step, index) {
+  // BSI files carry no step ids; only keep ids that differ from the generated default
+  const defaultId = `step-${index + 1}`;
+  if (stepEl.hasAttribute('id') || (step.id && step.id !== defaultId)) {
+    setAttribute(stepEl, 'id', step.id || defaultId);
+  }
+  setAttribute(stepEl, 'status', step.status);
+  
+  const commandEl = childElements(stepEl, 'Command')[0] || childElements(stepEl, 'Action')[0]
+    || ensureChild(ctx, stepEl, 'Command', TESTSTEP_ELEMENT_ORDER);
+  setText(commandEl, step.command);
+  
+  syncElements(ctx, stepEl, 'RefFunction', step.refFunctions || [], TESTSTEP_ELEMENT_ORDER);
+  syncElements(ctx, stepEl, 'RefUser', step.refUsers || [], TESTSTEP_ELEMENT_ORDER);
+  
+  const resultsEl = ensureChild(ctx, stepEl, 'ExpectedResults', TESTSTEP_ELEMENT_ORDER);
+  syncElements(ctx, resultsEl, 'ExpectedResult', step.expectedResults || [], null, (erEl, er) => {
+    setText(erEl, er.text);
+    setAttribute(erEl, 'status', er.status);
+    setAttribute(erEl, 'actualResult', er.actualResult);
+    setAttribute(erEl, 'variables', formatVariables(er.variables));
+  });
+  
+  const errorEl = childElements(stepEl, 'ErrorMessage')[0];
+  if (step.errorMessage) {
+    setText(errorEl || ensureChild(ctx, stepEl, 'ErrorMessage', TESTSTEP_ELEMENT_ORDER), step.errorMessage);
+  } else if (errorEl) {
+    removeElement(errorEl);
+  }
+}
+
+/**
+ * Helper: Write an archived execution run into its Run element
+ */
+function applyRun(ctx, runEl, run) {
+  setAttribute(runEl, 'id', run.id);
+  setAttribute(runEl, 'tester', run.tester);
+  setAttribute(runEl, 'testDate', run.testDate);
+  setAttribute(runEl, 'status', run.status);
+  
+  syncElements(ctx, runEl, 'StepResult', run.steps || [], null, (stepEl, step) => {
+    setAttribute(stepEl, 'status', step.status);
     
-    if (step.status) stepObj.$.status = step.status;
-    if (step.errorMessage) stepObj.ErrorMessage = step.errorMessage;
+    const errorEl = childElements(stepEl, 'ErrorMessage')[0];
+    if (step.errorMessage) {
+      setText(errorEl || ensureChild(ctx, stepEl, 'ErrorMessage', STEPRESULT_ELEMENT_ORDER), step.errorMessage);
+    } else if (errorEl) {
+      removeElement(errorEl);
+    }
     
-    return stepObj;
+    syncElements(ctx, stepEl, 'Outcome', step.expectedResults || [], null, (outcomeEl, outcome) => {
+      setAttribute(outcomeEl, 'status', outcome.status);
+      setAttribute(outcomeEl, 'actualResult', outcome.actualResult);
+      setAttribute(outcomeEl, 'variables', formatVariables(outcome.variables));
+    });
   });
+}
+
+/**
+ * Helper: Write a note into its Note element
+ * Unedited notes keep their text as content, edited notes use <Text> and <Version> children.
+ */
+function applyNote(ctx, noteEl, note) {
+  setAttribute(noteEl, 'id', note.id);
+  setAttribute(noteEl, 'timestamp', note.timestamp || new Date().toISOString());
+  setAttribute(noteEl, 'author', note.author);
+  setAttribute(noteEl, 'parent', note.parentId);
+  setAttribute(noteEl, 'step', note.stepId);
+  setAttribute(noteEl, 'expectedResult', note.expectedResultId);
+  // Internal is the default and not written
+  setAttribute(noteEl, 'visibility', note.visibility === 'shared' ? 'shared' : null);
+  setAttribute(noteEl, 'edited', note.editedAt);
+  setAttribute(noteEl, 'editedBy', note.editedBy);
   
-  // Build notes
-  let notesObj = null;
-  if (testcaseData.notes && testcaseData.notes.length > 0) {
-    notesObj = {
-      Note: testcaseData.notes.map(n => ({
-        $: {
-          timestamp: n.timestamp || new Date().toISOString(),
-          author: n.author || ''
-        },
-        _: n.text || ''
-      }))
-    };
+  const versions = note.versions || [];
+  if (versions.length === 0) {
+    setText(noteEl, note.text);
+    return;
   }
   
-  // Build attachments
-  let attachmentsObj = null;
-  if (testcaseData.attachments && testcaseData.attachments.length > 0) {
-    attachmentsObj = {
-      Attachment: testcaseData.attachments.map(a => ({
-        $: {
-          filename: a.filename,
-          originalName: a.originalName || a.filename,
-          timestamp: a.timestamp || new Date().toISOString(),
-          description: a.description || '',
-          mimeType: a.mimeType || '',
-          size: a.size || 0
-        }
-      }))
-    };
+  // Plain text content is replaced by the <Text> child
+  if (childElements(noteEl).length === 0) {
+    while (noteEl.firstChild) noteEl.removeChild(noteEl.firstChild);
+  }
+  setText(ensureChild(ctx, noteEl, 'Text', NOTE_ELEMENT_ORDER), note.text);
+  syncElements(ctx, noteEl, 'Version', versions, NOTE_ELEMENT_ORDER, (versionEl, version) => {
+    setText(versionEl, version.text);
+    setAttribute(versionEl, 'timestamp', version.timestamp);
+    setAttribute(versionEl, 'author', version.author);
+  });
+}
+
+/**
+ * Helper: Find the start tag of the root element in serialized XML
+ */
+function findRootStartTag(xml, tagName) {
+  const match = xml.match(new RegExp(`<${tagName}(?:\\s+[^\\s=/>]+\\s*=\\s*(?:"[^"]*"|'[^']*'))*\\s*/?>`));
+  return match ? match[0] : null;
+}
+
+/**
+ * Render TestCase data into the XML document stored at filePath
+ * The existing document is updated in place: the encoding declaration, BOM, line endings,
+ * processing instructions, namespaces, comments and elements not handled by the editor
+ * (e.g. AlternativeTestProcedures, unknown extensions) are kept as they are.
+ * Fields missing in testcaseData are left untouched.
+ * @param {string} filePath - Path of the XML file (a new document is started if it does not exist)
+ * @param {Object} testcaseData - Testcase data to save
+ * @returns {string} The XML document to write
+ */
+async function renderTestcaseXML(filePath, testcaseData) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    raw = TESTCASE_SKELETON;
   }
   
-  // Build result object
-  const result = testcaseData.result || {};
-  const resultObj = {};
-  if (result.Status) resultObj.Status = result.Status;
-  if (result.Summary) resultObj.Summary = result.Summary;
-  if (result.TestedBy) resultObj.TestedBy = result.TestedBy;
-  if (result.TestedDate) resultObj.TestedDate = result.TestedDate;
-  if (result.Comments) resultObj.Comments = result.Comments;
-  
-  const testCase = {
-    TestCase: {
-      $: { 
-        id: testcaseData.id,
-        xmlns: 'http://www.bsi.bund.de/TR-03153-1/TS/TestCase',
-        'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance'
-      },
-      Version: testcaseData.version || '1.0',
-      Title: testcaseData.title || '',
-      Purpose: testcaseData.purpose || '',
-      RefFunction: testcaseData.refFunctions && testcaseData.refFunctions.length > 0 ? testcaseData.refFunctions : undefined,
-      RefUser: testcaseData.refUsers && testcaseData.refUsers.length > 0 ? testcaseData.refUsers : undefined,
-      Profiles: { 
-        Profile: testcaseData.profiles || [] 
-      },
-      References: { 
-        Reference: testcaseData.references || [] 
-      },
-      Preconditions: { 
-        Precondition: testcaseData.preconditions || [] 
-      },
-      TestSteps: { 
-        TestStep: testSteps 
-      },
-      Result: Object.keys(resultObj).length > 0 ? resultObj : undefined,
-      Notes: notesObj,
-      Attachments: attachmentsObj
-    }
+  const hasBom = raw.charCodeAt(0) === 0xFEFF;
+  const source = (hasBom ? raw.slice(1) : raw).replace(/\r\n/g, '\n');
+  const useCrlf = raw.includes('\r\n');
+  
+  const doc = new DOMParser().parseFromString(source, 'text/xml');
+  const root = doc.documentElement;
+  if (!root || root.localName !== 'TestCase') {
+    throw new Error(`${path.basename(filePath)} is not a TestCase document`);
+  }
+  
+  const indentMatch = source.match(/\n([ \t]+)</);
+  const ctx = {
+    doc,
+    namespace: root.namespaceURI,
+    indent: indentMatch ? indentMatch[1] : '  '
   };
+  const rootAttributes = () => Array.from(root.attributes).map(a => `${a.name}=${a.value}`).join('\n');
+  const originalAttributes = rootAttributes();
+  const data = testcaseData;
   
-  if (testcaseData.status) {
-    testCase.TestCase.$.status = testcaseData.status;
+  // TestCase attributes (namespace declarations are never touched)
+  if (data.id !== undefined) setAttribute(root, 'id', data.id);
+  if (data.status !== undefined) setAttribute(root, 'status', data.status);
+  for (const key of ['run', 'tester', 'testDate']) {
+    if (data[key] !== undefined) setAttribute(root, key, data[key]);
   }
   
-  const builder = new xml2js.Builder({ 
-    headless: false, 
-    renderOpts: { pretty: true, indent: '  ', newline: '\n' }
+  // Simple text elements
+  for (const [key, name] of [['title', 'Title'], ['version', 'Version'], ['purpose', 'Purpose']]) {
+    if (data[key] !== undefined) {
+      setText(ensureChild(ctx, root, name, TESTCASE_ELEMENT_ORDER), data[key]);
+    }
+  }
+  
+  if (data.refFunctions !== undefined) {
+    syncElements(ctx, root, 'RefFunction', data.refFunctions || [], TESTCASE_ELEMENT_ORDER);
+  }
+  if (data.refUsers !== undefined) {
+    syncElements(ctx, root, 'RefUser', data.refUsers || [], TESTCASE_ELEMENT_ORDER);
+  }
+  if (data.profiles !== undefined) {
+    syncList(ctx, root, 'Profiles', 'Profile', data.profiles || [], TESTCASE_ELEMENT_ORDER, { required: true });
+  }
+  if (data.references !== undefined) {
+    syncList(ctx, root, 'References', 'Reference', data.references || [], TESTCASE_ELEMENT_ORDER, { required: true });
+  }
+  if (data.preconditions !== undefined) {
+    syncList(ctx, root, 'Preconditions', 'Precondition', data.preconditions || [], TESTCASE_ELEMENT_ORDER);
+  }
+  if (data.testSteps !== undefined) {
+    syncList(ctx, root, 'TestSteps', 'TestStep', data.testSteps || [], TESTCASE_ELEMENT_ORDER, {
+      required: true,
+      apply: (el, step, index) => applyTestStep(ctx, el, step, index)
+    });
+  }
+  if (Array.isArray(data.alternativeTestProcedures)) {
+    syncList(ctx, root, 'AlternativeTestProcedures', 'AlternativeTestProcedure', data.alternativeTestProcedures, TESTCASE_ELEMENT_ORDER);
+  }
+  
+  // Result: plain text or legacy child elements (Status, Summary, ...); null removes it
+  const result = data.result;
+  const resultEl = childElements(root, 'Result')[0];
+  if (result === null) {
+    if (resultEl) removeElement(resultEl);
+  } else if (typeof result === 'string') {
+    if (result || resultEl) setText(resultEl || ensureChild(ctx, root, 'Result', TESTCASE_ELEMENT_ORDER), result);
+  } else if (result && RESULT_FIELDS.some(field => result[field])) {
+    const el = resultEl || ensureChild(ctx, root, 'Result', TESTCASE_ELEMENT_ORDER);
+    for (const field of RESULT_FIELDS) {
+      if (result[field]) setText(ensureChild(ctx, el, field, RESULT_FIELDS), result[field]);
+    }
+  }
+  
+  if (data.notes !== undefined) {
+    syncList(ctx, root, 'Notes', 'Note', data.notes || [], TESTCASE_ELEMENT_ORDER, {
+      apply: (el, note) => applyNote(ctx, el, note)
+    });
+  }
+  if (data.attachments !== undefined) {
+    syncList(ctx, root, 'Attachments', 'Attachment', data.attachments || [], TESTCASE_ELEMENT_ORDER, {
+      apply: (el, a) => {
+        setAttribute(el, 'filename', a.filename);
+        setAttribute(el, 'originalName', a.originalName || a.filename);
+        setAttribute(el, 'timestamp', a.timestamp || new Date().toISOString());
+        setAttribute(el, 'description', a.description);
+        setAttribute(el, 'mimeType', a.mimeType);
+        setAttribute(el, 'size', a.size || 0);
+      }
+    });
+  }
+  
+  if (data.runs !== undefined) {
+    syncList(ctx, root, 'Runs', 'Run', data.runs || [], TESTCASE_ELEMENT_ORDER, {
+      apply: (el, run) => applyRun(ctx, el, run)
+    });
+  }
+  
+  // Workflow: the element is dropped while a testcase has no assignment and no logged transition
+  if (data.workflow !== undefined) {
+    const workflow = data.workflow;
+    const workflowEl = childElements(root, 'Workflow')[0];
+    if (!workflow || (workflow.state === 'open' && !workflow.assignee && !workflow.reviewer && !(workflow.transitions || []).length)) {
+      if (workflowEl) removeElement(workflowEl);
+    } else {
+      const el = workflowEl || ensureChild(ctx, root, 'Workflow', TESTCASE_ELEMENT_ORDER);
+      setAttribute(el, 'state', workflow.state);
+      setAttribute(el, 'assignee', workflow.assignee);
+      setAttribute(el, 'reviewer', workflow.reviewer);
+      syncElements(ctx, el, 'Transition', workflow.transitions || [], null, (transitionEl, t) => {
+        setText(transitionEl, t.comment);
+        setAttribute(transitionEl, 'from', t.from);
+        setAttribute(transitionEl, 'to', t.to);
+        setAttribute(transitionEl, 'by', t.by);
+        setAttribute(transitionEl, 'timestamp', t.timestamp);
+        setAttribute(transitionEl, 'run', t.run);
+      });
+    }
+  }
+  
+  // '>' is legal in text content; only escape what XML requires so untouched text stays byte-identical
+  let xml = new XMLSerializer().serializeToString(doc, {
+    nodeFilter: node => node.nodeType === 3
+      ? node.data.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/]]>/g, ']]&gt;')
+      : node
   });
-  const xml = builder.buildObject(testCase);
+  
+  // Keep the original formatting of the root start tag if its attributes did not change
+  if (rootAttributes() === originalAttributes) {
+    const originalTag = findRootStartTag(source, root.tagName);
+    const serializedTag = findRootStartTag(xml, root.tagName);
+    if (originalTag && serializedTag) xml = xml.replace(serializedTag, () => originalTag);
+  }
+  
+  // Whitespace after the root element is dropped by the parser
+  xml += source.match(/\s*$/)[0];
+  if (useCrlf) xml = xml.replace(/\n/g, '\r\n');
+  
+  return (hasBom ? '﻿' : '') + xml;
+}
+
+/**
+ * Write a rendered TestCase document
+ * With options.history the save is recorded in the revision history of the instance.
+ * @param {string} filePath - Path to save the XML file
+ * @param {string} xml - Rendered document (see renderTestcaseXML)
+ * @param {Object} options
+ * @param {Object} options.history - { instancePath, author, summary } (omit for files outside an instance)
+ * @returns {Object|null} The recorded revision (null without history or if nothing changed)
+ */
+async function writeTestcaseXML(filePath, xml, { history = null } = {}) {
+  let previousXml = null;
+  if (history) {
+    try {
+      previousXml = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
   
   await fs.writeFile(filePath, xml, 'utf-8');
+  invalidateTestcaseCache(filePath);
+  
+  if (!history) return null;
+  
+  const testcaseId = path.basename(filePath, '.xml');
+  return recordRevision({
+    ...history,
+    testcaseId,
+    previousXml,
+    xml,
+    // Unreadable previous versions are still recorded, only without a diff summary
+    previous: previousXml !== null ? await parseTestcaseContent(previousXml, testcaseId).catch(() => null) : null,
+    current: await parseTestcaseContent(xml, testcaseId)
+  });
+}
+
+/**
+ * Save TestCase data to XML file
+ * @param {string} filePath - Path to save the XML file
+ * @param {Object} testcaseData - Testcase data to save
+ * @param {Object} options - See writeTestcaseXML
+ * @returns {Object|null} The recorded revision (see writeTestcaseXML)
+ */
+async function saveTestcaseXML(filePath, testcaseData, options = {}) {
+  const xml = await renderTestcaseXML(filePath, testcaseData);
+  return writeTestcaseXML(filePath, xml, options);
 }
 
 /**
@@ -321,6 +771,16 @@ async function parseProfilesXML(xmlContent) {
     };
   }
   
+  // Parse template info (only present in profiles-template.xml of templates)
+  let templateInfo = null;
+  if (config.TemplateInfo) {
+    templateInfo = {
+      id: extractText(config.TemplateInfo.Id),
+      name: extractText(config.TemplateInfo.Name),
+      description: extractText(config.TemplateInfo.Description)
+    };
+  }
+  
   // Parse metadata
   const metadata = {
     productName: extractText(config.Metadata?.ProductName),
@@ -360,8 +820,9 @@ async function parseProfilesXML(xmlContent) {
             const profArray = Array.isArray(mapping.Profile) ? mapping.Profile : [mapping.Profile];
             profiles.push(...profArray.map(p => extractText(p)));
           }
+          // Conditions are kept verbatim (single values or expressions, see profileConditions.js)
           profileMappings.push({
-            condition: mapping.$?.condition || 'true',
+            condition: mapping.$?.condition?.trim() || 'true',
             profiles: profiles
           });
         }
@@ -395,10 +856,10 @@ async function parseProfilesXML(xmlContent) {
       };
       if (question.Answer) {
         answer.answered = question.Answer.$?.answered === 'true';
-        const value = extractText(question.Answer.Value);
-        if (value) {
-          answer.values = [value];
-        }
+        // Several values for multi-choice questions
+        const rawValues = question.Answer.Value;
+        const valueArray = Array.isArray(rawValues) ? rawValues : (rawValues ? [rawValues] : []);
+        answer.values = valueArray.map(v => extractText(v)).filter(Boolean);
       }
       
       sectionData.questions.push({
@@ -406,6 +867,8 @@ async function parseProfilesXML(xmlContent) {
         text: extractText(question.Text),  // Frontend expects 'text' not 'label'
         type: question.$?.type || 'boolean',
         required: question.$?.required === 'true',
+        group: question.$?.group || '',
+        visibleIf: question.$?.visibleIf?.trim() || '',
         helpText: extractText(question.HelpText),  // Frontend expects 'helpText' not 'info'
         answer: answer,
         profileMappings: profileMappings,
@@ -421,6 +884,7 @@ async function parseProfilesXML(xmlContent) {
   
   return {
     completed: config.$?.completed === 'true',
+    ...(templateInfo ? { templateInfo } : {}),
     templateConfiguration,
     metadata,
     sections,
@@ -504,6 +968,15 @@ function parseProfileDefinitions(profileDefs) {
  * @returns {string} XML string
  */
 function buildProfilesXML(profilesData) {
+  // Build template info (templates only)
+  const templateInfo = profilesData.templateInfo
+    ? {
+        Id: profilesData.templateInfo.id || '',
+        Name: profilesData.templateInfo.name || '',
+        Description: profilesData.templateInfo.description || ''
+      }
+    : undefined;
+  
   // Build template configuration
   const templateConfiguration = profilesData.templateConfiguration 
     ? { ProfileFilterMode: profilesData.templateConfiguration.profileFilterMode || 'OR' }
@@ -531,6 +1004,8 @@ function buildProfilesXML(profilesData) {
       };
       
       if (q.required) questionObj.$.required = 'true';
+      if (q.group) questionObj.$.group = q.group;
+      if (q.visibleIf?.trim()) questionObj.$.visibleIf = q.visibleIf.trim();
       if (q.helpText || q.info) questionObj.HelpText = q.helpText || q.info;
       
       // Build DependsOn from dependsOn (object with conditions) or dependencies (legacy array)
@@ -558,7 +1033,7 @@ function buildProfilesXML(profilesData) {
       if (q.answer) {
         questionObj.Answer = {
           $: { answered: q.answer.answered ? 'true' : 'false' },
-          Value: q.answer.values?.[0] || 'false'
+          Value: q.answer.values?.length ? q.answer.values : 'false'
         };
       } else {
         questionObj.Answer = {
@@ -570,7 +1045,7 @@ function buildProfilesXML(profilesData) {
       // Build ProfileMapping from profileMappings or profiles
       if (q.profileMappings && q.profileMappings.length > 0) {
         questionObj.ProfileMapping = q.profileMappings.map(m => ({
-          $: { condition: m.condition || 'true' },
+          $: { condition: String(m.condition ?? '').trim() || 'true' },
           Profile: m.profiles || []
         }));
       } else if (q.profiles && q.profiles.length > 0) {
@@ -624,9 +1099,11 @@ function buildProfilesXML(profilesData) {
         'xsi:noNamespaceSchemaLocation': '_schema/profiles.xsd',
         completed: profilesData.completed ? 'true' : 'false'
       },
+      // xml2js renders undefined values as empty elements, so optional blocks are only added when present
+      ...(templateInfo ? { TemplateInfo: templateInfo } : {}),
       Metadata: metadata,
-      TemplateConfiguration: templateConfiguration,
-      ProfileDefinitions: profileDefinitions,
+      ...(templateConfiguration ? { TemplateConfiguration: templateConfiguration } : {}),
+      ...(profileDefinitions ? { ProfileDefinitions: profileDefinitions } : {}),
       ChecklistSections: { Section: sections }
     }
   };
@@ -641,6 +1118,10 @@ function buildProfilesXML(profilesData) {
 
 module.exports = {
   parseTestcaseXML,
+  parseTestcaseContent,
+  parseTestcaseNode,
+  renderTestcaseXML,
+  writeTestcaseXML,
   saveTestcaseXML,
   parseProfilesXML,
   buildProfilesXML,